@@ -0,0 +1,132 @@
+/*
+  Job listings served by the mock Naukri server (mock/naukriServer.js)
+  Each listing keeps the fields the mock filters on next to
+  - `job`, the entry in the shape jobapi/v3/search returns it (placeholders for
+    experience/salary/location, epoch createdDate, comma-separated tagsAndSkills, relative jdURL),
+  - `details`, the jobDetails of jobapi/v4/job/:jobId (salaryDetail in rupees, keySkills, HTML
+    description, applyRedirectUrl for jobs applied to on the company site),
+  - `questions`, the recruiter questionnaire or chatbot questions the apply call asks first.
+*/
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// [id, title, company, companyId, locations, minExp, maxExp, minCtc, maxCtc (lakhs, null = not disclosed),
+//  wfhType (0 office, 2 remote, 3 hybrid), posted days ago, skills]
+const LISTINGS = [
+  ['101', 'Node.js Developer', 'Acme Technologies', 5001, ['Bengaluru'], 2, 5, 8, 14, '3', 1, 'Node.js,Express,MongoDB,REST'],
+  ['102', 'Senior Node.js Engineer', 'Bluefin Payments', 5002, ['Bengaluru', 'Pune'], 5, 9, 20, 32, '2', 2, 'Node.js,TypeScript,AWS,Microservices'],
+  ['103', 'Full Stack Developer (React + Node)', 'Cobalt Labs', 5003, ['Hyderabad'], 3, 6, 12, 18, '3', 3, 'React,Node.js,JavaScript,SQL'],
+  ['104', 'Backend Engineer - Node.js', 'Dunes Logistics', 5004, ['Gurugram'], 1, 3, 5, 9, '0', 6, 'Node.js,Express,PostgreSQL'],
+  ['105', 'JavaScript Developer', 'Evergreen Retail', 5005, ['Pune'], 0, 2, 3, 6, '0', 10, 'JavaScript,HTML,CSS,React'],
+  ['106', 'Lead Engineer, Platform', 'Falcon Analytics', 5006, ['Bengaluru'], 8, 12, 35, 50, '3', 12, 'Node.js,Go,Kubernetes,System Design'],
+  ['107', 'React Developer', 'Granite Health', 5007, ['Chennai'], 2, 4, null, null, '2', 4, 'React,Redux,TypeScript'],
+  ['108', 'Java Backend Developer', 'Harbor Finance', 5008, ['Mumbai'], 3, 7, 10, 20, '0', 8, 'Java,Spring Boot,Microservices'],
+  ['109', 'DevOps Engineer', 'Indigo Cloud', 5009, ['Noida', 'Remote'], 4, 8, 15, 25, '2', 20, 'AWS,Terraform,Kubernetes,CI/CD'],
+  ['110', 'Node.js Developer - Fresher', 'Jade Software', 5010, ['Kolkata'], 0, 1, 2, 4, '0', 25, 'Node.js,JavaScript,Git'],
+  ['111', 'Software Engineer II (Node.js)', 'Kestrel Commerce', 5011, ['Bengaluru'], 3, 5, 14, 22, '3', 2, 'Node.js,GraphQL,Redis'],
+  ['112', 'Python Developer', 'Lumen AI', 5012, ['Hyderabad', 'Bengaluru'], 2, 6, 10, 16, '3', 5, 'Python,Django,REST,SQL'],
+  ['113', 'Frontend Engineer', 'Maple Media', 5013, ['Pune'], 1, 4, 6, 12, '2', 7, 'JavaScript,React,Next.js'],
+  ['114', 'Node.js Architect', 'Nimbus Systems', 5014, ['Chennai'], 10, 15, 45, 70, '3', 14, 'Node.js,Architecture,AWS,Microservices'],
+  ['115', 'Backend Developer (Node.js/Go)', 'Orchid Travel', 5015, ['Gurugram', 'Delhi'], 2, 5, 9, 15, '0', 28, 'Node.js,Go,Kafka']
+];
+
+const WFH_LABELS = { 0: 'Work from office', 2: 'Remote', 3: 'Hybrid' };
+
+// Jobs applied to on the company site
+const EXTERNAL_APPLY_URLS = {
+  108: 'https://careers.harbor-finance.example/openings/java-backend-developer'
+};
+
+// Jobs whose apply call asks questions first; `source` says which field of the response has them
+const APPLY_QUESTIONS = {
+  102: {
+    source: 'questionnaire',
+    items: [
+      { questionId: 9001, questionName: 'How many years of Node.js experience do you have?', questionType: 'Text Box', isMandatory: true },
+      { questionId: 9002, questionName: 'What is your notice period?', questionType: 'Radio Button', answerOption: { 1: 'Immediate', 2: '15 days', 3: '1 month', 4: '2 months or more' }, isMandatory: true },
+      { questionId: 9003, questionName: 'Which clouds have you worked with?', questionType: 'Check Box', answerOption: { 1: 'AWS', 2: 'GCP', 3: 'Azure' }, isMandatory: false }
+    ]
+  },
+  111: {
+    source: 'chatbotQuestions',
+    items: [
+      { questionId: 'cb-1', questionName: 'Are you comfortable working from our Bengaluru office 3 days a week?', questionType: 'Radio Button', answerOption: { 1: 'Yes', 2: 'No' }, isMandatory: true }
+    ]
+  }
+};
+
+const slug = (value) => value.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+const postedLabel = (days) => (days === 0 ? 'Just Now' : days === 1 ? '1 Day Ago' : `${days} Days Ago`);
+
+const createJobListings = (now = Date.now()) => LISTINGS.map(([
+  id, title, companyName, companyId, locations, minExp, maxExp, minCtc, maxCtc, wfhType, daysAgo, skills
+]) => {
+  const jobId = `2109245${id.padStart(5, '0')}`;
+  const jdURL = `/job-listings-${slug(title)}-${slug(companyName)}-${slug(locations[0])}-${minExp}-to-${maxExp}-years-${jobId}`;
+  const skillList = skills.split(',');
+  return {
+    minExp,
+    maxExp,
+    minCtc,
+    maxCtc,
+    wfhType,
+    daysAgo,
+    questions: APPLY_QUESTIONS[id] || null,
+    details: {
+      jobId,
+      title,
+      companyId,
+      companyDetail: {
+        name: companyName,
+        details: `${companyName} builds software for customers across India.`,
+        websiteUrl: `https://www.${slug(companyName)}.example`
+      },
+      description: `<p>${companyName} is hiring a <b>${title}</b>.</p><ul>${skillList.map(skill => `<li>Hands-on ${skill}</li>`).join('')}</ul>`,
+      shortDescription: `${title} at ${companyName}`,
+      keySkills: {
+        preferred: skillList.slice(0, 2).map(label => ({ label, clickable: label })),
+        other: skillList.slice(2).map(label => ({ label, clickable: label }))
+      },
+      locations: locations.map(label => ({ label, url: `/jobs-in-${slug(label)}` })),
+      minimumExperience: minExp,
+      maximumExperience: maxExp,
+      salaryDetail: minCtc === null
+        ? { hideSalary: true, currency: 'INR' }
+        : { minimumSalary: minCtc * 100000, maximumSalary: maxCtc * 100000, currency: 'INR', hideSalary: false },
+      designation: title,
+      roleCategory: 'Software Development',
+      functionalArea: 'Engineering - Software & QA',
+      industry: 'IT Services & Consulting',
+      employmentType: 'Full Time, Permanent',
+      wfhLabel: WFH_LABELS[wfhType],
+      education: { ug: ['B.Tech/B.E. in Any Specialization'], pg: ['Any Postgraduate'] },
+      vacancy: 2,
+      applyCount: 40 + Number(id),
+      createdDate: now - daysAgo * DAY_MS,
+      staticUrl: jdURL,
+      ...(EXTERNAL_APPLY_URLS[id] ? { applyRedirectUrl: EXTERNAL_APPLY_URLS[id] } : {})
+    },
+    job: {
+      jobId,
+      title,
+      companyName,
+      companyId,
+      logoPath: `https://img.naukimg.com/logo_images/groups/v1/${companyId}.gif`,
+      footerPlaceholderLabel: postedLabel(daysAgo),
+      createdDate: now - daysAgo * DAY_MS,
+      placeholders: [
+        { type: 'experience', label: `${minExp}-${maxExp} Yrs` },
+        { type: 'salary', label: minCtc === null ? 'Not disclosed' : `${minCtc}-${maxCtc} Lacs PA` },
+        { type: 'location', label: locations.join(', ') }
+      ],
+      tagsAndSkills: skills,
+      jdURL,
+      jobDescription: `${companyName} is hiring a ${title}. You will work with ${skills.split(',').join(', ')}.`
+    }
+  };
+});
+
+module.exports = {
+  createJobListings
+};
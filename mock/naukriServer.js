@@ -0,0 +1,582 @@
+/*
+  Mock Naukri server for offline development and tests
+  Stands in for www.naukri.com: the login pages the browser flow drives (mock/pages) and the API
+  contracts the wrapper calls, with state kept in memory:
+
+  - POST /central-login-services/v1/login           login; sets nauk_at + nauk_rt cookies
+  - POST /central-login-services/v0/login/refresh   new nauk_at for a nauk_rt cookie
+  - POST /central-login-services/v0/otp/verify      OTP step of the browser login pages
+  - GET  /cloudgateway-mynaukri/resman-aggregator-services/v2/users/self          profile (expand_level=2 shape)
+  - POST /cloudgateway-mynaukri/resman-aggregator-services/v1/users/self/fullprofiles  profile update
+  - GET  .../resman-aggregator-services/v1/users/self/profile-views        who viewed the profile, views per
+                                                    day and recruiter actions over ?days (1-90)
+  - GET  .../resman-aggregator-services/v1/users/self/search-appearances   search appearances per day and
+                                                    the top keywords; profile updates boost both series
+  - GET  /jobapi/v3/search                          job search over the listings in mock/jobs.js
+                                                    (keyword, location, experience, ctcFilter, jobAge,
+                                                    wfhType, noOfResults/pageNo); a bearer is optional
+  - GET  /jobapi/v4/job/:jobId                      job details (404 for unknown ids); a bearer is optional
+  - POST /cloudgateway-apply/apply-services/v1/apply  apply; asks questionnaire/chatbot questions first
+                                                    where the listing has them, answers a redirect for
+                                                    external jobs and "already applied" the second time
+  - GET  /jobapi/v2/search/recom-jobs               recommended jobs: listings sharing key skills with the
+                                                    profile, without the ones already applied to
+  - GET/POST /cloudgateway-savedjobs/saved-job-services/v1/users/self/saved-jobs   saved jobs (list / save),
+                                                    DELETE .../saved-jobs/:jobId unsaves (404 when not saved)
+  - GET  /cloudgateway-apply/apply-history-services/v1/users/self/applies   apply history with each
+                                                    application's status; tests move it along with
+                                                    setApplicationStatus
+
+  Accounts (the username picks the behaviour):
+  - user@example.com / correct-password   logs in normally
+  - otp@example.com / correct-password    asks for an OTP (123456) on the login pages; the API login
+                                          answers 403 with otpRequired
+  - captcha@example.com                   shows a captcha / answers 403 with captchaRequired
+  - ratelimited@example.com               always 429
+
+  Errors follow the upstream contracts: 401 for bad credentials and missing/expired/unknown
+  tokens, 429 with Retry-After past the rate limits, 400 with validationErrors for bad updates.
+
+  Run it with `npm run mock` and point the wrapper at it:
+  NAUKRI_BASE_URL=http://127.0.0.1:4010 npm start
+*/
+
+const crypto = require('crypto');
+const path = require('path');
+const express = require('express');
+const { createJobListings } = require('./jobs');
+
+const MOCK_ACCOUNTS = {
+  valid: { username: 'user@example.com', password: 'correct-password', profileId: 'mock-profile-1', name: 'Asha Verma' },
+  otp: { username: 'otp@example.com', password: 'correct-password', otp: '123456', profileId: 'mock-profile-2', name: 'Rohan Iyer' },
+  captcha: { username: 'captcha@example.com', password: 'correct-password', profileId: 'mock-profile-3', name: 'Meera Nair' },
+  rateLimited: { username: 'ratelimited@example.com', password: 'correct-password', profileId: 'mock-profile-4', name: 'Kabir Shah' }
+};
+
+const API_PREFIX = '/cloudgateway-mynaukri/resman-aggregator-services';
+
+// Apply history status codes and the labels Naukri shows for them
+const APPLICATION_STATUS_TEXT = {
+  APPLIED: 'Applied',
+  VIEWED: 'Application viewed',
+  SHORTLISTED: 'Shortlisted',
+  NOT_SHORTLISTED: 'Not shortlisted'
+};
+
+// Keys fullprofiles accepts in `profile`, and where they live in the users/self payload
+const PROFILE_KEYS = ['name', 'resumeHeadline', 'keySkills', 'summary'];
+const SECTION_KEYS = ['employments', 'educations', 'desiredJob'];
+
+// users/self?expand_level=2 payload for a fresh account
+const createProfileData = (account) => ({
+  profile: [{
+    profileId: account.profileId,
+    name: account.name,
+    email: account.username,
+    mobile: '9876543210',
+    resumeHeadline: 'Full stack developer with 4 years of experience in Node.js and React',
+    keySkills: 'JavaScript,Node.js,React,Express,MongoDB',
+    summary: 'Builds and runs web applications end to end.',
+    currentLocation: { id: 97, label: 'Bengaluru' },
+    lastModified: new Date().toISOString()
+  }],
+  employments: [{
+    employmentId: 'emp-1',
+    designation: { id: 1, label: 'Software Engineer' },
+    organization: { id: 2, label: 'Acme Technologies' },
+    startDate: '2021-07',
+    endDate: null,
+    isCurrent: true,
+    jobProfile: 'Backend services and internal tools.'
+  }],
+  educations: [{
+    educationId: 'edu-1',
+    course: { id: 3, label: 'B.Tech/B.E.' },
+    specialization: { id: 4, label: 'Computers' },
+    institute: { id: 5, label: 'National Institute of Technology' },
+    courseType: { id: 'full-time', label: 'Full Time' },
+    yearOfCompletion: 2021
+  }],
+  desiredJob: {
+    preferredLocations: [{ id: 97, label: 'Bengaluru' }, { id: 17, label: 'Pune' }],
+    expectedCtc: { value: 1800000, currency: 'INR' },
+    noticePeriod: { id: 2, label: '1 Month' },
+    jobType: { id: 1, label: 'Permanent' },
+    employmentType: { id: 1, label: 'Full Time' }
+  },
+  resumeAttachment: {
+    fileName: 'resume.pdf',
+    uploadDate: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString(),
+    fileSize: 84213
+  },
+  profileCompletion: { percentage: 85, pendingSections: ['certifications'] }
+});
+
+// Fixed-window counter per key; returns seconds until the window resets when over the limit
+const createRateLimiter = (limit, windowMs = 60 * 1000) => {
+  const windows = new Map();
+  return (key) => {
+    const now = Date.now();
+    let window = windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(key, window);
+    }
+    window.count += 1;
+    return window.count > limit ? Math.ceil((window.resetAt - now) / 1000) : 0;
+  };
+};
+
+const sendRateLimited = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({ message: 'Too many requests, please try again later' });
+};
+
+const createMockApp = ({
+  accessTokenTtlSeconds = 60 * 60,
+  loginRateLimit = 20,
+  apiRateLimit = 120
+} = {}) => {
+  const app = express();
+  app.use(express.json());
+
+  const accountsByUsername = new Map(Object.values(MOCK_ACCOUNTS).map(account => [account.username, account]));
+  const accessTokens = new Map(); // token -> { username, expiresAt }
+  const refreshTokens = new Map(); // token -> username
+  const profiles = new Map(); // username -> users/self payload
+  const profileUpdates = new Map(); // username -> times of fullprofiles updates (epoch ms)
+  const limitLogin = createRateLimiter(loginRateLimit);
+  const limitApi = createRateLimiter(apiRateLimit);
+  const listings = createJobListings();
+
+  const profileFor = (username) => {
+    if (!profiles.has(username)) {
+      profiles.set(username, createProfileData(accountsByUsername.get(username)));
+    }
+    return profiles.get(username);
+  };
+
+  // Unsigned JWT shaped like Naukri's access token (the wrapper only decodes it)
+  const issueAccessToken = (account) => {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const exp = Math.floor(Date.now() / 1000) + accessTokenTtlSeconds;
+    const payload = { jti: crypto.randomUUID(), exp, ud: { profileId: account.profileId } };
+    const token = `${encode({ alg: 'none', typ: 'JWT' })}.${encode(payload)}.mock`;
+    accessTokens.set(token, { username: account.username, expiresAt: exp * 1000 });
+    return token;
+  };
+
+  const setAuthCookies = (res, account, refreshToken) => {
+    const token = refreshToken || crypto.randomBytes(24).toString('hex');
+    refreshTokens.set(token, account.username);
+    res.cookie('nauk_at', issueAccessToken(account), { path: '/', maxAge: accessTokenTtlSeconds * 1000 });
+    res.cookie('nauk_rt', token, { path: '/', maxAge: 30 * 24 * 60 * 60 * 1000, httpOnly: true });
+  };
+
+  app.post('/central-login-services/v1/login', (req, res) => {
+    const retryAfter = limitLogin(req.ip);
+    if (retryAfter) {
+      return sendRateLimited(res, retryAfter);
+    }
+
+    const { username, password } = req.body || {};
+    const validationErrors = ['username', 'password']
+      .filter(field => typeof req.body?.[field] !== 'string' || !req.body[field])
+      .map(field => ({ field, message: `${field} is required` }));
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ message: 'Validation failed', validationErrors });
+    }
+
+    const account = accountsByUsername.get(username);
+    if (account === MOCK_ACCOUNTS.rateLimited) {
+      return sendRateLimited(res, 60);
+    }
+    if (account === MOCK_ACCOUNTS.captcha) {
+      return res.status(403).json({ message: 'Captcha verification required', captchaRequired: true });
+    }
+    if (!account || account.password !== password) {
+      return res.status(401).json({ message: 'Invalid details. Please check the Email ID - Password combination.' });
+    }
+    if (account === MOCK_ACCOUNTS.otp) {
+      return res.status(403).json({ message: 'OTP verification required', otpRequired: true });
+    }
+
+    setAuthCookies(res, account);
+    res.json({ isLoggedIn: true, profileId: account.profileId });
+  });
+
+  app.post('/central-login-services/v0/otp/verify', (req, res) => {
+    if (req.body?.otp !== MOCK_ACCOUNTS.otp.otp) {
+      return res.status(401).json({ message: 'Incorrect OTP' });
+    }
+    setAuthCookies(res, MOCK_ACCOUNTS.otp);
+    res.json({ isLoggedIn: true, profileId: MOCK_ACCOUNTS.otp.profileId });
+  });
+
+  app.post('/central-login-services/v0/login/refresh', (req, res) => {
+    const match = (req.headers.cookie || '').match(/(?:^|;\s*)nauk_rt=([^;]+)/);
+    const username = match && refreshTokens.get(match[1]);
+    if (!username) {
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+    setAuthCookies(res, accountsByUsername.get(username), match[1]);
+    res.json({ isLoggedIn: true });
+  });
+
+  // Bearer check + per-token (or per-IP when anonymous) rate limit. With optional set, requests
+  // without a bearer pass with req.account unset; a bearer that is sent must still be valid.
+  const authenticate = ({ optional = false } = {}) => (req, res, next) => {
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const session = token ? accessTokens.get(token) : null;
+    if ((token || !optional) && (!session || session.expiresAt <= Date.now())) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+
+    const retryAfter = limitApi(token || req.ip);
+    if (retryAfter) {
+      return sendRateLimited(res, retryAfter);
+    }
+
+    req.account = session ? accountsByUsername.get(session.username) : null;
+    next();
+  };
+
+  app.use(API_PREFIX, authenticate());
+
+  app.get(`${API_PREFIX}/v2/users/self`, (req, res) => {
+    res.json(profileFor(req.account.username));
+  });
+
+  app.post(`${API_PREFIX}/v1/users/self/fullprofiles`, (req, res) => {
+    const { profile, profileId } = req.body || {};
+    const validationErrors = [];
+
+    if (profileId !== req.account.profileId) {
+      validationErrors.push({ field: 'profileId', message: 'does not match the logged-in profile' });
+    }
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+      validationErrors.push({ field: 'profile', message: 'must be an object' });
+    } else {
+      Object.keys(profile)
+        .filter(key => !PROFILE_KEYS.includes(key) && !SECTION_KEYS.includes(key))
+        .forEach(key => validationErrors.push({ field: `profile.${key}`, message: 'is not a supported field' }));
+      PROFILE_KEYS
+        .filter(key => key in profile && typeof profile[key] !== 'string')
+        .forEach(key => validationErrors.push({ field: `profile.${key}`, message: 'must be a string' }));
+      if (typeof profile.resumeHeadline === 'string' && profile.resumeHeadline.length > 250) {
+        validationErrors.push({ field: 'profile.resumeHeadline', message: 'must be at most 250 characters' });
+      }
+      ['employments', 'educations']
+        .filter(key => key in profile && !Array.isArray(profile[key]))
+        .forEach(key => validationErrors.push({ field: `profile.${key}`, message: 'must be an array' }));
+    }
+
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ message: 'Validation failed', validationErrors });
+    }
+
+    const data = profileFor(req.account.username);
+    PROFILE_KEYS.filter(key => key in profile).forEach(key => { data.profile[0][key] = profile[key]; });
+    ['employments', 'educations'].filter(key => key in profile).forEach(key => { data[key] = profile[key]; });
+    if (profile.desiredJob) {
+      data.desiredJob = { ...data.desiredJob, ...profile.desiredJob };
+    }
+    data.profile[0].lastModified = new Date().toISOString();
+    profileUpdates.set(req.account.username, [...(profileUpdates.get(req.account.username) || []), Date.now()]);
+
+    res.json({ profileId, updated: Object.keys(profile), lastModified: data.profile[0].lastModified });
+  });
+
+  // Profile analytics over the last `days` days (1-90). Daily counts are derived from the date, so
+  // they're stable between calls; every profile update adds 5 views and 20 search appearances to
+  // the day it was made on.
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const readDays = (req, res) => {
+    const days = req.query.days === undefined ? 30 : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 1 || days > 90) {
+      res.status(400).json({ message: 'Validation failed', validationErrors: [{ field: 'days', message: 'must be from 1 to 90' }] });
+      return null;
+    }
+    return days;
+  };
+
+  const dailyCounts = (username, days, { base, perUpdate }) => {
+    const updateDays = (profileUpdates.get(username) || []).map(time => new Date(time).toISOString().slice(0, 10));
+    return Array.from({ length: days }, (_, index) => {
+      const date = new Date(Date.now() - (days - 1 - index) * DAY_MS).toISOString().slice(0, 10);
+      const seed = crypto.createHash('md5').update(`${username}:${date}`).digest()[0] % 8;
+      return { date, count: seed * base + perUpdate * updateDays.filter(day => day === date).length };
+    });
+  };
+
+  app.get(`${API_PREFIX}/v1/users/self/profile-views`, (req, res) => {
+    const days = readDays(req, res);
+    if (!days) return;
+
+    const viewsByDay = dailyCounts(req.account.username, days, { base: 1, perUpdate: 5 });
+    const totalViews = viewsByDay.reduce((sum, day) => sum + day.count, 0);
+    res.json({
+      days,
+      totalViews,
+      viewsByDay,
+      viewers: listings.slice(0, Math.min(totalViews, 5)).map(({ job }, index) => ({
+        companyName: job.companyName,
+        designation: index % 2 === 0 ? 'Talent Acquisition Lead' : 'Engineering Manager',
+        location: job.placeholders.find(item => item.type === 'location').label,
+        viewedAt: Date.now() - (index + 1) * 5 * 60 * 60 * 1000
+      })),
+      recruiterActions: { cvDownloads: Math.floor(totalViews / 10), messagesSent: Math.floor(totalViews / 15) }
+    });
+  });
+
+  app.get(`${API_PREFIX}/v1/users/self/search-appearances`, (req, res) => {
+    const days = readDays(req, res);
+    if (!days) return;
+
+    const appearancesByDay = dailyCounts(req.account.username, days, { base: 6, perUpdate: 20 });
+    const totalAppearances = appearancesByDay.reduce((sum, day) => sum + day.count, 0);
+    const skills = profileFor(req.account.username).profile[0].keySkills.split(',').map(skill => skill.trim()).filter(Boolean);
+    res.json({
+      days,
+      totalAppearances,
+      appearancesByDay,
+      topKeywords: skills.slice(0, 3).map((keyword, index) => ({ keyword, count: Math.round(totalAppearances / (index + 2)) }))
+    });
+  });
+
+  const paging = (query) => ({
+    pageSize: Math.min(Number(query.noOfResults) || 20, 100),
+    pageNo: Math.max(Number(query.pageNo) || 1, 1)
+  });
+
+  app.get('/jobapi/v3/search', authenticate({ optional: true }), (req, res) => {
+    const { keyword, location, experience, jobAge } = req.query;
+    if (!keyword && !location) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        validationErrors: [{ field: 'keyword', message: 'keyword or location is required' }]
+      });
+    }
+
+    const compact = (value) => String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+    const ctcFilters = [].concat(req.query.ctcFilter || []).map(bucket => bucket.split('to').map(Number));
+    const wfhTypes = [].concat(req.query.wfhType || []);
+
+    const matches = listings.filter(({ job, minExp, maxExp, minCtc, maxCtc, wfhType, daysAgo }) => {
+      const locations = job.placeholders.find(item => item.type === 'location').label;
+      return (!keyword || compact(`${job.title} ${job.tagsAndSkills} ${job.companyName}`).includes(compact(keyword)))
+        && (!location || locations.toLowerCase().includes(String(location).toLowerCase()))
+        && (experience === undefined || (minExp <= Number(experience) && Number(experience) <= maxExp))
+        && (ctcFilters.length === 0 || (minCtc !== null && ctcFilters.some(([from, to]) => from < maxCtc && to > minCtc)))
+        && (jobAge === undefined || daysAgo <= Number(jobAge))
+        && (wfhTypes.length === 0 || wfhTypes.includes(wfhType));
+    }).sort((a, b) => a.daysAgo - b.daysAgo);
+
+    const { pageSize, pageNo } = paging(req.query);
+    res.json({
+      noOfJobs: matches.length,
+      jobDetails: matches.slice((pageNo - 1) * pageSize, pageNo * pageSize).map(listing => listing.job)
+    });
+  });
+
+  const listingsById = new Map(listings.map(listing => [listing.job.jobId, listing]));
+  const applications = new Map(); // username -> Map of jobId -> { applyId, appliedDate, statusCode, updatedDate }
+  let nextApplyId = 880001;
+
+  app.get('/jobapi/v4/job/:jobId', authenticate({ optional: true }), (req, res) => {
+    const listing = listingsById.get(req.params.jobId);
+    if (!listing) {
+      return res.status(404).json({ message: 'Job not found or expired' });
+    }
+    const applied = !!req.account && !!applications.get(req.account.username)?.has(listing.job.jobId);
+    res.json({ jobDetails: { ...listing.details, applied } });
+  });
+
+  // Answers must cover every mandatory question and use the offered options for choice questions
+  const checkAnswers = (questions, answers) => questions.flatMap(question => {
+    const field = `answers.${question.questionId}`;
+    const answer = answers[question.questionId];
+    if (answer === undefined || answer === '' || (Array.isArray(answer) && answer.length === 0)) {
+      return question.isMandatory ? [{ field, message: 'is required' }] : [];
+    }
+    if (!question.answerOption) {
+      return typeof answer === 'string' ? [] : [{ field, message: 'must be text' }];
+    }
+    const options = Object.values(question.answerOption);
+    const values = [].concat(answer);
+    if (question.questionType !== 'Check Box' && values.length > 1) {
+      return [{ field, message: 'takes a single option' }];
+    }
+    return values.every(value => options.includes(value)) ? [] : [{ field, message: `must be one of ${options.join(', ')}` }];
+  });
+
+  app.post('/cloudgateway-apply/apply-services/v1/apply', authenticate(), (req, res) => {
+    const [jobId] = Array.isArray(req.body?.strJobsarr) ? req.body.strJobsarr : [];
+    const listing = listingsById.get(String(jobId));
+    if (!listing) {
+      return res.status(400).json({ message: 'Validation failed', validationErrors: [{ field: 'strJobsarr', message: 'must contain one active job id' }] });
+    }
+
+    const applied = applications.get(req.account.username) || new Map();
+    applications.set(req.account.username, applied);
+
+    if (listing.details.applyRedirectUrl) {
+      return res.json({ jobs: [{ jobId, status: 302, message: 'Apply on company site', applyRedirectUrl: listing.details.applyRedirectUrl }] });
+    }
+    if (applied.has(jobId)) {
+      return res.json({ jobs: [{ jobId, status: 409, alreadyApplied: true, message: 'You have already applied to this job' }] });
+    }
+
+    const answers = req.body.applyData?.[jobId]?.answers;
+    if (listing.questions) {
+      if (!answers) {
+        return res.json({
+          jobs: [{ jobId, status: 202, message: 'Answer the recruiter\'s questions to complete your application', [listing.questions.source]: listing.questions.items }]
+        });
+      }
+      const validationErrors = checkAnswers(listing.questions.items, answers);
+      if (validationErrors.length > 0) {
+        return res.status(400).json({ message: 'Validation failed', validationErrors });
+      }
+    }
+
+    const appliedDate = Date.now();
+    applied.set(jobId, { applyId: nextApplyId++, appliedDate, statusCode: 'APPLIED', updatedDate: appliedDate });
+    res.json({
+      jobs: [{ jobId, status: 200, message: 'You have successfully applied to this job.' }],
+      quotaDetails: { dailyApplied: applied.size, totalDailyQuota: 50 }
+    });
+  });
+
+  // Recommendations: listings sharing key skills with the profile, most shared skills first;
+  // jobs the user applied to drop out of the feed
+  app.get('/jobapi/v2/search/recom-jobs', authenticate(), (req, res) => {
+    const profileSkills = new Set(profileFor(req.account.username).profile[0].keySkills.toLowerCase().split(',').map(skill => skill.trim()));
+    const applied = applications.get(req.account.username) || new Map();
+
+    const matches = listings
+      .filter(listing => !applied.has(listing.job.jobId))
+      .map(listing => ({ listing, shared: listing.job.tagsAndSkills.toLowerCase().split(',').filter(skill => profileSkills.has(skill)).length }))
+      .filter(({ shared }) => shared > 0)
+      .sort((a, b) => b.shared - a.shared || a.listing.daysAgo - b.listing.daysAgo);
+
+    const { pageSize, pageNo } = paging(req.query);
+    res.json({
+      noOfJobs: matches.length,
+      jobDetails: matches.slice((pageNo - 1) * pageSize, pageNo * pageSize).map(({ listing }) => listing.job)
+    });
+  });
+
+  const SAVED_JOBS_PATH = '/cloudgateway-savedjobs/saved-job-services/v1/users/self/saved-jobs';
+  const savedJobs = new Map(); // username -> Map of jobId -> savedDate (epoch ms)
+
+  const savedFor = (username) => {
+    if (!savedJobs.has(username)) {
+      savedJobs.set(username, new Map());
+    }
+    return savedJobs.get(username);
+  };
+
+  // Newest saved first
+  app.get(SAVED_JOBS_PATH, authenticate(), (req, res) => {
+    const saved = [...savedFor(req.account.username)].reverse();
+    const { pageSize, pageNo } = paging(req.query);
+    res.json({
+      totalCount: saved.length,
+      savedJobs: saved.slice((pageNo - 1) * pageSize, pageNo * pageSize)
+        .map(([jobId, savedDate]) => ({ ...listingsById.get(jobId).job, savedDate }))
+    });
+  });
+
+  app.post(SAVED_JOBS_PATH, authenticate(), (req, res) => {
+    const jobId = String(req.body?.jobId || '');
+    if (!listingsById.has(jobId)) {
+      return res.status(400).json({ message: 'Validation failed', validationErrors: [{ field: 'jobId', message: 'must be an active job id' }] });
+    }
+    const saved = savedFor(req.account.username);
+    const alreadySaved = saved.has(jobId);
+    if (!alreadySaved) {
+      saved.set(jobId, Date.now());
+    }
+    res.json({ jobId, alreadySaved, savedDate: saved.get(jobId) });
+  });
+
+  app.delete(`${SAVED_JOBS_PATH}/:jobId`, authenticate(), (req, res) => {
+    if (!savedFor(req.account.username).delete(req.params.jobId)) {
+      return res.status(404).json({ message: 'Job is not in your saved jobs' });
+    }
+    res.json({ jobId: req.params.jobId, removed: true });
+  });
+
+  // Apply history, newest application first
+  app.get('/cloudgateway-apply/apply-history-services/v1/users/self/applies', authenticate(), (req, res) => {
+    const applies = [...(applications.get(req.account.username) || new Map())]
+      .sort(([, a], [, b]) => b.appliedDate - a.appliedDate || b.applyId - a.applyId)
+      .map(([jobId, application]) => {
+        const { job } = listingsById.get(jobId);
+        return {
+          applyId: application.applyId,
+          jobId,
+          title: job.title,
+          companyName: job.companyName,
+          companyId: job.companyId,
+          location: job.placeholders.find(item => item.type === 'location').label,
+          jdURL: job.jdURL,
+          appliedDate: application.appliedDate,
+          isJobActive: true,
+          applyStatus: {
+            statusCode: application.statusCode,
+            statusText: APPLICATION_STATUS_TEXT[application.statusCode],
+            updatedDate: application.updatedDate
+          }
+        };
+      });
+
+    const { pageSize, pageNo } = paging(req.query);
+    res.json({ totalCount: applies.length, applies: applies.slice((pageNo - 1) * pageSize, pageNo * pageSize) });
+  });
+
+  // Recruiter-side status change, for tests: setApplicationStatus('user@example.com', jobId, 'VIEWED')
+  app.locals.setApplicationStatus = (username, jobId, statusCode) => {
+    const application = applications.get(username)?.get(jobId);
+    if (!application || !APPLICATION_STATUS_TEXT[statusCode]) {
+      throw new Error(`No application to ${jobId} by ${username}, or unknown status ${statusCode}`);
+    }
+    Object.assign(application, { statusCode, updatedDate: Date.now() });
+  };
+
+  // Login pages for the browser flow; /mnjuser/homepage -> mnjuser/homepage.html
+  app.use(express.static(path.join(__dirname, 'pages'), { extensions: ['html'] }));
+
+  return app;
+};
+
+// Resolves to { url, setApplicationStatus, close } once listening; port 0 picks a free port.
+// Options: accessTokenTtlSeconds, loginRateLimit and apiRateLimit (requests per minute).
+const startMockNaukri = ({ port = 0, ...options } = {}) => new Promise((resolve, reject) => {
+  const app = createMockApp(options);
+  const server = app.listen(port, '127.0.0.1', () => {
+    resolve({
+      url: `http://127.0.0.1:${server.address().port}`,
+      setApplicationStatus: app.locals.setApplicationStatus,
+      close: () => new Promise(done => server.close(done))
+    });
+  });
+  server.on('error', reject);
+});
+
+if (require.main === module) {
+  startMockNaukri({
+    port: Number(process.env.MOCK_PORT) || 4010,
+    accessTokenTtlSeconds: Number(process.env.MOCK_ACCESS_TOKEN_TTL_SECONDS) || undefined
+  }).then(({ url }) => {
+    console.log(`Mock Naukri server listening on ${url}`);
+  });
+}
+
+module.exports = {
+  MOCK_ACCOUNTS,
+  createMockApp,
+  startMockNaukri
+};
@@ -0,0 +1,161 @@
+/*
+  Mock S3-compatible server (a MinIO-style stand-in) for the s3 screenshot storage
+  Keeps objects in memory and implements the calls src/screenshotStorage.js makes, path-style:
+
+  - PUT    /:bucket/:key                     upload
+  - GET    /:bucket/:key                     download (404 NoSuchKey)
+  - DELETE /:bucket/:key                     delete (204, also for missing keys)
+  - GET    /:bucket?list-type=2&prefix=...   ListObjectsV2, paged by max-keys / continuation-token
+
+  Every request must carry a valid AWS Signature V4 for the configured key pair, else 403.
+  Unknown buckets answer 404 NoSuchBucket.
+
+  Run it with `npm run mock:s3` and point the wrapper at it:
+  SCREENSHOT_STORAGE=s3 SCREENSHOT_S3_ENDPOINT=http://127.0.0.1:4020 SCREENSHOT_S3_BUCKET=screenshots \
+  SCREENSHOT_S3_ACCESS_KEY_ID=mock-access-key SCREENSHOT_S3_SECRET_ACCESS_KEY=mock-secret-key npm start
+*/
+
+const express = require('express');
+const { signRequest } = require('../src/screenshotStorage');
+
+const MOCK_S3_CREDENTIALS = {
+  bucket: 'screenshots',
+  accessKeyId: 'mock-access-key',
+  secretAccessKey: 'mock-secret-key'
+};
+
+const escapeXml = (value) => String(value).replace(/[<>&'"]/g, char => `&#${char.charCodeAt(0)};`);
+
+const sendError = (res, status, code, message) => {
+  res.status(status).type('application/xml')
+    .send(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${escapeXml(message)}</Message></Error>`);
+};
+
+// Re-sign the request as received and compare with the signature it carries
+const hasValidSignature = (req, { accessKeyId, secretAccessKey }) => {
+  const match = (req.headers.authorization || '')
+    .match(/^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/s3\/aws4_request, SignedHeaders=([^,]+), Signature=([0-9a-f]+)$/);
+  if (!match || match[1] !== accessKeyId) return false;
+
+  const [, , , region, signedHeaderList] = match;
+  const amzDate = req.headers['x-amz-date'] || '';
+  const now = new Date(amzDate.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, '$1-$2-$3T$4:$5:$6Z'));
+  if (Number.isNaN(now.getTime())) return false;
+
+  // signRequest adds host and x-amz-* itself
+  const headers = Object.fromEntries(signedHeaderList.split(';')
+    .filter(name => !['host', 'x-amz-date', 'x-amz-content-sha256'].includes(name))
+    .map(name => [name, req.headers[name] || '']));
+
+  const expected = signRequest({
+    method: req.method,
+    url: new URL(req.originalUrl, `http://${req.headers.host}`),
+    headers,
+    body: req.body.length ? req.body : '',
+    region,
+    accessKeyId,
+    secretAccessKey,
+    now
+  });
+  return expected.authorization === req.headers.authorization;
+};
+
+const createMockS3App = ({ bucket = MOCK_S3_CREDENTIALS.bucket, ...credentials } = {}) => {
+  const app = express();
+  const { accessKeyId, secretAccessKey } = { ...MOCK_S3_CREDENTIALS, ...credentials };
+  const objects = new Map(); // key -> { body, contentType, lastModified }
+
+  app.use(express.raw({ type: () => true, limit: '50mb' }));
+
+  app.use((req, res, next) => {
+    if (!hasValidSignature(req, { accessKeyId, secretAccessKey })) {
+      return sendError(res, 403, 'SignatureDoesNotMatch', 'The request signature we calculated does not match the signature you provided');
+    }
+    const [, requestedBucket] = req.path.split('/');
+    if (decodeURIComponent(requestedBucket || '') !== bucket) {
+      return sendError(res, 404, 'NoSuchBucket', 'The specified bucket does not exist');
+    }
+    next();
+  });
+
+  app.get('/:bucket', (req, res) => {
+    if (req.query['list-type'] !== '2') {
+      return sendError(res, 400, 'InvalidArgument', 'Only ListObjectsV2 is supported');
+    }
+    const prefix = req.query.prefix || '';
+    const maxKeys = Math.min(Number(req.query['max-keys']) || 1000, 1000);
+    const keys = Array.from(objects.keys()).filter(key => key.startsWith(prefix)).sort();
+    // The continuation token is the last key of the previous page, base64-encoded
+    const after = req.query['continuation-token'] ? Buffer.from(req.query['continuation-token'], 'base64').toString() : '';
+    const remaining = keys.filter(key => key > after);
+    const page = remaining.slice(0, maxKeys);
+    const truncated = remaining.length > page.length;
+
+    const contents = page.map(key => {
+      const object = objects.get(key);
+      return `<Contents><Key>${escapeXml(key)}</Key><LastModified>${object.lastModified.toISOString()}</LastModified>`
+        + `<Size>${object.body.length}</Size><StorageClass>STANDARD</StorageClass></Contents>`;
+    }).join('');
+
+    res.type('application/xml').send('<?xml version="1.0" encoding="UTF-8"?>'
+      + '<ListBucketResult xmlns="http://s3.amazonaws.com/doc/2006-03-01/">'
+      + `<Name>${escapeXml(bucket)}</Name><Prefix>${escapeXml(prefix)}</Prefix><KeyCount>${page.length}</KeyCount>`
+      + `<MaxKeys>${maxKeys}</MaxKeys><IsTruncated>${truncated}</IsTruncated>`
+      + (truncated ? `<NextContinuationToken>${Buffer.from(page[page.length - 1]).toString('base64')}</NextContinuationToken>` : '')
+      + `${contents}</ListBucketResult>`);
+  });
+
+  app.put('/:bucket/*', (req, res) => {
+    objects.set(req.params[0], {
+      body: req.body,
+      contentType: req.headers['content-type'] || 'application/octet-stream',
+      lastModified: new Date()
+    });
+    res.set('ETag', '"mock"').status(200).end();
+  });
+
+  app.get('/:bucket/*', (req, res) => {
+    const object = objects.get(req.params[0]);
+    if (!object) {
+      return sendError(res, 404, 'NoSuchKey', 'The specified key does not exist.');
+    }
+    res.type(object.contentType).set('Last-Modified', object.lastModified.toUTCString()).send(object.body);
+  });
+
+  app.delete('/:bucket/*', (req, res) => {
+    objects.delete(req.params[0]);
+    res.status(204).end();
+  });
+
+  // For tests: backdate an object so age-based retention can be checked
+  app.locals.setLastModified = (key, date) => {
+    if (objects.has(key)) objects.get(key).lastModified = date;
+  };
+
+  return app;
+};
+
+// Resolves to { url, setLastModified, close } once listening; port 0 picks a free port
+const startMockS3 = ({ port = 0, ...options } = {}) => new Promise((resolve, reject) => {
+  const app = createMockS3App(options);
+  const server = app.listen(port, '127.0.0.1', () => {
+    resolve({
+      url: `http://127.0.0.1:${server.address().port}`,
+      setLastModified: app.locals.setLastModified,
+      close: () => new Promise(done => server.close(done))
+    });
+  });
+  server.on('error', reject);
+});
+
+if (require.main === module) {
+  startMockS3({ port: Number(process.env.MOCK_S3_PORT) || 4020 }).then(({ url }) => {
+    console.log(`Mock S3 server listening on ${url} (bucket "${MOCK_S3_CREDENTIALS.bucket}")`);
+  });
+}
+
+module.exports = {
+  MOCK_S3_CREDENTIALS,
+  createMockS3App,
+  startMockS3
+};
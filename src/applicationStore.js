@@ -0,0 +1,63 @@
+/*
+  Application status history
+  Naukri's apply history only reports where each application stands now. Every GET /applications
+  records the statuses it returns here: a status that differs from the last one recorded for the
+  application becomes a new history entry, stamped with when the wrapper first saw it.
+  Records live in one JSON file keyed by profileId, then application id; each keeps the newest
+  `historyLimit` entries.
+
+  Record shape:
+  { id, jobId, title, companyName, history: [{ status, statusLabel, firstSeenAt, reportedAt }] }
+  (reportedAt is Naukri's own timestamp for the status, when it sends one)
+*/
+
+const { createJsonFile } = require('./jsonFile');
+
+const createApplicationStore = ({ filePath, historyLimit = 20 }) => {
+  const file = createJsonFile(filePath);
+
+  const recordsFor = (profileId) => file.load()[profileId] || {};
+
+  return {
+    // Record the current status of normalized applications; the file is only rewritten on a change
+    record: async (profileId, applications) => {
+      const records = recordsFor(profileId);
+      const seenAt = new Date().toISOString();
+      let changed = false;
+
+      applications.filter(application => application.id).forEach(application => {
+        const record = records[application.id] || {
+          id: application.id,
+          jobId: application.jobId,
+          title: application.title,
+          companyName: application.company.name,
+          history: []
+        };
+        const last = record.history[record.history.length - 1];
+        if (last && last.status === application.status && last.statusLabel === application.statusLabel) {
+          return;
+        }
+
+        record.history = [...record.history, {
+          status: application.status,
+          statusLabel: application.statusLabel,
+          firstSeenAt: seenAt,
+          reportedAt: application.statusUpdatedAt
+        }].slice(-historyLimit);
+        records[application.id] = record;
+        changed = true;
+      });
+
+      if (changed) {
+        file.load()[profileId] = records;
+        await file.save();
+      }
+    },
+
+    get: (profileId, id) => recordsFor(profileId)[id] || null
+  };
+};
+
+module.exports = {
+  createApplicationStore
+};
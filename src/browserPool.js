@@ -0,0 +1,221 @@
+/*
+  Managed pool of Chrome instances for the browser logins.
+  Launching Chrome per request takes seconds and a lot of memory, so browsers are kept warm and
+  shared. Every lease gets a fresh browser context (incognito: no cookies or storage shared with
+  other logins) and one page in it.
+
+  - At most maxBrowsers browsers, each serving at most maxPagesPerBrowser leases at once.
+  - Requests beyond capacity wait in a FIFO queue (rejected after acquireTimeoutMs).
+  - A lease that sits idle for a long time (a login paused for an OTP) can be parked: it then
+    counts against maxParkedPages instead of its browser's slots, so it doesn't block other logins.
+  - Crashed/disconnected browsers are dropped and replaced on demand; browsers are also retired
+    after recycleAfter leases to keep Chrome's memory growth in check.
+*/
+
+const createBrowserPool = ({
+  launch,
+  maxBrowsers = 1,
+  maxPagesPerBrowser = 2,
+  maxParkedPages = 2,
+  acquireTimeoutMs = 60000,
+  recycleAfter = 50
+}) => {
+  const entries = [];
+  const queue = [];
+  let nextEntryId = 1;
+  let launching = 0;
+  const counters = { launched: 0, crashed: 0, recycled: 0, leases: 0, queueTimeouts: 0 };
+
+  const removeEntry = (entry) => {
+    const index = entries.indexOf(entry);
+    if (index !== -1) entries.splice(index, 1);
+  };
+
+  const closeEntry = (entry) => {
+    removeEntry(entry);
+    entry.closing = true;
+    entry.browser.close().catch(error => console.error(`[pool] Closing browser ${entry.id} failed:`, error.message));
+  };
+
+  const parkedPages = () => entries.reduce((total, entry) => total + entry.parkedPages, 0);
+
+  // Launch a browser with one slot already reserved for the caller
+  const launchEntry = async () => {
+    launching++;
+    let browser;
+    try {
+      browser = await launch();
+    } catch (error) {
+      launching--;
+      // The launch slot is free again: queued requests may launch their own browser
+      dispatch();
+      throw error;
+    }
+    launching--;
+
+    const entry = {
+      id: nextEntryId++,
+      browser,
+      activePages: 1,
+      parkedPages: 0,
+      served: 0,
+      retiring: false,
+      closing: false,
+      launchedAt: new Date()
+    };
+    counters.launched++;
+
+    browser.on('disconnected', () => {
+      if (entry.closing) return;
+      console.error(`[pool] Browser ${entry.id} disconnected unexpectedly, recycling`);
+      counters.crashed++;
+      removeEntry(entry);
+      dispatch();
+    });
+
+    entries.push(entry);
+    return entry;
+  };
+
+  const hasFreeSlot = (entry) => !entry.retiring && !entry.closing && entry.browser.connected && entry.activePages < maxPagesPerBrowser;
+
+  // Open a context + page on a browser whose slot the caller has already reserved (activePages++)
+  const openLease = async (entry, label) => {
+    entry.served++;
+    counters.leases++;
+    if (entry.served >= recycleAfter) {
+      entry.retiring = true;
+    }
+
+    let context;
+    try {
+      context = await entry.browser.createBrowserContext();
+      const page = await context.newPage();
+      let released = false;
+      let parked = false;
+
+      return {
+        browser: entry.browser,
+        context,
+        page,
+        browserId: entry.id,
+        // Move the lease from its browser's slots to the parked ones; false if those are full
+        park: () => {
+          if (released || parked) return parked;
+          if (parkedPages() >= maxParkedPages) return false;
+          parked = true;
+          entry.activePages--;
+          entry.parkedPages++;
+          dispatch();
+          return true;
+        },
+        release: async () => {
+          if (released) return;
+          released = true;
+          await context.close().catch(error => console.log(`[${label}] Closing browser context failed: ${error.message}`));
+          if (parked) {
+            entry.parkedPages--;
+          } else {
+            entry.activePages--;
+          }
+          if (entry.retiring && entry.activePages === 0 && entry.parkedPages === 0) {
+            console.log(`[pool] Retiring browser ${entry.id} after ${entry.served} leases`);
+            counters.recycled++;
+            closeEntry(entry);
+          }
+          dispatch();
+        }
+      };
+    } catch (error) {
+      entry.activePages--;
+      if (context) await context.close().catch(() => {});
+      dispatch();
+      throw error;
+    }
+  };
+
+  // Reserve a slot on a running browser, or launch one; null if the pool is at capacity.
+  // The reservation happens synchronously so concurrent callers can't take the same slot.
+  const reserveEntry = () => {
+    const free = entries.find(hasFreeSlot);
+    if (free) {
+      free.activePages++;
+      return Promise.resolve(free);
+    }
+    if (entries.length + launching < maxBrowsers) {
+      return launchEntry();
+    }
+    return null;
+  };
+
+  // Hand free capacity to queued requests in order
+  const dispatch = () => {
+    while (queue.length > 0) {
+      const reservation = reserveEntry();
+      if (!reservation) return;
+
+      const waiter = queue.shift();
+      clearTimeout(waiter.timer);
+      reservation
+        .then(entry => openLease(entry, waiter.label))
+        .then(waiter.resolve, waiter.reject);
+    }
+  };
+
+  return {
+    // Resolve to { browser, context, page, park, release }; always call release() when done
+    acquire: async (label = 'pool') => {
+      const reservation = reserveEntry();
+      if (reservation) {
+        return openLease(await reservation, label);
+      }
+
+      console.log(`[${label}] Browser pool at capacity, queued (position ${queue.length + 1})`);
+      return new Promise((resolve, reject) => {
+        const waiter = { label, resolve, reject };
+        waiter.timer = setTimeout(() => {
+          const index = queue.indexOf(waiter);
+          if (index !== -1) queue.splice(index, 1);
+          counters.queueTimeouts++;
+          reject(new Error(`No browser available after ${acquireTimeoutMs}ms (pool at capacity)`));
+        }, acquireTimeoutMs);
+        queue.push(waiter);
+      });
+    },
+
+    stats: () => ({
+      maxBrowsers,
+      maxPagesPerBrowser,
+      maxParkedPages,
+      browsers: entries.map(entry => ({
+        id: entry.id,
+        activePages: entry.activePages,
+        parkedPages: entry.parkedPages,
+        served: entry.served,
+        retiring: entry.retiring,
+        launchedAt: entry.launchedAt.toISOString()
+      })),
+      launching,
+      activePages: entries.reduce((total, entry) => total + entry.activePages, 0),
+      parkedPages: parkedPages(),
+      queued: queue.length,
+      ...counters
+    }),
+
+    close: async () => {
+      queue.splice(0).forEach(waiter => {
+        clearTimeout(waiter.timer);
+        waiter.reject(new Error('Browser pool is shutting down'));
+      });
+      await Promise.all(entries.slice().map(entry => {
+        removeEntry(entry);
+        entry.closing = true;
+        return entry.browser.close().catch(() => {});
+      }));
+    }
+  };
+};
+
+module.exports = {
+  createBrowserPool
+};
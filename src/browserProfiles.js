@@ -0,0 +1,83 @@
+/*
+  Persistent browser profiles for the browser login
+  Keeps each account's browser state (cookies + localStorage per origin) between logins, so Naukri
+  sees a returning device instead of a brand-new one and a still-valid session can skip the login
+  form. The state is restored into the pool's fresh incognito context, which keeps the pool shared
+  while accounts stay isolated:
+  - one file per set of credentials, named by an HMAC of username + password under WRAPPER_SECRET
+    (no usernames on disk). A profile is only found with the password it was saved with, so a
+    login with a wrong password never restores (and never returns) another login's session,
+  - encrypted with AES-256-GCM (see secrets.js; set WRAPPER_SECRET to keep profiles across restarts),
+  - the account key is stored inside the encrypted payload and checked on load, so a file copied
+    to another account's name is rejected.
+  After a password change the old file is no longer found; it is replaced by the next saved login.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { encryptSecret, decryptSecret, keyedHash } = require('./secrets');
+
+const accountKey = (username, password) => keyedHash(`${String(username).trim().toLowerCase()}\n${password}`);
+
+const createBrowserProfileStore = ({ directory, maxAgeMs }) => {
+  const fileFor = (username, password) => path.join(directory, `${accountKey(username, password)}.enc`);
+
+  return {
+    // Returns { cookies, localStorage, savedAt } or null (missing, expired or unreadable)
+    load: async (username, password) => {
+      const filePath = fileFor(username, password);
+      let payload;
+      try {
+        payload = await fs.promises.readFile(filePath, 'utf8');
+      } catch (error) {
+        if (error.code !== 'ENOENT') console.error('Reading browser profile failed:', error.message);
+        return null;
+      }
+
+      try {
+        const state = JSON.parse(decryptSecret(payload));
+        if (state.account !== accountKey(username, password)) {
+          throw new Error('profile belongs to another account');
+        }
+        if (Date.now() - new Date(state.savedAt).getTime() > maxAgeMs) {
+          await fs.promises.unlink(filePath).catch(() => {});
+          return null;
+        }
+        return { cookies: state.cookies || [], localStorage: state.localStorage || {}, savedAt: state.savedAt };
+      } catch (error) {
+        // Wrong key (WRAPPER_SECRET changed), tampering or a corrupt file: start from a blank profile
+        console.error('Discarding unreadable browser profile:', error.message);
+        await fs.promises.unlink(filePath).catch(() => {});
+        return null;
+      }
+    },
+
+    save: async (username, password, { cookies, localStorage }) => {
+      const state = {
+        account: accountKey(username, password),
+        savedAt: new Date().toISOString(),
+        cookies,
+        localStorage
+      };
+      await fs.promises.mkdir(directory, { recursive: true, mode: 0o700 });
+      const filePath = fileFor(username, password);
+      const tmpPath = `${filePath}.tmp`;
+      await fs.promises.writeFile(tmpPath, encryptSecret(JSON.stringify(state)), { mode: 0o600 });
+      await fs.promises.rename(tmpPath, filePath);
+    },
+
+    remove: async (username, password) => {
+      try {
+        await fs.promises.unlink(fileFor(username, password));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    }
+  };
+};
+
+module.exports = {
+  createBrowserProfileStore
+};
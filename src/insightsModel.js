@@ -0,0 +1,107 @@
+/*
+  Normalized insights model (GET /insights/profile-views, /insights/search-appearances, /insights/trends)
+  Maps Naukri's profile analytics onto stable shapes: a daily series of counts plus what Naukri
+  shows next to it (who viewed the profile, recruiter actions, the searches the profile appeared
+  in). buildTrends lines the locally recorded series up with the dates the profile was updated.
+*/
+
+const { pick, toDate } = require('./profileModel');
+
+const INSIGHTS_SCHEMA_VERSION = '1';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Any date value -> YYYY-MM-DD (UTC), or null
+const toDay = (value) => {
+  const date = toDate(value);
+  return date && date.length > 7 ? date.slice(0, 10) : null;
+};
+
+// [{ date, count }] with YYYY-MM-DD dates, oldest first
+const toDailySeries = (items) => (Array.isArray(items) ? items : [])
+  .map(item => ({ date: toDay(pick(item, 'date', 'day')), count: Number(pick(item, 'count', 'value')) || 0 }))
+  .filter(item => item.date)
+  .sort((a, b) => a.date.localeCompare(b.date));
+
+const toTotal = (value, daily) => (value === null ? daily.reduce((sum, item) => sum + item.count, 0) : Number(value));
+
+// Profile views response -> { schemaVersion, days, total, daily, viewers, recruiterActions }
+const normalizeProfileViews = (data, { days }) => {
+  const daily = toDailySeries(pick(data, 'viewsByDay', 'dailyViews'));
+  return {
+    schemaVersion: INSIGHTS_SCHEMA_VERSION,
+    days,
+    total: toTotal(pick(data, 'totalViews', 'profileViews'), daily),
+    daily,
+    viewers: (Array.isArray(data?.viewers) ? data.viewers : []).map(viewer => ({
+      company: pick(viewer, 'companyName', 'company'),
+      designation: pick(viewer, 'designation'),
+      location: pick(viewer, 'location'),
+      viewedAt: toDate(pick(viewer, 'viewedAt', 'viewDate'))
+    })),
+    recruiterActions: {
+      resumeDownloads: pick(data, 'recruiterActions.cvDownloads', 'recruiterActions.resumeDownloads'),
+      messages: pick(data, 'recruiterActions.messagesSent', 'recruiterActions.messages')
+    }
+  };
+};
+
+// Search appearances response -> { schemaVersion, days, total, daily, keywords }
+const normalizeSearchAppearances = (data, { days }) => {
+  const daily = toDailySeries(pick(data, 'appearancesByDay', 'dailyAppearances'));
+  return {
+    schemaVersion: INSIGHTS_SCHEMA_VERSION,
+    days,
+    total: toTotal(pick(data, 'totalAppearances', 'searchAppearances'), daily),
+    daily,
+    keywords: (Array.isArray(data?.topKeywords) ? data.topKeywords : []).map(item => ({
+      keyword: pick(item, 'keyword', 'label'),
+      count: Number(pick(item, 'count')) || 0
+    }))
+  };
+};
+
+const average = (values) => (values.length === 0
+  ? null
+  : Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 100) / 100);
+
+// Recorded insights ({ profileViews: { [date]: count }, searchAppearances, updates: [{ at, source }] })
+// -> one entry per day of the last `days` days, oldest first. Days nothing was recorded for are null,
+// not 0. averageViews compares days the profile was updated on with the other recorded days.
+const buildTrends = (recorded, { days, now = Date.now() }) => {
+  const dates = Array.from({ length: days }, (_, index) => toDay(now - (days - 1 - index) * DAY_MS));
+  const updates = recorded.updates.filter(update => toDay(update.at) >= dates[0]);
+  const updatesOn = (date) => updates.filter(update => toDay(update.at) === date).length;
+
+  const series = dates.map(date => ({
+    date,
+    profileViews: recorded.profileViews[date] ?? null,
+    searchAppearances: recorded.searchAppearances[date] ?? null,
+    profileUpdates: updatesOn(date)
+  }));
+  const withViews = series.filter(day => day.profileViews !== null);
+
+  return {
+    schemaVersion: INSIGHTS_SCHEMA_VERSION,
+    from: dates[0],
+    to: dates[dates.length - 1],
+    series,
+    updates,
+    summary: {
+      profileViews: withViews.reduce((sum, day) => sum + day.profileViews, 0),
+      searchAppearances: series.reduce((sum, day) => sum + (day.searchAppearances || 0), 0),
+      profileUpdates: updates.length,
+      averageViews: {
+        updateDays: average(withViews.filter(day => day.profileUpdates > 0).map(day => day.profileViews)),
+        otherDays: average(withViews.filter(day => day.profileUpdates === 0).map(day => day.profileViews))
+      }
+    }
+  };
+};
+
+module.exports = {
+  INSIGHTS_SCHEMA_VERSION,
+  buildTrends,
+  normalizeProfileViews,
+  normalizeSearchAppearances
+};
@@ -0,0 +1,64 @@
+/*
+  Insights time series
+  Naukri's analytics only cover a recent window. The wrapper keeps what /insights/profile-views
+  and /insights/search-appearances return as daily counts, plus the times the profile was updated
+  through the wrapper, so /insights/trends can chart them over a longer period.
+  One JSON file keyed by profileId; a day that is fetched again is overwritten with the newer
+  count. Days older than `maxDays` and all but the newest `updateLimit` updates are dropped.
+
+  Per-profile shape:
+  { profileViews: { [YYYY-MM-DD]: count }, searchAppearances: { [YYYY-MM-DD]: count },
+    updates: [{ at, source }] }
+*/
+
+const { createJsonFile } = require('./jsonFile');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const METRICS = ['profileViews', 'searchAppearances'];
+
+const createInsightsStore = ({ filePath, maxDays = 400, updateLimit = 1000 }) => {
+  const file = createJsonFile(filePath);
+
+  const insightsFor = (profileId) => ({
+    profileViews: {},
+    searchAppearances: {},
+    updates: [],
+    ...file.load()[profileId]
+  });
+
+  const save = async (profileId, insights) => {
+    const oldest = new Date(Date.now() - maxDays * DAY_MS).toISOString().slice(0, 10);
+    METRICS.forEach(metric => {
+      insights[metric] = Object.fromEntries(Object.entries(insights[metric]).filter(([date]) => date >= oldest));
+    });
+    insights.updates = insights.updates.slice(-updateLimit);
+    file.load()[profileId] = insights;
+    await file.save();
+  };
+
+  return {
+    // daily: [{ date: YYYY-MM-DD, count }] of one metric
+    recordSeries: async (profileId, metric, daily) => {
+      if (!METRICS.includes(metric)) {
+        throw new Error(`Unknown insights metric ${metric}`);
+      }
+      const insights = insightsFor(profileId);
+      daily.forEach(({ date, count }) => { insights[metric][date] = count; });
+      await save(profileId, insights);
+    },
+
+    // source says which wrapper route or job updated the profile
+    recordUpdate: async (profileId, source) => {
+      const insights = insightsFor(profileId);
+      insights.updates = [...insights.updates, { at: new Date().toISOString(), source }];
+      await save(profileId, insights);
+    },
+
+    get: (profileId) => insightsFor(profileId)
+  };
+};
+
+module.exports = {
+  createInsightsStore
+};
@@ -0,0 +1,269 @@
+/*
+  Normalized job model (GET /jobs/search, /jobs/recommended, /jobs/saved, GET /jobs/:jobId,
+  POST /jobs/:jobId/apply, GET /applications)
+  Maps the job entries of Naukri's job APIs onto stable job cards, full job details, apply
+  results and applications. Like the profile model, every value is looked up under its known locations and missing
+  values come back as null / [].
+
+  Bump JOB_SCHEMA_VERSION whenever the normalized shape changes incompatibly.
+*/
+
+const { pick, toDate, toSkills } = require('./profileModel');
+
+const JOB_SCHEMA_VERSION = '1';
+
+// Search results carry location, experience and salary as labelled "placeholders"
+const placeholder = (job, type) => {
+  const match = (Array.isArray(job?.placeholders) ? job.placeholders : []).find(item => item?.type === type);
+  return match?.label || null;
+};
+
+// Relative job URLs (jdURL) are resolved against baseUrl
+const toUrl = (value, baseUrl) => {
+  if (!value) return null;
+  try {
+    return new URL(value, `${baseUrl}/`).toString();
+  } catch (error) {
+    return null;
+  }
+};
+
+const LAKH = 100000;
+
+// Search results carry a salary label; job details carry salaryDetail with amounts in rupees
+const salaryLabel = (job) => {
+  const label = placeholder(job, 'salary') || pick(job, 'salary', 'salaryDetail.label');
+  if (label) return label;
+  const detail = job?.salaryDetail;
+  if (!detail) return null;
+  if (detail.hideSalary || !detail.maximumSalary) return 'Not disclosed';
+  return `${Math.round(detail.minimumSalary / LAKH)}-${Math.round(detail.maximumSalary / LAKH)} Lacs PA`;
+};
+
+const experienceLabel = (job) => {
+  const label = placeholder(job, 'experience') || pick(job, 'experienceText', 'experience');
+  if (label) return label;
+  const min = pick(job, 'minimumExperience');
+  const max = pick(job, 'maximumExperience');
+  return min === null || max === null ? null : `${min}-${max} Yrs`;
+};
+
+// One job card: { id, title, company, location, experience, salary, postedAt, postedLabel, tags, url }
+const normalizeJobCard = (job, { baseUrl }) => {
+  const salary = salaryLabel(job);
+  const location = placeholder(job, 'location') || pick(job, 'location', 'locations');
+  const keySkills = job?.keySkills && typeof job.keySkills === 'object' && !Array.isArray(job.keySkills)
+    ? [...(job.keySkills.preferred || []), ...(job.keySkills.other || [])]
+    : null;
+
+  return {
+    id: pick(job, 'jobId', 'id'),
+    title: pick(job, 'title', 'jobTitle', 'designation'),
+    company: {
+      id: pick(job, 'companyId', 'company.id'),
+      name: pick(job, 'companyName', 'company.name', 'companyDetail.name'),
+      logoUrl: pick(job, 'logoPathV3', 'logoPath', 'companyDetail.logo')
+    },
+    location: Array.isArray(location)
+      ? location.map(item => (typeof item === 'string' ? item : pick(item, 'label', 'name'))).filter(Boolean)
+      : (location ? location.split(',').map(item => item.trim()).filter(Boolean) : []),
+    experience: experienceLabel(job),
+    salary: {
+      label: salary,
+      disclosed: !!salary && !/not disclosed/i.test(salary)
+    },
+    postedAt: toDate(pick(job, 'createdDate', 'postedDate', 'addDate')),
+    postedLabel: pick(job, 'footerPlaceholderLabel', 'postedLabel'),
+    tags: toSkills(keySkills || pick(job, 'tagsAndSkills', 'keySkills', 'skills')),
+    url: toUrl(pick(job, 'jdURL', 'staticUrl', 'url'), baseUrl)
+  };
+};
+
+// Search and recommended jobs response -> { schemaVersion, total, page, pageSize, hasMore, jobs }
+const normalizeJobSearch = (data, { page, pageSize, baseUrl }) => {
+  const jobs = (Array.isArray(data?.jobDetails) ? data.jobDetails : []).map(job => normalizeJobCard(job, { baseUrl }));
+  const total = Number(pick(data, 'noOfJobs', 'totalJobs')) || 0;
+  return {
+    schemaVersion: JOB_SCHEMA_VERSION,
+    total,
+    page,
+    pageSize,
+    hasMore: page * pageSize < total,
+    jobs
+  };
+};
+
+// Saved jobs response -> the search shape, each card with the time it was saved (savedAt)
+const normalizeSavedJobs = (data, { page, pageSize, baseUrl }) => {
+  const saved = Array.isArray(data?.savedJobs) ? data.savedJobs : [];
+  const total = Number(pick(data, 'totalCount', 'noOfJobs')) || 0;
+  return {
+    schemaVersion: JOB_SCHEMA_VERSION,
+    total,
+    page,
+    pageSize,
+    hasMore: page * pageSize < total,
+    jobs: saved.map(job => ({
+      ...normalizeJobCard(job, { baseUrl }),
+      savedAt: toDate(pick(job, 'savedDate', 'savedOn'))
+    }))
+  };
+};
+
+// Job details response -> the card fields plus the full description and everything around it.
+// apply.type is 'naukri' (apply through POST /jobs/:jobId/apply) or 'external' (company site).
+const normalizeJobDetails = (data, { baseUrl }) => {
+  const job = data?.jobDetails || data || {};
+  const redirectUrl = pick(job, 'applyRedirectUrl', 'companyApplyUrl');
+  const preferred = toSkills(pick(job, 'keySkills.preferred'));
+
+  return {
+    schemaVersion: JOB_SCHEMA_VERSION,
+    ...normalizeJobCard(job, { baseUrl }),
+    description: pick(job, 'description', 'jobDescription'),
+    skills: {
+      preferred,
+      other: toSkills(pick(job, 'keySkills.other')).filter(skill => !preferred.includes(skill))
+    },
+    role: pick(job, 'designation', 'role'),
+    roleCategory: pick(job, 'roleCategory'),
+    department: pick(job, 'functionalArea', 'department'),
+    industry: pick(job, 'industry'),
+    employmentType: pick(job, 'employmentType'),
+    workMode: pick(job, 'wfhLabel', 'workMode'),
+    education: {
+      ug: toSkills(pick(job, 'education.ug')),
+      pg: toSkills(pick(job, 'education.pg'))
+    },
+    openings: pick(job, 'vacancy', 'openings'),
+    applicants: pick(job, 'applyCount', 'applicants'),
+    companyProfile: {
+      about: pick(job, 'companyDetail.details', 'aboutCompany'),
+      website: pick(job, 'companyDetail.websiteUrl')
+    },
+    apply: {
+      type: redirectUrl ? 'external' : 'naukri',
+      redirectUrl: redirectUrl || null,
+      alreadyApplied: !!pick(job, 'applied', 'alreadyApplied')
+    }
+  };
+};
+
+// Question types Naukri uses in recruiter questionnaires and the apply chatbot
+const QUESTION_TYPES = {
+  'Text Box': 'text',
+  'Radio Button': 'single_choice',
+  'List Menu': 'single_choice',
+  'Check Box': 'multiple_choice'
+};
+
+const normalizeQuestion = (question, source) => {
+  const options = question.answerOption || question.options || {};
+  return {
+    id: String(pick(question, 'questionId', 'id')),
+    source,
+    question: pick(question, 'questionName', 'question', 'text'),
+    type: QUESTION_TYPES[question.questionType] || pick(question, 'questionType', 'type') || 'text',
+    options: Array.isArray(options)
+      ? options.map(option => (typeof option === 'string' ? option : pick(option, 'label', 'value')))
+      : Object.values(options),
+    required: question.isMandatory !== false
+  };
+};
+
+// Apply response -> { status, applied, message, questions?, redirectUrl? } for jobId. status is
+// applied, already_applied, questions_required, external or failed.
+const normalizeApplyResult = (data, jobId) => {
+  const jobs = Array.isArray(data?.jobs) ? data.jobs : [];
+  const result = jobs.find(job => String(job?.jobId) === String(jobId)) || jobs[0] || {};
+  const message = pick(result, 'message') || pick(data, 'message');
+  const redirectUrl = pick(result, 'applyRedirectUrl') || pick(data, 'applyRedirectUrl');
+
+  if (redirectUrl) {
+    return { status: 'external', applied: false, message, redirectUrl };
+  }
+
+  const questions = [
+    ...(Array.isArray(result.questionnaire) ? result.questionnaire.map(question => normalizeQuestion(question, 'questionnaire')) : []),
+    ...(Array.isArray(result.chatbotQuestions) ? result.chatbotQuestions.map(question => normalizeQuestion(question, 'chatbot')) : [])
+  ];
+  if (questions.length > 0) {
+    return { status: 'questions_required', applied: false, message, questions };
+  }
+
+  if (result.alreadyApplied || /already applied/i.test(message || '')) {
+    return { status: 'already_applied', applied: false, message };
+  }
+  if (Number(result.status) === 200 || result.applied === true) {
+    return { status: 'applied', applied: true, message };
+  }
+  return { status: 'failed', applied: false, message };
+};
+
+// Naukri's apply history status codes -> the wrapper's application statuses
+const APPLICATION_STATUSES = {
+  APPLIED: 'applied',
+  VIEWED: 'viewed',
+  APPLICATION_VIEWED: 'viewed',
+  SHORTLISTED: 'shortlisted',
+  NOT_SHORTLISTED: 'rejected',
+  REJECTED: 'rejected'
+};
+
+// Falls back to the status label when the code is missing or new ("Not shortlisted" is checked
+// before "shortlisted")
+const applicationStatus = (code, label) => {
+  if (APPLICATION_STATUSES[code]) return APPLICATION_STATUSES[code];
+  const text = String(label || '').toLowerCase();
+  if (/not (shortlisted|suitable)|reject/.test(text)) return 'rejected';
+  if (/shortlist|interview/.test(text)) return 'shortlisted';
+  if (/view/.test(text)) return 'viewed';
+  if (/appl/.test(text)) return 'applied';
+  return 'unknown';
+};
+
+// One apply history entry: the job card fields that apply to it, plus the application itself.
+// status is applied, viewed (by the recruiter), shortlisted, rejected or unknown; statusLabel is
+// Naukri's own wording.
+const normalizeApplication = (entry, { baseUrl }) => {
+  const card = normalizeJobCard(entry, { baseUrl });
+  const statusLabel = pick(entry, 'applyStatus.statusText', 'statusText', 'status');
+  const id = pick(entry, 'applyId', 'applicationId');
+  return {
+    id: id === null ? null : String(id),
+    jobId: card.id === null ? null : String(card.id),
+    title: card.title,
+    company: { id: card.company.id, name: card.company.name },
+    location: card.location,
+    url: card.url,
+    appliedAt: toDate(pick(entry, 'appliedDate', 'applyDate')),
+    status: applicationStatus(pick(entry, 'applyStatus.statusCode', 'statusCode'), statusLabel),
+    statusLabel,
+    statusUpdatedAt: toDate(pick(entry, 'applyStatus.updatedDate', 'statusUpdatedDate')),
+    jobActive: pick(entry, 'isJobActive') !== false
+  };
+};
+
+// Apply history response -> { schemaVersion, total, page, pageSize, hasMore, applications }
+const normalizeApplications = (data, { page, pageSize, baseUrl }) => {
+  const entries = Array.isArray(data?.applies) ? data.applies : [];
+  const total = Number(pick(data, 'totalCount', 'noOfApplies')) || 0;
+  return {
+    schemaVersion: JOB_SCHEMA_VERSION,
+    total,
+    page,
+    pageSize,
+    hasMore: page * pageSize < total,
+    applications: entries.map(entry => normalizeApplication(entry, { baseUrl }))
+  };
+};
+
+module.exports = {
+  JOB_SCHEMA_VERSION,
+  normalizeApplications,
+  normalizeApplyResult,
+  normalizeJobCard,
+  normalizeJobDetails,
+  normalizeJobSearch,
+  normalizeSavedJobs
+};
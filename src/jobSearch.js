@@ -0,0 +1,152 @@
+/*
+  Job search parameters (GET /jobs/search, GET /jobs/recommended, GET /jobs/saved)
+  Validates the wrapper's query string and maps it onto the query Naukri's search API
+  (jobapi/v3/search) expects. Query values arrive as strings, so numbers are coerced; unknown
+  parameters are rejected like unknown profile fields are. The recommended and saved lists only
+  take the paging parameters, as does GET /applications.
+*/
+
+const Ajv = require('ajv');
+
+const ajv = new Ajv({ allErrors: true, coerceTypes: true, useDefaults: true });
+
+const WORK_MODES = {
+  office: '0',
+  remote: '2',
+  hybrid: '3'
+};
+
+// Posted within the last N days; Naukri only offers these windows
+const FRESHNESS_DAYS = [1, 3, 7, 15, 30];
+
+// Naukri's salary filter buckets, in lakhs per annum
+const SALARY_BUCKETS = [[0, 3], [3, 6], [6, 10], [10, 15], [15, 25], [25, 50], [50, 75], [75, 100], [100, 500]];
+
+const MAX_PAGE_SIZE = 100;
+
+const searchText = { type: 'string', minLength: 1, maxLength: 200, pattern: '\\S' };
+const lakhs = { type: 'number', minimum: 0, maximum: 500 };
+
+const PAGING = {
+  page: { type: 'integer', minimum: 1, maximum: 1000, default: 1 },
+  pageSize: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: 20 },
+  format: { enum: ['normalized', 'raw'], default: 'normalized' }
+};
+
+const validateQuery = ajv.compile({
+  type: 'object',
+  additionalProperties: false,
+  anyOf: [{ required: ['keyword'] }, { required: ['location'] }],
+  properties: {
+    keyword: searchText,
+    location: searchText,
+    experience: { type: 'integer', minimum: 0, maximum: 30 },
+    salaryMin: lakhs,
+    salaryMax: lakhs,
+    freshness: { type: 'integer', enum: FRESHNESS_DAYS },
+    workMode: { type: 'string', pattern: `^(${Object.keys(WORK_MODES).join('|')})(,(${Object.keys(WORK_MODES).join('|')}))*$` },
+    ...PAGING
+  }
+});
+
+const validatePaging = ajv.compile({
+  type: 'object',
+  additionalProperties: false,
+  properties: PAGING
+});
+
+const toFieldError = (error) => {
+  const field = error.instancePath.replace(/^\//, '');
+  if (error.keyword === 'anyOf' || (error.keyword === 'required' && error.schemaPath.startsWith('#/anyOf'))) {
+    return { field: 'keyword', message: 'keyword or location is required' };
+  }
+  if (error.keyword === 'additionalProperties') {
+    return { field: error.params.additionalProperty, message: 'is not a supported parameter' };
+  }
+  if (field === 'workMode') {
+    return { field, message: `must be a comma-separated list of ${Object.keys(WORK_MODES).join(', ')}` };
+  }
+  if (error.keyword === 'enum') {
+    return { field, message: `must be one of ${error.params.allowedValues.join(', ')}` };
+  }
+  if (error.keyword === 'pattern') {
+    return { field, message: 'must not be blank' };
+  }
+  return { field, message: error.message };
+};
+
+const slugify = (value) => value.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// Buckets overlapping [salaryMin, salaryMax], e.g. 8-20 -> 6to10, 10to15, 15to25. A bucket holds
+// its lower bound (10 is in 10to15) and the last one also its upper bound, so every value from
+// 0 to 500, even a single one like 10-10, matches at least one bucket
+const salaryBuckets = (min = 0, max = Infinity) => SALARY_BUCKETS
+  .filter(([from, to], index) => from <= max && (index === SALARY_BUCKETS.length - 1 ? to >= min : to > min))
+  .map(([from, to]) => `${from}to${to}`);
+
+// Validate the /jobs/search query. Returns { params, page, pageSize, format } where params is the
+// upstream query (arrays are sent as repeated parameters), or { errors: [{ field, message }] }.
+const buildJobSearch = (query) => {
+  const input = { ...query };
+  if (!validateQuery(input)) {
+    // anyOf reports each branch; one message is enough
+    const errors = validateQuery.errors.map(toFieldError)
+      .filter((error, index, all) => all.findIndex(other => other.field === error.field && other.message === error.message) === index);
+    return { errors };
+  }
+  if (input.salaryMin !== undefined && input.salaryMax !== undefined && input.salaryMin > input.salaryMax) {
+    return { errors: [{ field: 'salaryMin', message: 'must not be greater than salaryMax' }] };
+  }
+
+  const { keyword, location, experience, salaryMin, salaryMax, freshness, workMode, page, pageSize, format } = input;
+  const seoKey = [keyword && `${slugify(keyword)}-jobs`, location && `in-${slugify(location)}`].filter(Boolean).join('-');
+  const urlType = keyword && location ? 'search_by_key_loc' : keyword ? 'search_by_keyword' : 'search_by_location';
+
+  const params = {
+    noOfResults: pageSize,
+    urlType,
+    searchType: 'adv',
+    pageNo: page,
+    seoKey,
+    src: 'jobsearchDesk',
+    latLong: ''
+  };
+  if (keyword) {
+    params.keyword = keyword.trim();
+    params.k = keyword.trim();
+  }
+  if (location) {
+    params.location = location.trim();
+    params.l = location.trim();
+  }
+  if (experience !== undefined) {
+    params.experience = experience;
+  }
+  if (salaryMin !== undefined || salaryMax !== undefined) {
+    params.ctcFilter = salaryBuckets(salaryMin, salaryMax);
+  }
+  if (freshness !== undefined) {
+    params.jobAge = freshness;
+  }
+  if (workMode) {
+    params.wfhType = [...new Set(workMode.split(','))].map(mode => WORK_MODES[mode]);
+  }
+
+  return { params, page, pageSize, format };
+};
+
+// Validate the page / pageSize / format query of the recommended and saved jobs and applications.
+// Returns { params: { noOfResults, pageNo }, page, pageSize, format } or { errors }.
+const buildJobPage = (query) => {
+  const input = { ...query };
+  if (!validatePaging(input)) {
+    return { errors: validatePaging.errors.map(toFieldError) };
+  }
+  const { page, pageSize, format } = input;
+  return { params: { noOfResults: pageSize, pageNo: page }, page, pageSize, format };
+};
+
+module.exports = {
+  buildJobPage,
+  buildJobSearch
+};
@@ -0,0 +1,55 @@
+/*
+  Small JSON-file persistence helper shared by the file-backed stores.
+  The whole document is kept in memory; every save rewrites the file atomically (tmp file + rename),
+  and writes are serialized through a promise chain so concurrent saves don't clobber each other.
+  A failed write rejects its save() and leaves the in-memory document as is.
+*/
+
+const fs = require('fs');
+const path = require('path');
+
+const createJsonFile = (filePath, createDefault = () => ({})) => {
+  let data = null;
+  let writeChain = Promise.resolve();
+
+  // Load the document once; a missing or unreadable file starts from the default value
+  const load = () => {
+    if (data) return data;
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`${filePath} unreadable, starting empty:`, error.message);
+      }
+      data = createDefault();
+    }
+    return data;
+  };
+
+  // Rejects if the write fails, so callers know the data did not reach disk; the next save still runs
+  const save = () => {
+    const snapshot = JSON.stringify(load(), null, 2);
+    const write = writeChain.then(async () => {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.tmp`;
+      // Stores may hold tokens or profile data: keep files private to this user
+      await fs.promises.writeFile(tmpPath, snapshot, { mode: 0o600 });
+      await fs.promises.rename(tmpPath, filePath);
+    });
+    writeChain = write.catch(() => {});
+    return write.catch(error => {
+      console.error(`Failed to write ${filePath}:`, error.message);
+      throw error;
+    });
+  };
+
+  return { filePath, load, save };
+};
+
+// Default location for a store file: DATA_DIR (or .cache/ in the working directory)
+const getDataPath = (fileName) => path.join(process.env.DATA_DIR || path.join(process.cwd(), '.cache'), fileName);
+
+module.exports = {
+  createJsonFile,
+  getDataPath
+};
@@ -0,0 +1,132 @@
+/*
+  Browser login failure classification
+  When a browser login fails, the page it failed on says more than the exception does. The
+  classifier combines both into a machine-readable code with the HTTP status the wrapper answers
+  with and whether trying again later can help:
+
+  INVALID_CREDENTIALS  401  no   Naukri showed a wrong username/password message
+  OTP_REQUIRED         403  no   Naukri asked for an OTP where none can be answered
+  CAPTCHA              403  yes  a captcha blocked the login (usually clears after a while)
+  SELECTOR_NOT_FOUND   502  no   a flow step matched nothing: the UI changed, fix the flow definition
+  NAVIGATION_TIMEOUT   504  yes  Naukri did not load (or the login ran out of time)
+  BROWSER_CRASH        503  yes  Chrome crashed, disconnected or could not be started
+  BROWSER_UNAVAILABLE  503  yes  every pooled browser was busy for too long
+  UNKNOWN              500  no   none of the above
+
+  The selectors for error banners and captchas come from the flow definition's optional `failure`
+  section (see loginFlow.js).
+*/
+
+const LOGIN_FAILURES = {
+  INVALID_CREDENTIALS: { status: 401, retryable: false },
+  OTP_REQUIRED: { status: 403, retryable: false },
+  CAPTCHA: { status: 403, retryable: true },
+  SELECTOR_NOT_FOUND: { status: 502, retryable: false },
+  NAVIGATION_TIMEOUT: { status: 504, retryable: true },
+  BROWSER_CRASH: { status: 503, retryable: true },
+  BROWSER_UNAVAILABLE: { status: 503, retryable: true },
+  UNKNOWN: { status: 500, retryable: false }
+};
+
+// Error banner texts that mean the credentials were rejected
+const INVALID_CREDENTIALS_PATTERN = /invalid|incorrect|wrong|not registered|does not exist|doesn't exist|did not match|didn't match/i;
+
+const BROWSER_CRASH_PATTERN = /target closed|session closed|browser has disconnected|protocol error|page crashed|could not find chrome|failed to launch/i;
+
+const PAGE_INSPECT_TIMEOUT_MS = 5000;
+
+// Collect what the failing page shows: { available, url, errorBanners, captcha, otpInput }.
+// A crashed or closed page comes back as { available: false }.
+const inspectFailurePage = async (page, flow) => {
+  if (!page || page.isClosed()) {
+    return { available: false };
+  }
+
+  const failure = flow.failure || {};
+  const inspect = page.evaluate(({ errorSelectors, captchaSelectors, otpSelectors }) => {
+    const isVisible = (element) => !!(element.offsetWidth || element.offsetHeight || element.getClientRects().length);
+    const visibleMatches = (selectors) => selectors.flatMap(selector => {
+      try {
+        return Array.from(document.querySelectorAll(selector)).filter(isVisible);
+      } catch (error) {
+        return []; // Not valid CSS for querySelectorAll (e.g. :contains)
+      }
+    });
+
+    return {
+      errorBanners: [...new Set(visibleMatches(errorSelectors).map(element => element.textContent.trim()).filter(Boolean))].slice(0, 5),
+      captcha: visibleMatches(captchaSelectors).length > 0,
+      otpInput: visibleMatches(otpSelectors).length > 0
+    };
+  }, {
+    errorSelectors: failure.errorSelectors || [],
+    captchaSelectors: failure.captchaSelectors || [],
+    otpSelectors: flow.otp.inputSelectors
+  });
+
+  // The race below may settle first; don't let a late rejection go unhandled
+  inspect.catch(() => {});
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error('page did not respond')), PAGE_INSPECT_TIMEOUT_MS);
+  });
+
+  try {
+    const state = await Promise.race([inspect, timeout]);
+    return { available: true, url: page.url(), ...state };
+  } catch (error) {
+    return { available: false, reason: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Returns { code, status, retryable, reason } for a failed login.
+// error: what the login threw (flow step failures carry error.stepId)
+// pageState: inspectFailurePage() result, or null if there was no page yet
+// context.timedOut: the login's overall time limit fired
+const classifyLoginFailure = (error, pageState, context = {}) => {
+  const message = error?.message || '';
+  const result = (code, reason) => ({ code, ...LOGIN_FAILURES[code], reason });
+
+  if (context.timedOut) {
+    return result('NAVIGATION_TIMEOUT', 'The login did not finish within its time limit');
+  }
+  if (/no browser available/i.test(message)) {
+    return result('BROWSER_UNAVAILABLE', 'No pooled browser became free in time');
+  }
+  if (BROWSER_CRASH_PATTERN.test(message) || (pageState && !pageState.available)) {
+    return result('BROWSER_CRASH', 'The browser crashed, disconnected or could not be started');
+  }
+
+  if (pageState) {
+    if (pageState.captcha || /captcha/i.test(pageState.url || '')) {
+      return result('CAPTCHA', 'Naukri showed a captcha');
+    }
+    if (pageState.otpInput) {
+      return result('OTP_REQUIRED', 'Naukri asked for an OTP');
+    }
+    const banner = (pageState.errorBanners || []).find(text => INVALID_CREDENTIALS_PATTERN.test(text));
+    if (banner) {
+      return result('INVALID_CREDENTIALS', banner);
+    }
+  }
+
+  if (/otp/i.test(message)) {
+    return result('OTP_REQUIRED', 'Naukri asked for an OTP');
+  }
+  if (error?.name === 'TimeoutError' || /navigation failed|navigation timeout|timeout .* exceeded/i.test(message)) {
+    return result('NAVIGATION_TIMEOUT', 'A Naukri page did not load in time');
+  }
+  if (error?.stepId) {
+    return result('SELECTOR_NOT_FOUND', `No selector matched at flow step "${error.stepId}"`);
+  }
+  return result('UNKNOWN', 'The login failed for an unrecognised reason');
+};
+
+module.exports = {
+  LOGIN_FAILURES,
+  inspectFailurePage,
+  classifyLoginFailure
+};
@@ -0,0 +1,284 @@
+/*
+  Declarative browser login flow
+  The selectors the browser login depends on live in a flow definition file (JSON or YAML,
+  default flows/naukri-login.json) instead of the code, so a Naukri UI change is a file edit:
+  - steps run in order; each is `wait`, `screenshot`, `waitFor`, `click` or `type`,
+  - selector steps try their fallback `selectors` in order and record which one matched,
+  - `success` and `otp` hold the selectors used after the credentials are submitted,
+  - the optional `failure` section lists error banners and captchas (see loginFailures.js).
+  Bump `version` on every edit; it is reported with each login so a failure can be traced back
+  to the definition that ran. The file is watched and reloaded on change; an invalid edit is
+  rejected and the previous definition stays active.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const YAML = require('yaml');
+
+const ajv = new Ajv({ allErrors: true });
+
+const selectorList = { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } };
+const delayRange = { type: 'array', minItems: 2, maxItems: 2, items: { type: 'integer', minimum: 0 } };
+
+const stepSchema = {
+  type: 'object',
+  required: ['id', 'action'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    action: { enum: ['wait', 'screenshot', 'waitFor', 'click', 'type'] },
+    ms: delayRange,
+    name: { type: 'string', minLength: 1 },
+    selectors: selectorList,
+    timeoutMs: { type: 'integer', minimum: 0 },
+    // Which login value to type; only the wrapper's own values can be referenced
+    value: { enum: ['username', 'password'] },
+    optional: { type: 'boolean' },
+    onFailure: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        screenshot: { type: 'string', minLength: 1 },
+        inspect: { enum: ['links', 'inputs', 'buttons'] },
+        error: { type: 'string', minLength: 1 }
+      }
+    }
+  },
+  allOf: [
+    { if: { properties: { action: { const: 'wait' } } }, then: { required: ['ms'] } },
+    { if: { properties: { action: { const: 'screenshot' } } }, then: { required: ['name'] } },
+    { if: { properties: { action: { enum: ['waitFor', 'click', 'type'] } } }, then: { required: ['selectors'] } },
+    { if: { properties: { action: { const: 'type' } } }, then: { required: ['value'] } }
+  ]
+};
+
+const validateFlow = ajv.compile({
+  type: 'object',
+  required: ['name', 'version', 'startUrl', 'steps', 'success', 'otp'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    version: { type: 'integer', minimum: 1 },
+    startUrl: { type: 'string', pattern: '^https?://' },
+    steps: { type: 'array', minItems: 1, items: stepSchema },
+    success: {
+      type: 'object',
+      required: ['indicators', 'loginFormSelectors'],
+      additionalProperties: false,
+      properties: {
+        indicators: selectorList,
+        loginFormSelectors: selectorList
+      }
+    },
+    otp: {
+      type: 'object',
+      required: ['inputSelectors', 'submitSelectors'],
+      additionalProperties: false,
+      properties: {
+        inputSelectors: selectorList,
+        submitSelectors: selectorList
+      }
+    },
+    failure: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        errorSelectors: selectorList,
+        captchaSelectors: selectorList
+      }
+    }
+  }
+});
+
+// Read and validate a flow definition; throws with every problem found
+const parseFlowFile = (filePath) => {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const flow = /\.ya?ml$/i.test(filePath) ? YAML.parse(text) : JSON.parse(text);
+
+  if (!validateFlow(flow)) {
+    const problems = validateFlow.errors.map(error => `${error.instancePath || '/'} ${error.message}`);
+    throw new Error(`Invalid login flow ${filePath}: ${problems.join('; ')}`);
+  }
+
+  const seen = new Set();
+  flow.steps.forEach(step => {
+    if (seen.has(step.id)) {
+      throw new Error(`Invalid login flow ${filePath}: duplicate step id "${step.id}"`);
+    }
+    seen.add(step.id);
+  });
+
+  return flow;
+};
+
+// Load the flow definition and keep it current. Throws at startup if the file is unusable;
+// later reloads that fail keep the previous definition and are reported through status().
+const createLoginFlowLoader = ({ filePath, watchIntervalMs = 2000 }) => {
+  const resolvedPath = path.resolve(filePath);
+  let current = null;
+  let loadedAt = null;
+  let lastError = null;
+
+  const reload = () => {
+    try {
+      current = parseFlowFile(resolvedPath);
+      loadedAt = new Date().toISOString();
+      lastError = null;
+      console.log(`Login flow ${current.name} v${current.version} loaded from ${resolvedPath}`);
+      return { ok: true, name: current.name, version: current.version };
+    } catch (error) {
+      if (!current) throw error;
+      lastError = { message: error.message, at: new Date().toISOString() };
+      console.error(`Login flow reload failed, keeping ${current.name} v${current.version}:`, error.message);
+      return { ok: false, error: error.message };
+    }
+  };
+
+  reload();
+
+  if (watchIntervalMs > 0) {
+    // watchFile polls, which also works for files replaced by editors and on mounted volumes
+    fs.watchFile(resolvedPath, { interval: watchIntervalMs, persistent: false }, (currentStat, previousStat) => {
+      if (currentStat.mtimeMs !== previousStat.mtimeMs) {
+        reload();
+      }
+    });
+  }
+
+  return {
+    current: () => current,
+    reload,
+    status: () => ({
+      filePath: resolvedPath,
+      name: current.name,
+      version: current.version,
+      loadedAt,
+      lastError
+    })
+  };
+};
+
+// Page dumps logged when a step finds nothing, to see what the page offered instead
+const inspectors = {
+  links: (page) => page.$$eval('a', elements =>
+    elements.map(el => ({
+      text: el.textContent.trim(),
+      title: el.title,
+      href: el.href,
+      className: el.className
+    })).filter(el =>
+      el.text.toLowerCase().includes('login') ||
+      el.title.toLowerCase().includes('login') ||
+      el.href.toLowerCase().includes('login')
+    )
+  ),
+  inputs: (page) => page.$$eval('input', inputs =>
+    inputs.map(input => ({
+      type: input.type,
+      name: input.name,
+      id: input.id,
+      className: input.className,
+      placeholder: input.placeholder,
+      visible: input.offsetParent !== null
+    }))
+  ),
+  buttons: (page) => page.$$eval('button, input[type="submit"]', buttons =>
+    buttons.map(btn => ({
+      type: btn.type,
+      className: btn.className,
+      id: btn.id,
+      text: btn.textContent?.trim(),
+      value: btn.value,
+      visible: btn.offsetParent !== null
+    }))
+  )
+};
+
+// Try each selector with `attempt` (resolves true on success); returns the one that worked or null
+const firstMatching = async (selectors, attempt, sessionId, stepId) => {
+  for (const selector of selectors) {
+    try {
+      console.log(`[${sessionId}] ${stepId}: trying selector ${selector}`);
+      if (await attempt(selector)) {
+        return selector;
+      }
+    } catch (error) {
+      console.log(`[${sessionId}] ${stepId}: selector ${selector} failed, trying next...`);
+    }
+  }
+  return null;
+};
+
+// Run the flow's steps on `page`. Each step is appended to report.steps as
+// { id, action, status: 'ok' | 'skipped' | 'failed', matched, durationMs }.
+// helpers: { click, type, screenshot, delay } from the server (human-like page actions).
+// values: { username, password } for `type` steps.
+const runLoginFlow = async (flow, { page, sessionId, values, helpers, report }) => {
+  for (const step of flow.steps) {
+    const entry = { id: step.id, action: step.action, status: 'ok', matched: null, durationMs: 0 };
+    const startedAt = Date.now();
+    report.steps.push(entry);
+
+    try {
+      if (step.action === 'wait') {
+        await helpers.delay(step.ms[0], step.ms[1]);
+        continue;
+      }
+      if (step.action === 'screenshot') {
+        await helpers.screenshot(page, step.name, sessionId);
+        continue;
+      }
+
+      const timeout = step.timeoutMs ?? 20000;
+      if (step.action === 'click') {
+        entry.matched = await firstMatching(step.selectors, selector => helpers.click(page, selector, sessionId, timeout), sessionId, step.id);
+      } else if (step.action === 'type') {
+        entry.matched = await firstMatching(step.selectors, selector => helpers.type(page, selector, values[step.value], sessionId, timeout), sessionId, step.id);
+      } else if (step.action === 'waitFor') {
+        try {
+          await page.waitForSelector(step.selectors.join(', '), { timeout, visible: true });
+          entry.matched = await firstMatching(step.selectors, async selector => !!await page.$(selector), sessionId, step.id);
+        } catch (error) {
+          entry.matched = null;
+        }
+      }
+
+      if (entry.matched) {
+        console.log(`[${sessionId}] ${step.id}: matched ${entry.matched}`);
+        continue;
+      }
+
+      if (step.optional) {
+        entry.status = 'skipped';
+        console.log(`[${sessionId}] ${step.id}: no selector matched (optional), continuing...`);
+        continue;
+      }
+
+      entry.status = 'failed';
+      const onFailure = step.onFailure || {};
+      if (onFailure.screenshot) {
+        await helpers.screenshot(page, onFailure.screenshot, sessionId);
+      }
+      if (onFailure.inspect) {
+        try {
+          const found = await inspectors[onFailure.inspect](page);
+          console.log(`[${sessionId}] ${step.id}: page ${onFailure.inspect}:`, JSON.stringify(found, null, 2));
+        } catch (error) {
+          console.log(`[${sessionId}] ${step.id}: inspecting ${onFailure.inspect} failed: ${error.message}`);
+        }
+      }
+      const error = new Error(onFailure.error || `Login flow step "${step.id}" failed: no selector matched`);
+      error.stepId = step.id;
+      throw error;
+    } finally {
+      entry.durationMs = Date.now() - startedAt;
+    }
+  }
+};
+
+module.exports = {
+  parseFlowFile,
+  createLoginFlowLoader,
+  runLoginFlow
+};
@@ -0,0 +1,122 @@
+/*
+  Background browser login jobs (POST /auth/login-new?async=true)
+  A browser login can take up to two minutes, longer than many proxies keep a request open, so
+  an async login returns a job id right away and the login keeps running in the background.
+
+  Jobs are tracked by their id and by the login's screenshot sessionId (which is what the
+  browser flow knows about). Every change is published to subscribers (the SSE stream):
+  - 'step'   { step, screenshotUrl, at }     a screenshot step was recorded
+  - 'status' job view                       e.g. paused for an OTP, or running again
+  - 'done'   job view                       succeeded or failed; no more events follow
+  Finished jobs (including their token result) are dropped after ttlMs.
+*/
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const FINISHED_STATUSES = ['succeeded', 'failed'];
+
+const createLoginJobStore = ({ ttlMs = 10 * 60 * 1000 } = {}) => {
+  const jobs = new Map();
+  const jobIdsBySession = new Map();
+  const events = new EventEmitter();
+  // One listener per open event stream
+  events.setMaxListeners(0);
+
+  const isFinished = (job) => FINISHED_STATUSES.includes(job.status);
+
+  const view = (job) => {
+    const { expireTimer, ...rest } = job;
+    return rest;
+  };
+
+  const publish = (job, type, data) => {
+    job.updatedAt = new Date().toISOString();
+    events.emit(job.id, { type, data: data || view(job) });
+  };
+
+  // Jobs are addressed by sessionId from inside the browser flow; unknown ids are sync logins
+  const activeJobFor = (sessionId) => {
+    const job = jobs.get(jobIdsBySession.get(sessionId));
+    return job && !isFinished(job) ? job : null;
+  };
+
+  const finish = (sessionId, status, fields) => {
+    const job = activeJobFor(sessionId);
+    if (!job) return;
+    Object.assign(job, fields, { status, finishedAt: new Date().toISOString() });
+    delete job.otp;
+    publish(job, 'done');
+    job.expireTimer = setTimeout(() => {
+      jobs.delete(job.id);
+      jobIdsBySession.delete(job.sessionId);
+    }, ttlMs);
+    job.expireTimer.unref();
+  };
+
+  return {
+    create: (sessionId) => {
+      const now = new Date().toISOString();
+      const job = {
+        id: crypto.randomBytes(16).toString('hex'),
+        sessionId,
+        status: 'running',
+        currentStep: null,
+        steps: [],
+        createdAt: now,
+        updatedAt: now,
+        finishedAt: null
+      };
+      jobs.set(job.id, job);
+      jobIdsBySession.set(sessionId, job.id);
+      return view(job);
+    },
+
+    get: (jobId) => {
+      const job = jobs.get(jobId);
+      return job ? view(job) : null;
+    },
+
+    recordStep: (sessionId, step, screenshotUrl) => {
+      const job = activeJobFor(sessionId);
+      if (!job) return;
+      const entry = { step, screenshotUrl, at: new Date().toISOString() };
+      job.steps.push(entry);
+      job.currentStep = step;
+      publish(job, 'step', entry);
+    },
+
+    // otp: { challengeId, expiresAt, attemptsLeft? } while waiting for POST /auth/login-new/:challengeId/otp
+    setOtpRequired: (sessionId, otp) => {
+      const job = activeJobFor(sessionId);
+      if (!job) return;
+      job.status = 'otp_required';
+      job.otp = otp;
+      publish(job, 'status');
+    },
+
+    setRunning: (sessionId) => {
+      const job = activeJobFor(sessionId);
+      if (!job || job.status === 'running') return;
+      job.status = 'running';
+      delete job.otp;
+      publish(job, 'status');
+    },
+
+    succeed: (sessionId, result) => finish(sessionId, 'succeeded', { result }),
+
+    fail: (sessionId, error) => finish(sessionId, 'failed', { error }),
+
+    // listener({ type, data }); returns an unsubscribe function
+    subscribe: (jobId, listener) => {
+      events.on(jobId, listener);
+      return () => events.off(jobId, listener);
+    },
+
+    isFinished: (jobView) => FINISHED_STATUSES.includes(jobView.status)
+  };
+};
+
+module.exports = {
+  createLoginJobStore
+};
@@ -0,0 +1,47 @@
+/*
+  Structured diff between the current profile and a proposed `profile` update.
+  Only the keys present in the update are compared (fullprofiles leaves the others untouched).
+  Objects are compared key by key and arrays index by index, so each change points at a leaf:
+  { path: 'employments[0].designation', op: 'add' | 'replace' | 'remove', before, after }
+*/
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const joinPath = (base, key) => (typeof key === 'number' ? `${base}[${key}]` : (base ? `${base}.${key}` : key));
+
+const isEmpty = (value) => value === undefined || value === null;
+
+const diffValues = (before, after, path, changes) => {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    Object.keys(after).forEach(key => diffValues(before[key], after[key], joinPath(path, key), changes));
+    return;
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const length = Math.max(before.length, after.length);
+    for (let i = 0; i < length; i++) {
+      diffValues(before[i], after[i], joinPath(path, i), changes);
+    }
+    return;
+  }
+
+  if (isEmpty(before) && isEmpty(after)) return;
+  if (isEmpty(before)) {
+    changes.push({ path, op: 'add', before: null, after });
+  } else if (isEmpty(after)) {
+    changes.push({ path, op: 'remove', before, after: null });
+  } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+    changes.push({ path, op: 'replace', before, after });
+  }
+};
+
+// Returns { changed, changes: [...] } for the keys of `update` against `current`
+const diffProfile = (current, update) => {
+  const changes = [];
+  diffValues(current || {}, update, '', changes);
+  return { changed: changes.length > 0, changes };
+};
+
+module.exports = {
+  diffProfile
+};
@@ -0,0 +1,233 @@
+/*
+  Field-level profile updates
+  Each editable section has a JSON schema for the wrapper request body and a mapper onto the
+  fullprofiles `profile` payload. Bodies are validated before anything goes upstream, and unknown
+  keys are rejected so typos fail loudly instead of silently doing nothing.
+*/
+
+const Ajv = require('ajv');
+
+const ajv = new Ajv({ allErrors: true });
+
+const MONTH_PATTERN = '^\\d{4}-(0[1-9]|1[0-2])$'; // YYYY-MM
+
+// profileId may be omitted when the wrapper session already knows it
+const profileIdProperty = { type: 'string', minLength: 1 };
+
+const nonEmptyString = (maxLength) => ({ type: 'string', minLength: 1, maxLength, pattern: '\\S' });
+
+const PREFERENCE_KEYS = ['preferredLocations', 'expectedCtc', 'noticePeriod', 'jobType', 'employmentType'];
+
+const fields = {
+  headline: {
+    schema: {
+      type: 'object',
+      required: ['headline'],
+      additionalProperties: false,
+      properties: {
+        headline: nonEmptyString(250),
+        profileId: profileIdProperty
+      }
+    },
+    toProfile: ({ headline }) => ({ resumeHeadline: headline.trim() })
+  },
+
+  'key-skills': {
+    schema: {
+      type: 'object',
+      required: ['skills'],
+      additionalProperties: false,
+      properties: {
+        skills: {
+          type: 'array',
+          minItems: 1,
+          maxItems: 50,
+          uniqueItems: true,
+          items: nonEmptyString(100)
+        },
+        profileId: profileIdProperty
+      }
+    },
+    // Naukri stores key skills as one comma-separated string
+    toProfile: ({ skills }) => ({ keySkills: skills.map(skill => skill.trim()).join(',') })
+  },
+
+  summary: {
+    schema: {
+      type: 'object',
+      required: ['summary'],
+      additionalProperties: false,
+      properties: {
+        summary: nonEmptyString(1000),
+        profileId: profileIdProperty
+      }
+    },
+    toProfile: ({ summary }) => ({ summary: summary.trim() })
+  },
+
+  employment: {
+    schema: {
+      type: 'object',
+      required: ['employments'],
+      additionalProperties: false,
+      properties: {
+        employments: {
+          type: 'array',
+          minItems: 1,
+          maxItems: 20,
+          items: {
+            type: 'object',
+            required: ['designation', 'organization', 'startDate', 'current'],
+            additionalProperties: false,
+            properties: {
+              employmentId: { type: 'string', minLength: 1 },
+              designation: nonEmptyString(100),
+              organization: nonEmptyString(100),
+              startDate: { type: 'string', pattern: MONTH_PATTERN },
+              endDate: { type: 'string', pattern: MONTH_PATTERN },
+              current: { type: 'boolean' },
+              description: { type: 'string', maxLength: 4000 }
+            },
+            // A finished job needs an end date, a current one must not have it
+            if: { properties: { current: { const: false } } },
+            then: { required: ['endDate'] },
+            else: { not: { required: ['endDate'] } }
+          }
+        },
+        profileId: profileIdProperty
+      }
+    },
+    toProfile: ({ employments }) => ({
+      employments: employments.map(employment => ({
+        employmentId: employment.employmentId,
+        designation: employment.designation.trim(),
+        organization: employment.organization.trim(),
+        startDate: employment.startDate,
+        endDate: employment.current ? null : employment.endDate,
+        isCurrent: employment.current,
+        jobProfile: employment.description || ''
+      }))
+    })
+  },
+
+  education: {
+    schema: {
+      type: 'object',
+      required: ['educations'],
+      additionalProperties: false,
+      properties: {
+        educations: {
+          type: 'array',
+          minItems: 1,
+          maxItems: 10,
+          items: {
+            type: 'object',
+            required: ['course', 'institute', 'yearOfCompletion'],
+            additionalProperties: false,
+            properties: {
+              educationId: { type: 'string', minLength: 1 },
+              course: nonEmptyString(100),
+              specialization: nonEmptyString(100),
+              institute: nonEmptyString(200),
+              courseType: { enum: ['full-time', 'part-time', 'correspondence'] },
+              yearOfCompletion: { type: 'integer', minimum: 1950, maximum: 2100 }
+            }
+          }
+        },
+        profileId: profileIdProperty
+      }
+    },
+    toProfile: ({ educations }) => ({
+      educations: educations.map(education => ({
+        educationId: education.educationId,
+        course: education.course.trim(),
+        specialization: education.specialization ? education.specialization.trim() : null,
+        institute: education.institute.trim(),
+        courseType: education.courseType || 'full-time',
+        yearOfCompletion: education.yearOfCompletion
+      }))
+    })
+  },
+
+  preferences: {
+    schema: {
+      type: 'object',
+      additionalProperties: false,
+      // profileId alone is not an update
+      anyOf: PREFERENCE_KEYS.map(key => ({ required: [key] })),
+      properties: {
+        preferredLocations: {
+          type: 'array',
+          maxItems: 10,
+          uniqueItems: true,
+          items: nonEmptyString(100)
+        },
+        expectedCtc: { type: 'number', minimum: 0 },
+        noticePeriod: { enum: ['immediate', '15-days', '1-month', '2-months', '3-months', 'more-than-3-months'] },
+        jobType: { enum: ['permanent', 'contractual'] },
+        employmentType: { enum: ['full-time', 'part-time'] },
+        profileId: profileIdProperty
+      }
+    },
+    // Only the preferences that were sent are mapped, so the others stay untouched upstream
+    toProfile: (body) => {
+      const { profileId, ...preferences } = body;
+      return { desiredJob: preferences };
+    }
+  }
+};
+
+Object.values(fields).forEach(field => {
+  field.validate = ajv.compile(field.schema);
+});
+
+// Turn an ajv error into { field, message } with a dotted path (e.g. employments[0].endDate)
+const toFieldError = (error) => {
+  const path = error.instancePath
+    .split('/')
+    .filter(Boolean)
+    .map(part => (/^\d+$/.test(part) ? `[${part}]` : `.${part}`))
+    .join('')
+    .replace(/^\./, '');
+
+  if (error.keyword === 'required') {
+    const missing = error.params.missingProperty;
+    return { field: path ? `${path}.${missing}` : missing, message: 'is required' };
+  }
+  if (error.keyword === 'additionalProperties') {
+    const extra = error.params.additionalProperty;
+    return { field: path ? `${path}.${extra}` : extra, message: 'is not an allowed field' };
+  }
+  if (error.keyword === 'anyOf') {
+    return { field: path || '(body)', message: `must include at least one of ${PREFERENCE_KEYS.join(', ')}` };
+  }
+  if (error.keyword === 'not' && error.schemaPath.includes('/else/')) {
+    return { field: `${path}.endDate`, message: 'must not be set for a current employment' };
+  }
+  if (error.keyword === 'pattern') {
+    const message = error.params.pattern === MONTH_PATTERN ? 'must be a month in YYYY-MM format' : 'must not be blank';
+    return { field: path, message };
+  }
+  return { field: path || '(body)', message: error.message };
+};
+
+// Validate a request body for one section.
+// Returns { profile } (the fullprofiles payload fragment) or { status, errors: [{ field, message }] }:
+// 400 for a body with nothing to update, 422 for invalid values.
+const buildFieldUpdate = (name, body) => {
+  const field = fields[name];
+  if (!field.validate(body)) {
+    // "if" failures only repeat what the then/else error already says, and the anyOf error
+    // what its branches' "required" errors say
+    const failures = field.validate.errors
+      .filter(error => error.keyword !== 'if' && !error.schemaPath.startsWith('#/anyOf/'));
+    const empty = failures.some(error => error.keyword === 'anyOf');
+    return { status: empty ? 400 : 422, errors: failures.map(toFieldError) };
+  }
+  return { profile: field.toProfile(body) };
+};
+
+module.exports = {
+  PROFILE_FIELDS: Object.keys(fields),
+  buildFieldUpdate
+};
@@ -0,0 +1,119 @@
+/*
+  Normalized profile model (GET /fetch-profile?format=normalized)
+  Maps Naukri's expand_level=2 aggregator JSON onto a stable, documented shape. Naukri renames
+  and moves fields without notice, so every value is looked up under its known locations and
+  missing values come back as null / [] instead of breaking the shape.
+
+  Bump PROFILE_SCHEMA_VERSION whenever the normalized shape changes incompatibly.
+*/
+
+const PROFILE_SCHEMA_VERSION = '1';
+
+// Return the first value found under any of the candidate paths ('a.b.c')
+const pick = (source, ...paths) => {
+  for (const path of paths) {
+    const value = path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), source);
+    if (value !== undefined && value !== null && value !== '') {
+      return value;
+    }
+  }
+  return null;
+};
+
+const asArray = (value) => (Array.isArray(value) ? value : (value ? [value] : []));
+
+// The aggregator returns some sections as an object and others as single-element arrays
+const first = (value) => (Array.isArray(value) ? value[0] : value) || {};
+
+// Naukri dates come as ISO strings, epoch millis or "YYYY-MM"; keep month precision where that's all we have
+const toDate = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'string' && /^\d{4}-\d{2}$/.test(value)) return value;
+  const date = new Date(typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const toSkills = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(skill => (typeof skill === 'string' ? skill : pick(skill, 'name', 'skill', 'label'))).filter(Boolean);
+  }
+  if (typeof value === 'string') {
+    return value.split(',').map(skill => skill.trim()).filter(Boolean);
+  }
+  return [];
+};
+
+const normalizeEmployment = (employment) => {
+  const current = !!pick(employment, 'isCurrent', 'currentEmployer', 'current');
+  return {
+    id: pick(employment, 'employmentId', 'id'),
+    designation: pick(employment, 'designation.label', 'designation', 'role'),
+    organization: pick(employment, 'organization.label', 'organization', 'organizationName', 'company'),
+    startDate: toDate(pick(employment, 'startDate', 'joiningDate')),
+    endDate: current ? null : toDate(pick(employment, 'endDate', 'leavingDate')),
+    current,
+    description: pick(employment, 'jobProfile', 'description')
+  };
+};
+
+const normalizeEducation = (education) => ({
+  id: pick(education, 'educationId', 'id'),
+  course: pick(education, 'course.label', 'course', 'degree'),
+  specialization: pick(education, 'specialization.label', 'specialization'),
+  institute: pick(education, 'institute.label', 'institute', 'entityInstitute.label'),
+  courseType: pick(education, 'courseType.label', 'courseType'),
+  yearOfCompletion: pick(education, 'yearOfCompletion', 'passingYear', 'completionYear')
+});
+
+const normalizeProfile = (raw) => {
+  const profile = first(pick(raw, 'profile'));
+  const resume = first(pick(raw, 'resumeAttachment', 'profile.0.resumeAttachment', 'attachment', 'resume'));
+  const desiredJob = first(pick(raw, 'desiredJob', 'careerProfile', 'profile.0.desiredJob'));
+
+  const completenessValue = pick(raw, 'profileCompletion.percentage', 'profileCompletionPercentage', 'profile.0.profileCompleteness', 'profileCompleteness');
+  const missingSections = pick(raw, 'profileCompletion.pendingSections', 'pendingSections');
+
+  return {
+    schemaVersion: PROFILE_SCHEMA_VERSION,
+    profileId: pick(profile, 'profileId'),
+    contact: {
+      name: pick(profile, 'name', 'fullName'),
+      email: pick(profile, 'email', 'emailId'),
+      mobile: pick(profile, 'mobile', 'mobileNumber'),
+      location: pick(profile, 'currentLocation.label', 'currentLocation', 'location.label', 'location')
+    },
+    headline: pick(profile, 'resumeHeadline'),
+    summary: pick(profile, 'summary', 'profileSummary'),
+    skills: toSkills(pick(profile, 'keySkills') || pick(raw, 'keySkills', 'skills')),
+    employments: asArray(pick(raw, 'employments', 'employment', 'profile.0.employments')).map(normalizeEmployment),
+    educations: asArray(pick(raw, 'educations', 'education', 'profile.0.educations')).map(normalizeEducation),
+    preferences: {
+      preferredLocations: asArray(pick(desiredJob, 'preferredLocations', 'preferredLocation'))
+        .map(location => (typeof location === 'string' ? location : pick(location, 'label', 'name')))
+        .filter(Boolean),
+      expectedCtc: pick(desiredJob, 'expectedCtc.value', 'expectedCtc'),
+      noticePeriod: pick(desiredJob, 'noticePeriod.label', 'noticePeriod'),
+      jobType: pick(desiredJob, 'jobType.label', 'jobType'),
+      employmentType: pick(desiredJob, 'employmentType.label', 'employmentType')
+    },
+    resume: {
+      fileName: pick(resume, 'fileName', 'name'),
+      uploadedAt: toDate(pick(resume, 'uploadDate', 'uploadedOn', 'modifiedOn', 'createdOn')),
+      size: pick(resume, 'fileSize', 'size')
+    },
+    completeness: {
+      percentage: completenessValue === null ? null : Number(completenessValue),
+      missingSections: asArray(missingSections)
+    },
+    lastUpdatedAt: toDate(pick(profile, 'lastModified', 'modifiedOn', 'lastUpdated'))
+  };
+};
+
+module.exports = {
+  PROFILE_SCHEMA_VERSION,
+  normalizeProfile,
+  // Shared with the job model (jobModel.js)
+  pick,
+  toDate,
+  toSkills
+};
@@ -0,0 +1,174 @@
+/*
+  Cron scheduler for recurring per-account jobs (the daily "profile bump").
+  Schedules are persisted in a JSON file and re-armed on startup. Each run is recorded in the
+  schedule's history (newest first, capped at historyLimit entries).
+
+  Schedule shape:
+  { id, accountId, sessionId, cron, timezone, mode, paused, createdAt, lastRunAt, nextRunAt, history: [...] }
+*/
+
+const crypto = require('crypto');
+const cron = require('node-cron');
+const { createJsonFile } = require('./jsonFile');
+
+// Strip internal fields before a schedule leaves the wrapper
+const toPublicSchedule = (schedule, task) => {
+  const { sessionId, ...rest } = schedule;
+  return {
+    ...rest,
+    nextRunAt: !schedule.paused && task ? (task.getNextRun()?.toISOString() || null) : null
+  };
+};
+
+// runJob(schedule) does the actual work and resolves to a details object (or throws)
+const createScheduler = ({ filePath, runJob, historyLimit = 50 }) => {
+  const file = createJsonFile(filePath);
+  const tasks = new Map();
+  const running = new Set();
+
+  const execute = async (id, trigger) => {
+    const schedule = file.load()[id];
+    if (!schedule) return null;
+
+    // Never run the same schedule twice at once (a slow run-now overlapping the cron tick)
+    if (running.has(id)) {
+      return { trigger, status: 'skipped', startedAt: new Date().toISOString(), details: 'Previous run still in progress' };
+    }
+
+    running.add(id);
+    const run = { trigger, status: 'running', startedAt: new Date().toISOString() };
+    try {
+      run.details = await runJob(schedule);
+      run.status = 'success';
+    } catch (error) {
+      run.status = 'failed';
+      run.error = error.message;
+      console.error(`[schedule ${id}] Run failed:`, error.message);
+    } finally {
+      running.delete(id);
+    }
+    run.finishedAt = new Date().toISOString();
+
+    // The schedule may have been deleted while running
+    const current = file.load()[id];
+    if (current) {
+      current.lastRunAt = run.startedAt;
+      current.history = [run, ...(current.history || [])].slice(0, historyLimit);
+      // The run happened either way; it stays in the in-memory history and the next save retries
+      await file.save().catch(error => console.error(`[schedule ${id}] Run history not saved:`, error.message));
+    }
+    return run;
+  };
+
+  const arm = (schedule) => {
+    disarm(schedule.id);
+    if (schedule.paused) return;
+    const task = cron.schedule(schedule.cron, () => execute(schedule.id, 'cron'), {
+      name: `schedule-${schedule.id}`,
+      timezone: schedule.timezone || undefined,
+      noOverlap: true
+    });
+    tasks.set(schedule.id, task);
+  };
+
+  const disarm = (id) => {
+    const task = tasks.get(id);
+    if (task) {
+      task.destroy();
+      tasks.delete(id);
+    }
+  };
+
+  const get = (id) => {
+    const schedule = file.load()[id];
+    return schedule ? toPublicSchedule(schedule, tasks.get(id)) : null;
+  };
+
+  return {
+    validate: (expression) => cron.validate(expression),
+
+    // Re-arm every stored schedule (call once at startup)
+    start: () => {
+      Object.values(file.load()).forEach(arm);
+      console.log(`Scheduler started with ${tasks.size} active schedule(s)`);
+    },
+
+    create: async ({ accountId, sessionId, cron: expression, timezone, mode }) => {
+      const schedule = {
+        id: crypto.randomBytes(8).toString('hex'),
+        accountId,
+        sessionId,
+        cron: expression,
+        timezone: timezone || null,
+        mode,
+        paused: false,
+        createdAt: new Date().toISOString(),
+        lastRunAt: null,
+        history: []
+      };
+      file.load()[schedule.id] = schedule;
+      try {
+        await file.save();
+      } catch (error) {
+        delete file.load()[schedule.id];
+        throw error;
+      }
+      arm(schedule);
+      return get(schedule.id);
+    },
+
+    get,
+
+    // Internal record including the session id, for ownership checks
+    getRecord: (id) => file.load()[id] || null,
+
+    list: (accountId) => Object.values(file.load())
+      .filter(schedule => schedule.accountId === accountId)
+      .map(schedule => toPublicSchedule(schedule, tasks.get(schedule.id))),
+
+    setPaused: async (id, paused) => {
+      const schedule = file.load()[id];
+      if (!schedule) return null;
+      const previous = schedule.paused;
+      schedule.paused = paused;
+      try {
+        await file.save();
+      } catch (error) {
+        schedule.paused = previous;
+        throw error;
+      }
+      arm(schedule);
+      return get(id);
+    },
+
+    // Point the schedule at a newer wrapper session (e.g. after the old one expired)
+    setSession: async (id, sessionId) => {
+      const schedule = file.load()[id];
+      if (!schedule) return null;
+      const previous = schedule.sessionId;
+      schedule.sessionId = sessionId;
+      try {
+        await file.save();
+      } catch (error) {
+        schedule.sessionId = previous;
+        throw error;
+      }
+      return get(id);
+    },
+
+    remove: async (id) => {
+      const all = file.load();
+      if (!all[id]) return false;
+      disarm(id);
+      delete all[id];
+      await file.save();
+      return true;
+    },
+
+    runNow: (id) => execute(id, 'manual')
+  };
+};
+
+module.exports = {
+  createScheduler
+};
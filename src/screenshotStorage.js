@@ -0,0 +1,271 @@
+/*
+  Storage for login screenshots and session recordings
+  Both backends store flat file names (debug-<sessionId>-...) and expose the same methods:
+  save(name, body, contentType), list(), read(name) -> stream or null, remove(name), describe().
+
+  - local: a directory on disk (SCREENSHOT_DIR),
+  - s3: a bucket on S3 or an S3-compatible server such as MinIO (mock/s3Server.js for tests).
+    Requests are signed with AWS Signature V4 over axios, so no AWS SDK is needed.
+
+  applyRetention() trims either backend by age, count and total size; the server runs it on a timer.
+*/
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const createLocalStorage = ({ directory }) => {
+  const fileFor = (name) => path.join(directory, path.basename(name));
+
+  return {
+    save: async (name, body) => {
+      await fs.promises.mkdir(directory, { recursive: true });
+      await fs.promises.writeFile(fileFor(name), body);
+    },
+
+    // [{ name, size, modifiedAt }] for every file in the directory
+    list: async () => {
+      let names;
+      try {
+        names = await fs.promises.readdir(directory);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+      const entries = await Promise.all(names.map(async (name) => {
+        try {
+          const stats = await fs.promises.stat(fileFor(name));
+          return stats.isFile() ? { name, size: stats.size, modifiedAt: stats.mtime } : null;
+        } catch (error) {
+          return null; // Removed while listing
+        }
+      }));
+      return entries.filter(Boolean);
+    },
+
+    read: async (name) => {
+      try {
+        await fs.promises.access(fileFor(name));
+      } catch (error) {
+        return null;
+      }
+      return fs.createReadStream(fileFor(name));
+    },
+
+    remove: async (name) => {
+      await fs.promises.unlink(fileFor(name)).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    },
+
+    describe: () => ({ backend: 'local', location: directory })
+  };
+};
+
+// RFC 3986 encoding as SigV4 expects it (encodeURIComponent leaves !'()* alone)
+const encodeRfc3986 = (value) => encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+// AWS Signature V4 headers for one request; body is a Buffer or string ('' when there is none)
+const signRequest = ({ method, url, headers = {}, body = '', region, accessKeyId, secretAccessKey, now = new Date() }) => {
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const payloadHash = sha256(body);
+
+  const signedHeaders = {
+    ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  };
+  const headerNames = Object.keys(signedHeaders).sort();
+
+  const canonicalQuery = Array.from(url.searchParams)
+    .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(value)])
+    .sort(([a, aValue], [b, bValue]) => (a === b ? aValue.localeCompare(bValue) : a < b ? -1 : 1))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    canonicalQuery,
+    headerNames.map(name => `${name}:${signedHeaders[name]}\n`).join(''),
+    headerNames.join(';'),
+    payloadHash
+  ].join('\n');
+
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region));
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...signedHeaders,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${headerNames.join(';')}, Signature=${signature}`
+  };
+};
+
+// Values of <tag> in a ListObjectsV2 response (keys are our own file names, so no entity decoding)
+const xmlValues = (xml, tag) => Array.from(xml.matchAll(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g')), match => match[1]);
+
+// endpoint: an S3-compatible server (path-style URLs); without it, AWS virtual-hosted URLs are used
+const createS3Storage = ({ bucket, region = 'us-east-1', endpoint, prefix = '', accessKeyId, secretAccessKey }) => {
+  if (!bucket) {
+    throw new Error('An S3 bucket is required');
+  }
+  if (!accessKeyId || !secretAccessKey) {
+    throw new Error('S3 access key id and secret access key are required');
+  }
+
+  const baseUrl = endpoint
+    ? `${endpoint.replace(/\/+$/, '')}/${encodeRfc3986(bucket)}`
+    : `https://${bucket}.s3.${region}.amazonaws.com`;
+
+  // Keys are the prefix plus a flat file name; anything else could leave the prefix or the bucket
+  const keyFor = (name) => {
+    if (!name || name.includes('/') || name.includes('\\') || name.includes('..')) {
+      throw new Error(`Invalid file name ${JSON.stringify(name)}`);
+    }
+    return prefix + name;
+  };
+
+  const send = ({ method, key = '', query = {}, body, headers = {}, responseType }) => {
+    if (key.split('/').some(segment => segment === '.' || segment === '..')) {
+      throw new Error('S3 keys must not contain . or .. segments');
+    }
+    const url = new URL(`${baseUrl}/${key.split('/').map(encodeRfc3986).join('/')}`);
+    Object.entries(query).forEach(([name, value]) => url.searchParams.set(name, value));
+    return axios({
+      method,
+      url: url.toString(),
+      data: body,
+      headers: signRequest({ method, url, headers, body: body || '', region, accessKeyId, secretAccessKey }),
+      responseType,
+      timeout: 30000,
+      maxBodyLength: Infinity,
+      validateStatus: () => true
+    });
+  };
+
+  const fail = (action, response) => {
+    const code = typeof response.data === 'string' ? xmlValues(response.data, 'Code')[0] : null;
+    throw new Error(`S3 ${action} failed with ${response.status}${code ? ` (${code})` : ''}`);
+  };
+
+  return {
+    save: async (name, body, contentType = 'application/octet-stream') => {
+      const payload = Buffer.isBuffer(body) ? body : Buffer.from(body);
+      const response = await send({ method: 'PUT', key: keyFor(name), body: payload, headers: { 'content-type': contentType } });
+      if (response.status !== 200) fail('upload', response);
+    },
+
+    list: async () => {
+      const entries = [];
+      let continuationToken = null;
+      do {
+        const query = { 'list-type': '2', prefix };
+        if (continuationToken) query['continuation-token'] = continuationToken;
+        const response = await send({ method: 'GET', query, responseType: 'text' });
+        if (response.status !== 200) fail('list', response);
+
+        xmlValues(response.data, 'Contents').forEach(item => {
+          entries.push({
+            name: xmlValues(item, 'Key')[0].slice(prefix.length),
+            size: Number(xmlValues(item, 'Size')[0]),
+            modifiedAt: new Date(xmlValues(item, 'LastModified')[0])
+          });
+        });
+        continuationToken = xmlValues(response.data, 'IsTruncated')[0] === 'true'
+          ? xmlValues(response.data, 'NextContinuationToken')[0]
+          : null;
+      } while (continuationToken);
+      return entries;
+    },
+
+    read: async (name) => {
+      const response = await send({ method: 'GET', key: keyFor(name), responseType: 'stream' });
+      if (response.status === 404) {
+        response.data.resume();
+        return null;
+      }
+      if (response.status !== 200) {
+        response.data.resume();
+        fail('download', response);
+      }
+      return response.data;
+    },
+
+    remove: async (name) => {
+      const response = await send({ method: 'DELETE', key: keyFor(name) });
+      if (response.status !== 204 && response.status !== 200) fail('delete', response);
+    },
+
+    describe: () => ({ backend: 's3', location: `${baseUrl}/${prefix}` })
+  };
+};
+
+// Delete the files that break any limit: older than maxAgeMs, or that don't fit into maxCount files
+// or maxTotalBytes next to the newer files that are kept. A missing/0 limit is no limit.
+// Only names accepted by isManaged are considered. Resolves to the deleted names.
+const applyRetention = async (storage, { maxAgeMs, maxCount, maxTotalBytes, isManaged = () => true }) => {
+  const files = (await storage.list())
+    .filter(file => isManaged(file.name))
+    .sort((a, b) => b.modifiedAt - a.modifiedAt);
+
+  const cutoff = maxAgeMs ? Date.now() - maxAgeMs : null;
+  // Only kept files count towards the limits, so one oversized file doesn't take the rest with it
+  let keptCount = 0;
+  let keptBytes = 0;
+  const expired = files.filter(file => {
+    const expire = (cutoff !== null && file.modifiedAt.getTime() < cutoff)
+      || (maxCount && keptCount >= maxCount)
+      || (maxTotalBytes && keptBytes + file.size > maxTotalBytes);
+    if (!expire) {
+      keptCount++;
+      keptBytes += file.size;
+    }
+    return expire;
+  });
+
+  const deleted = [];
+  for (const file of expired) {
+    try {
+      await storage.remove(file.name);
+      deleted.push(file.name);
+    } catch (error) {
+      console.error(`Deleting ${file.name} failed:`, error.message);
+    }
+  }
+  return deleted;
+};
+
+// Backend from the environment: SCREENSHOT_STORAGE=local (default, in `directory`) or s3
+const createScreenshotStorage = ({ directory }) => {
+  const backend = process.env.SCREENSHOT_STORAGE || 'local';
+  if (backend === 'local') {
+    return createLocalStorage({ directory });
+  }
+  if (backend === 's3') {
+    return createS3Storage({
+      bucket: process.env.SCREENSHOT_S3_BUCKET,
+      region: process.env.SCREENSHOT_S3_REGION || 'us-east-1',
+      endpoint: process.env.SCREENSHOT_S3_ENDPOINT,
+      prefix: process.env.SCREENSHOT_S3_PREFIX || '',
+      accessKeyId: process.env.SCREENSHOT_S3_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: process.env.SCREENSHOT_S3_SECRET_ACCESS_KEY || process.env.AWS_SECRET_ACCESS_KEY
+    });
+  }
+  throw new Error(`Unknown SCREENSHOT_STORAGE "${backend}" (expected local or s3)`);
+};
+
+module.exports = {
+  applyRetention,
+  createLocalStorage,
+  createS3Storage,
+  createScreenshotStorage,
+  signRequest
+};
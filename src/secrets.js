@@ -0,0 +1,59 @@
+/*
+  Symmetric encryption for secrets the wrapper keeps at rest (stored Naukri credentials), and
+  keyed hashes for lookups that must not be guessable.
+  AES-256-GCM with a key derived from WRAPPER_SECRET. When WRAPPER_SECRET is not set, a random
+  per-process key is used: fine for the in-memory session store, but anything encrypted with it
+  cannot be read back after a restart.
+*/
+
+const crypto = require('crypto');
+
+const FORMAT_VERSION = 'v1';
+
+let processKey = null;
+
+const getKey = () => {
+  if (process.env.WRAPPER_SECRET) {
+    return crypto.createHash('sha256').update(process.env.WRAPPER_SECRET).digest();
+  }
+  if (!processKey) {
+    console.warn('WRAPPER_SECRET is not set; encrypted secrets will not survive a restart');
+    processKey = crypto.randomBytes(32);
+  }
+  return processKey;
+};
+
+// Encrypt a string into "v1.<iv>.<tag>.<ciphertext>" (base64url parts)
+const encryptSecret = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return [FORMAT_VERSION, iv, tag, ciphertext]
+    .map(part => (typeof part === 'string' ? part : part.toString('base64url')))
+    .join('.');
+};
+
+// Decrypt a value produced by encryptSecret. Throws if the key changed or the value was tampered with.
+const decryptSecret = (payload) => {
+  const [version, iv, tag, ciphertext] = String(payload).split('.');
+  if (version !== FORMAT_VERSION || !iv || !tag || !ciphertext) {
+    throw new Error('Unsupported secret format');
+  }
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), Buffer.from(iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64url')),
+    decipher.final()
+  ]).toString('utf8');
+};
+
+// HMAC-SHA256 (hex) of a string under the same key: a lookup key that can't be computed without
+// WRAPPER_SECRET
+const keyedHash = (value) => crypto.createHmac('sha256', getKey()).update(value).digest('hex');
+
+module.exports = {
+  encryptSecret,
+  decryptSecret,
+  keyedHash
+};
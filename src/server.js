@@ -2,23 +2,71 @@
   Express wrapper over Naukri APIs
   Endpoints:
   - POST /auth/login          → calls central-login-services/v1/login
-  - POST /auth/login-new      → uses Puppeteer to automate browser login
+  - POST /auth/login-new      → uses Puppeteer to automate browser login (steps and selectors
+                                come from the flow definition in flows/, see loginFlow.js)
+  - POST /auth/login-new/:challengeId/otp → finishes a browser login paused for an OTP
+  - GET  /auth/jobs/:id       → status of a background login (POST /auth/login-new?async=true),
+                                /auth/jobs/:id/events streams its steps as Server-Sent Events
   - GET  /fetch-profile       → calls resman-aggregator-services/v2/users/self?expand_level=2
+                                (?format=normalized maps it onto the versioned model in profileModel.js)
   - PUT  /update-profile      → calls resman-aggregator-services/v1/users/self/fullprofiles
+  - PATCH /profile/:field     → validated field-level updates through the same fullprofiles call
+  - GET  /profile/history     → profile snapshots saved before each /update-profile (+ rollback)
+  - POST /profile/resume      → uploads a resume (filevalidation + advResume), GET streams it back
+  - GET  /jobs/search         → calls jobapi/v3/search (filters + pagination, normalized job cards)
+  - GET  /jobs/recommended    → calls jobapi/v2/search/recom-jobs (the user's recommended jobs feed)
+  - GET/POST /jobs/saved      → lists / saves jobs through saved-job-services (DELETE /jobs/saved/:jobId unsaves)
+  - GET  /jobs/:jobId         → calls jobapi/v4/job/:jobId (full job description)
+  - POST /jobs/:jobId/apply   → calls apply-services/v1/apply (questionnaire/chatbot answers, external jobs)
+  - GET  /applications        → calls apply-history-services (normalized statuses); each call records them
+                                so /applications/:id/history shows when every status was first seen
+  - GET  /insights/profile-views, /insights/search-appearances → profile analytics; each call records the
+                                daily counts so /insights/trends charts them against profile update dates
+  - DELETE /auth/session      → logs out of a wrapper session
+  - /schedules                → cron-scheduled "profile bump" jobs (re-save the resume headline)
 
   Security & design notes:
   - Headers are hardcoded to mirror the provided cURL specs, except variables are accepted from client:
     username, password, Authorization bearer token, profile, profileId. Cookies are never forwarded.
   - We validate presence of key parameters. We DO NOT log sensitive data.
+  - Upstream hosts come from NAUKRI_BASE_URL / NAUKRI_FILE_BASE_URL (default: the real ones).
 */
 
 const express = require('express');
 const cors = require('cors');
 const axios = require('axios');
+const multer = require('multer');
 const puppeteer = require('puppeteer');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 require('dotenv').config();
+const { generateSessionId, isSessionId, createSessionStore } = require('./sessionStore');
+const { encryptSecret, decryptSecret } = require('./secrets');
+const { createScheduler } = require('./scheduler');
+const { createJsonFile, getDataPath } = require('./jsonFile');
+const { PROFILE_FIELDS, buildFieldUpdate } = require('./profileFields');
+const { diffProfile } = require('./profileDiff');
+const { normalizeProfile, toDate } = require('./profileModel');
+const { buildJobPage, buildJobSearch } = require('./jobSearch');
+const {
+  normalizeApplications,
+  normalizeApplyResult,
+  normalizeJobDetails,
+  normalizeJobSearch,
+  normalizeSavedJobs
+} = require('./jobModel');
+const { createSnapshotStore } = require('./snapshotStore');
+const { createApplicationStore } = require('./applicationStore');
+const { createInsightsStore } = require('./insightsStore');
+const { buildTrends, normalizeProfileViews, normalizeSearchAppearances } = require('./insightsModel');
+const { createBrowserPool } = require('./browserPool');
+const { createBrowserProfileStore } = require('./browserProfiles');
+const { createLoginFlowLoader, runLoginFlow } = require('./loginFlow');
+const { createLoginJobStore } = require('./loginJobs');
+const { inspectFailurePage, classifyLoginFailure } = require('./loginFailures');
+const { ARTIFACT_FILE_PATTERN, startSessionRecording } = require('./sessionRecorder');
+const { createScreenshotStorage, applyRetention } = require('./screenshotStorage');
 
 const app = express();
 
@@ -27,28 +75,39 @@ app.use(express.json({ limit: '1mb' }));
 
 const PORT = process.env.PORT || 3000;
 
-// Function to clean up old screenshots (older than 1 day)
-const cleanupOldScreenshots = () => {
-  try {
-    const screenshotDir = getScreenshotDir();
-    const files = fs.readdirSync(screenshotDir);
-    const oneDayAgo = Date.now() - (24 * 60 * 60 * 1000); // 24 hours in milliseconds
-    
-    files.forEach(file => {
-      if (file.startsWith('debug-') && file.endsWith('.png')) {
-        const filePath = path.join(screenshotDir, file);
-        const stats = fs.statSync(filePath);
-        
-        if (stats.mtime.getTime() < oneDayAgo) {
-          fs.unlinkSync(filePath);
-          console.log(`Deleted old screenshot: ${file}`);
-        }
-      }
-    });
-  } catch (error) {
-    console.log('Error cleaning up screenshots:', error.message);
-  }
-};
+// Upstream hosts; point them at the mock server (mock/naukriServer.js) to run offline
+const NAUKRI_BASE_URL = (process.env.NAUKRI_BASE_URL || 'https://www.naukri.com').replace(/\/+$/, '');
+const NAUKRI_FILE_BASE_URL = (process.env.NAUKRI_FILE_BASE_URL || 'https://filevalidation.naukri.com').replace(/\/+$/, '');
+const RESMAN_API_URL = `${NAUKRI_BASE_URL}/cloudgateway-mynaukri/resman-aggregator-services`;
+
+// Wrapper sessions keep Naukri tokens server-side (see src/sessionStore.js)
+const sessionStore = createSessionStore();
+const SESSION_TTL_SECONDS = Number(process.env.SESSION_TTL_SECONDS) || 24 * 60 * 60; // 1 day
+const MAX_SESSION_TTL_SECONDS = 30 * 24 * 60 * 60; // 30 days
+
+// Profile snapshots taken before each update, for /profile/history and rollback
+const snapshotStore = createSnapshotStore({
+  filePath: process.env.SNAPSHOT_STORE_PATH || getDataPath('profile-snapshots.json'),
+  limit: Number(process.env.SNAPSHOT_LIMIT) || 50
+});
+
+// Application statuses seen by GET /applications, for /applications/:id/history
+const applicationStore = createApplicationStore({
+  filePath: process.env.APPLICATION_STORE_PATH || getDataPath('application-history.json')
+});
+
+// Profile views / search appearances per day and the profile update dates, for /insights/trends
+const insightsStore = createInsightsStore({
+  filePath: process.env.INSIGHTS_STORE_PATH || getDataPath('insights.json')
+});
+
+// Resume uploads made through the wrapper, by profileId ({ uploadedAt, fileName, size })
+const resumeUploads = createJsonFile(process.env.RESUME_UPLOADS_PATH || getDataPath('resume-uploads.json'));
+
+// Sweep expired sessions every 10 minutes; unref so the timer never keeps the process alive
+setInterval(() => {
+  sessionStore.purgeExpired().catch(error => console.error('Session purge failed:', error.message));
+}, 10 * 60 * 1000).unref();
 
 // Function to generate unique screenshot filename
 const generateScreenshotName = (step, sessionId) => {
@@ -56,32 +115,233 @@ const generateScreenshotName = (step, sessionId) => {
   return `debug-${sessionId}-${step}-${timestamp}.png`;
 };
 
-// Get appropriate directory for screenshots based on environment
+// Get appropriate directory for screenshots based on environment. The defaults are directories of
+// their own, since retention deletes old debug-* files in it
 const getScreenshotDir = () => {
+  if (process.env.SCREENSHOT_DIR) {
+    return process.env.SCREENSHOT_DIR;
+  }
   if (process.env.NODE_ENV === 'production') {
-    // On Render, use /tmp directory which is writable
-    return '/tmp';
+    // On Render, use a directory under /tmp, which is writable
+    return '/tmp/naukri-screenshots';
   } else {
-    // Local development - use project root
-    return __dirname.replace('/src', '');
+    // Local development - use screenshots/ in the project root
+    return path.join(__dirname, '..', 'screenshots');
+  }
+};
+
+// Screenshots and session recordings: SCREENSHOT_STORAGE=local (getScreenshotDir) or s3
+const screenshotStorage = createScreenshotStorage({ directory: getScreenshotDir() });
+
+const isScreenshotFile = (file) => file.startsWith('debug-') && file.endsWith('.png');
+
+// Retention for everything the logins store; a limit of 0 turns it off
+const SCREENSHOT_RETENTION = {
+  maxAgeMs: Number(process.env.SCREENSHOT_RETENTION_MAX_AGE_HOURS ?? 24) * 60 * 60 * 1000,
+  maxCount: Number(process.env.SCREENSHOT_RETENTION_MAX_COUNT) || 0,
+  maxTotalBytes: (Number(process.env.SCREENSHOT_RETENTION_MAX_MB) || 0) * 1024 * 1024,
+  isManaged: file => isScreenshotFile(file) || ARTIFACT_FILE_PATTERN.test(file)
+};
+
+const cleanupOldScreenshots = async () => {
+  try {
+    const deleted = await applyRetention(screenshotStorage, SCREENSHOT_RETENTION);
+    if (deleted.length > 0) {
+      console.log(`Retention deleted ${deleted.length} screenshot/recording file(s)`);
+    }
+  } catch (error) {
+    console.log('Error cleaning up screenshots:', error.message);
   }
 };
 
-// Helper function to take screenshots with error handling
+// Run retention at startup and then in the background; unref so it never keeps the process alive
+cleanupOldScreenshots();
+setInterval(cleanupOldScreenshots, (Number(process.env.SCREENSHOT_RETENTION_INTERVAL_MINUTES) || 15) * 60 * 1000).unref();
+
+// Fields blurred in every screenshot, so neither a password nor its length ends up in an image
+const MASKED_FIELD_SELECTORS = [
+  'input[type="password"]',
+  'input[autocomplete="current-password"]',
+  'input[autocomplete="new-password"]',
+  'input[name*="pass" i]',
+  'input[id*="pass" i]',
+  'input[placeholder*="password" i]'
+];
+const MASK_STYLE_ID = 'naukri-wrapper-screenshot-mask';
+
+const setFieldMask = (page, enabled) => page.evaluate((styleId, selectors, on) => {
+  document.getElementById(styleId)?.remove();
+  if (!on) return;
+  const style = document.createElement('style');
+  style.id = styleId;
+  style.textContent = `${selectors.join(', ')} { filter: blur(8px) !important; color: transparent !important; text-shadow: none !important; }`;
+  (document.head || document.documentElement).appendChild(style);
+}, MASK_STYLE_ID, MASKED_FIELD_SELECTORS, enabled);
+
+// Helper function to take screenshots with error handling; resolves to the stored file name.
+// Password fields are masked first; if that fails the screenshot is skipped rather than saved unmasked.
 const takeScreenshot = async (page, step, sessionId) => {
+  const fileName = generateScreenshotName(step, sessionId);
   try {
-    const screenshotDir = getScreenshotDir();
-    const screenshotPath = path.join(screenshotDir, generateScreenshotName(step, sessionId));
-    console.log(`[${sessionId}] Taking screenshot ${step}: ${screenshotPath}`);
-    await page.screenshot({ path: screenshotPath, fullPage: true });
+    console.log(`[${sessionId}] Taking screenshot ${step}: ${fileName}`);
+    await setFieldMask(page, true);
+    let image;
+    try {
+      image = await page.screenshot({ fullPage: true });
+    } finally {
+      await setFieldMask(page, false).catch(() => {});
+    }
+    await screenshotStorage.save(fileName, image, 'image/png');
     console.log(`[${sessionId}] Screenshot ${step} saved successfully`);
-    return screenshotPath;
+    // Report progress to an async login job, if this login is one
+    loginJobs.recordStep(sessionId, step, `/debug/screenshot/${fileName}`);
+    return fileName;
   } catch (screenshotError) {
     console.error(`[${sessionId}] Screenshot ${step} failed:`, screenshotError.message);
+    loginJobs.recordStep(sessionId, step, null);
     return null;
   }
 };
 
+// Chrome launch options for the browser pool
+const buildBrowserOptions = () => {
+  // Launch browser with Python Selenium equivalent configuration
+  const browserOptions = {
+    headless: true,
+    // Python Selenium equivalent chrome options
+    args: [
+      // Basic security and sandbox options (equivalent to Python ChromeOptions)
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage',
+      
+      // GPU and rendering options (common in Python Selenium configs)
+      '--disable-gpu',
+      '--disable-software-rasterizer',
+      '--disable-background-timer-throttling',
+      '--disable-backgrounding-occluded-windows',
+      '--disable-renderer-backgrounding',
+      
+      // Automation detection prevention (Python equivalent)
+      '--disable-blink-features=AutomationControlled',
+      '--disable-web-security',
+      '--disable-features=VizDisplayCompositor',
+      '--disable-extensions',
+      '--no-first-run',
+      '--disable-default-apps',
+      
+      // Network and performance options
+      '--disable-background-networking',
+      '--disable-client-side-phishing-detection',
+      '--disable-sync',
+      '--disable-translate',
+      '--hide-scrollbars',
+      '--mute-audio',
+      
+      // Memory and process management
+      '--memory-pressure-off',
+      '--max_old_space_size=4096',
+      
+      // Display and UI options (Python Selenium style)
+      '--disable-infobars',
+      '--disable-notifications',
+      '--disable-save-password-bubble',
+      '--disable-popup-blocking',
+      
+      // Additional stealth options
+      '--disable-features=TranslateUI',
+      '--disable-ipc-flooding-protection',
+      '--disable-hang-monitor',
+      '--disable-prompt-on-repost',
+      '--disable-domain-reliability',
+      '--disable-component-extensions-with-background-pages',
+      
+      // Window management
+      '--window-size=1920,1080',
+      '--start-maximized'
+    ],
+    timeout: 60000,
+    // Python Selenium equivalent settings
+    ignoreDefaultArgs: [
+      '--enable-automation',
+      '--disable-extensions'
+    ],
+    // Set viewport to common desktop resolution (Python Selenium style)
+    defaultViewport: {
+      width: 1920,
+      height: 1080
+    }
+  };
+
+  // Configure Chrome executable path for different environments
+  if (process.env.NODE_ENV === 'production') {
+    // Try multiple possible Chrome paths on Render
+    const possiblePaths = [
+      process.env.PUPPETEER_EXECUTABLE_PATH,
+      '/opt/render/.cache/puppeteer/chrome/linux-*/chrome-linux*/chrome',
+      '/usr/bin/google-chrome-stable',
+      '/usr/bin/google-chrome',
+      '/usr/bin/chromium-browser',
+      '/usr/bin/chromium'
+    ];
+    
+    for (const chromePath of possiblePaths) {
+      if (chromePath && fs.existsSync(chromePath.replace('*', ''))) {
+        browserOptions.executablePath = chromePath;
+        console.log(`Using Chrome at: ${chromePath}`);
+        break;
+      }
+    }
+  } else {
+    // For local development, let Puppeteer find the installed Chrome
+    // The npx puppeteer browsers install chrome command should handle this
+    console.log('Using locally installed Puppeteer Chrome');
+  }
+
+  return browserOptions;
+};
+
+// Shared Chrome instances for the browser logins (see src/browserPool.js)
+const browserPool = createBrowserPool({
+  launch: () => puppeteer.launch(buildBrowserOptions()),
+  maxBrowsers: Number(process.env.BROWSER_POOL_MAX_BROWSERS) || 1,
+  maxPagesPerBrowser: Number(process.env.BROWSER_POOL_MAX_PAGES) || 2,
+  maxParkedPages: Number(process.env.BROWSER_POOL_MAX_PARKED_PAGES) || 2,
+  acquireTimeoutMs: Number(process.env.BROWSER_POOL_ACQUIRE_TIMEOUT_MS) || 60000,
+  recycleAfter: Number(process.env.BROWSER_POOL_RECYCLE_AFTER) || 50
+});
+
+// Per-account browser state kept between browser logins (opt-in with persistProfile: true)
+const browserProfiles = createBrowserProfileStore({
+  directory: process.env.BROWSER_PROFILES_DIR || getDataPath('browser-profiles'),
+  maxAgeMs: (Number(process.env.BROWSER_PROFILE_MAX_AGE_DAYS) || 30) * 24 * 60 * 60 * 1000
+});
+
+// Declarative selectors/steps for the browser login, reloaded when the file changes
+const loginFlow = createLoginFlowLoader({
+  filePath: process.env.LOGIN_FLOW_PATH || path.join(__dirname, '..', 'flows', 'naukri-login.json'),
+  watchIntervalMs: Number(process.env.LOGIN_FLOW_WATCH_MS ?? 2000)
+});
+
+// Background browser logins started with POST /auth/login-new?async=true
+const loginJobs = createLoginJobStore({
+  ttlMs: Number(process.env.LOGIN_JOB_TTL_MS) || 10 * 60 * 1000 // 10 minutes after finishing
+});
+
+// Step reports of recent browser logins (which selector matched at each step), by sessionId
+const LOGIN_FLOW_REPORT_LIMIT = 100;
+const loginFlowReports = new Map();
+
+const startFlowReport = (flow, sessionId) => {
+  const report = { flow: flow.name, version: flow.version, startedAt: new Date().toISOString(), steps: [] };
+  loginFlowReports.set(sessionId, report);
+  // Map keeps insertion order, so the first key is the oldest report
+  if (loginFlowReports.size > LOGIN_FLOW_REPORT_LIMIT) {
+    loginFlowReports.delete(loginFlowReports.keys().next().value);
+  }
+  return report;
+};
+
 // Helper function to simulate human-like delays
 const humanDelay = (min = 1000, max = 3000) => {
   const delay = Math.random() * (max - min) + min;
@@ -236,6 +496,101 @@ const humanType = async (page, selector, text, sessionId, timeout = 15000) => {
   }
 };
 
+// Helper function to read the profile id from the logged-in page (localStorage first, then page markup)
+const readProfileIdFromPage = async (page, sessionId) => {
+  try {
+    const profileId = await page.evaluate(() => {
+      const pattern = /"profileId"\s*:\s*"([^"]+)"/;
+      for (let i = 0; i < window.localStorage.length; i++) {
+        const match = (window.localStorage.getItem(window.localStorage.key(i)) || '').match(pattern);
+        if (match) return match[1];
+      }
+      const match = document.documentElement.innerHTML.match(pattern);
+      return match ? match[1] : null;
+    });
+    console.log(`[${sessionId}] Profile id ${profileId ? 'found' : 'not found'} on page`);
+    return profileId;
+  } catch (error) {
+    console.error(`[${sessionId}] Reading profile id failed:`, error.message);
+    return null;
+  }
+};
+
+// Helper function to load an account's saved browser state into a fresh page (before navigation).
+// The profile is looked up by username + password, so only the submitted credentials can restore
+// it. Returns true if a saved profile was restored.
+const restoreBrowserProfile = async (page, username, password, sessionId) => {
+  const state = await browserProfiles.load(username, password);
+  if (!state) {
+    console.log(`[${sessionId}] No saved browser profile, starting blank`);
+    return false;
+  }
+
+  if (state.cookies.length > 0) {
+    await page.setCookie(...state.cookies);
+  }
+
+  // localStorage can only be written from its own origin, so seed it as each page loads
+  // (once per tab, so the page's own later changes are not overwritten)
+  await page.evaluateOnNewDocument((storage) => {
+    try {
+      const entries = storage[window.location.origin];
+      if (!entries || window.sessionStorage.getItem('__profileRestored')) return;
+      Object.keys(entries).forEach(key => window.localStorage.setItem(key, entries[key]));
+      window.sessionStorage.setItem('__profileRestored', '1');
+    } catch (error) {
+      // Storage can be unavailable on some frames (sandboxed iframes); nothing to restore there
+    }
+  }, state.localStorage);
+
+  console.log(`[${sessionId}] Restored browser profile saved at ${state.savedAt} (${state.cookies.length} cookies)`);
+  return true;
+};
+
+// Helper function to save the page's cookies and localStorage as the account's browser profile
+const captureBrowserProfile = async (page, username, password, sessionId) => {
+  try {
+    const cookies = await page.cookies();
+    const { origin, entries } = await page.evaluate(() => {
+      const values = {};
+      for (let i = 0; i < window.localStorage.length; i++) {
+        const key = window.localStorage.key(i);
+        values[key] = window.localStorage.getItem(key);
+      }
+      return { origin: window.location.origin, entries: values };
+    });
+    await browserProfiles.save(username, password, { cookies, localStorage: { [origin]: entries } });
+    console.log(`[${sessionId}] Browser profile saved (${cookies.length} cookies)`);
+  } catch (error) {
+    // Not fatal: the login itself succeeded
+    console.error(`[${sessionId}] Saving browser profile failed:`, error.message);
+  }
+};
+
+// Helper function to check whether a restored profile is still logged in: the access token cookie
+// must exist and be accepted by the profile API. Returns the token object or null.
+const checkRestoredSession = async (page, sessionId) => {
+  const cookies = await page.cookies();
+  const accessCookie = cookies.find(cookie => cookie.name === ACCESS_TOKEN_COOKIE);
+  if (!accessCookie || !accessCookie.value) {
+    return null;
+  }
+
+  try {
+    const response = await fetchProfileUpstream(`Bearer ${accessCookie.value}`);
+    if (response.status < 200 || response.status >= 300) {
+      console.log(`[${sessionId}] Restored session rejected by Naukri (${response.status}), logging in again`);
+      return null;
+    }
+  } catch (error) {
+    console.log(`[${sessionId}] Could not verify restored session (${error.message}), logging in again`);
+    return null;
+  }
+
+  console.log(`[${sessionId}] Restored session is still valid, skipping login form`);
+  return extractTokensFromPage(page, sessionId, true);
+};
+
 // Build hardcoded headers per CURLs (no cookies). Only variables are injected from inputs.
 const buildLoginHeaders = () => ({
   accept: 'application/json',
@@ -304,6 +659,233 @@ const buildUpdateProfileHeaders = (authorization) => ({
   'x-requested-with': 'XMLHttpRequest'
 });
 
+// Resume file upload goes to the file validation service first (multipart; axios sets the boundary)
+const buildResumeUploadHeaders = () => ({
+  accept: 'application/json',
+  'accept-language': 'en-GB,en-US;q=0.9,en;q=0.8,hi;q=0.7,la;q=0.6',
+  appid: '105',
+  'cache-control': 'no-cache',
+  origin: 'https://www.naukri.com',
+  pragma: 'no-cache',
+  priority: 'u=1, i',
+  referer: 'https://www.naukri.com/',
+  'sec-ch-ua': '"Not)A;Brand";v="8", "Chromium";v="138", "Google Chrome";v="138"',
+  'sec-ch-ua-mobile': '?0',
+  'sec-ch-ua-platform': '"macOS"',
+  'sec-fetch-dest': 'empty',
+  'sec-fetch-mode': 'cors',
+  'sec-fetch-site': 'same-site',
+  systemid: 'fileupload',
+  'user-agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/138.0.0.0 Safari/537.36'
+});
+
+// Attaching the uploaded file to the profile uses the same headers as the fullprofiles update
+const buildResumeAttachHeaders = (authorization) => buildUpdateProfileHeaders(authorization);
+
+const buildResumeDownloadHeaders = (authorization) => ({
+  ...buildFetchProfileHeaders(authorization),
+  accept: 'application/pdf,application/msword,application/vnd.openxmlformats-officedocument.wordprocessingml.document,*/*'
+});
+
+// Job search is public; a bearer, when the caller sends one, personalises the results
+const buildJobSearchHeaders = (authorization) => ({
+  accept: 'application/json',
+  'accept-language': 'en-GB,en-US;q=0.9,en;q=0.8,hi;q=0.7,la;q=0.6',
+  appid: '109',
+  ...(authorization ? { authorization } : {}),
+  'cache-control': 'no-cache',
+  clientid: 'd3skt0p',
+  'content-type': 'application/json',
+  gid: 'LOCATION,INDUSTRY,EDUCATION,FAREA_ROLE',
+  pragma: 'no-cache',
+  priority: 'u=1, i',
+  referer: 'https://www.naukri.com/',
+  'sec-ch-ua': '"Not)A;Brand";v="8", "Chromium";v="138", "Google Chrome";v="138"',
+  'sec-ch-ua-mobile': '?0',
+  'sec-ch-ua-platform': '"macOS"',
+  'sec-fetch-dest': 'empty',
+  'sec-fetch-mode': 'cors',
+  'sec-fetch-site': 'same-origin',
+  systemid: 'Naukri',
+  'user-agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/138.0.0.0 Safari/537.36'
+});
+
+// Job details come from the job page's API; like search it works without a bearer
+const buildJobDetailsHeaders = (authorization) => ({
+  ...buildJobSearchHeaders(authorization),
+  appid: '121'
+});
+
+const buildApplyHeaders = (authorization) => ({
+  accept: 'application/json',
+  'accept-language': 'en-GB,en-US;q=0.9,en;q=0.8,hi;q=0.7,la;q=0.6',
+  appid: '121',
+  authorization,
+  'cache-control': 'no-cache',
+  clientid: 'd3skt0p',
+  'content-type': 'application/json',
+  origin: 'https://www.naukri.com',
+  pragma: 'no-cache',
+  priority: 'u=1, i',
+  referer: 'https://www.naukri.com/',
+  'sec-ch-ua': '"Not)A;Brand";v="8", "Chromium";v="138", "Google Chrome";v="138"',
+  'sec-ch-ua-mobile': '?0',
+  'sec-ch-ua-platform': '"macOS"',
+  'sec-fetch-dest': 'empty',
+  'sec-fetch-mode': 'cors',
+  'sec-fetch-site': 'same-origin',
+  systemid: 'jobseeker',
+  'user-agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/138.0.0.0 Safari/537.36'
+});
+
+// Saved jobs use the same jobseeker headers as apply
+const buildSavedJobsHeaders = (authorization) => buildApplyHeaders(authorization);
+
+// Naukri auth cookies: nauk_at is the bearer usable against the profile APIs, nauk_rt refreshes it
+const ACCESS_TOKEN_COOKIE = 'nauk_at';
+const REFRESH_TOKEN_COOKIE = 'nauk_rt';
+
+// Helper function to parse upstream Set-Cookie headers into { name: { value, expires } }
+const parseSetCookies = (setCookieHeaders) => {
+  const headers = Array.isArray(setCookieHeaders) ? setCookieHeaders : [setCookieHeaders].filter(Boolean);
+  const cookies = {};
+
+  headers.forEach(header => {
+    const [pair, ...attributes] = header.split(';');
+    const separatorIndex = pair.indexOf('=');
+    if (separatorIndex === -1) return;
+
+    const name = pair.slice(0, separatorIndex).trim();
+    const value = pair.slice(separatorIndex + 1).trim();
+    let expires = null;
+
+    attributes.forEach(attribute => {
+      const [key, ...rest] = attribute.split('=');
+      const attrName = key.trim().toLowerCase();
+      const attrValue = rest.join('=').trim();
+
+      // Max-Age takes precedence over Expires (RFC 6265)
+      if (attrName === 'max-age' && !Number.isNaN(Number(attrValue))) {
+        expires = new Date(Date.now() + Number(attrValue) * 1000);
+      } else if (attrName === 'expires' && !expires) {
+        const parsed = new Date(attrValue);
+        if (!Number.isNaN(parsed.getTime())) expires = parsed;
+      }
+    });
+
+    cookies[name] = { value, expires };
+  });
+
+  return cookies;
+};
+
+// Helper function to read the payload of a JWT without verifying it (we only need exp and ids)
+const decodeJwtPayload = (token) => {
+  try {
+    const payload = token.split('.')[1];
+    if (!payload) return null;
+    return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+// Build the normalized token contract returned by the login routes
+const buildTokenResponse = ({ accessToken, refreshToken, expires, profileId }) => {
+  const claims = decodeJwtPayload(accessToken) || {};
+  let expiresAt = expires ? new Date(expires) : null;
+  if (!expiresAt && claims.exp) {
+    expiresAt = new Date(claims.exp * 1000);
+  }
+
+  const tokens = {
+    accessToken,
+    refreshToken: refreshToken || null,
+    expiresAt: expiresAt ? expiresAt.toISOString() : null
+  };
+
+  const resolvedProfileId = profileId || claims.profileId || claims.ud?.profileId;
+  if (resolvedProfileId) {
+    tokens.profileId = resolvedProfileId;
+  }
+
+  return tokens;
+};
+
+// Build a login result: the raw token object, or an opaque wrapper session when the caller asks for one
+// loginOptions is the login request body: username, password, createSession (boolean),
+// sessionTtlSeconds (number, capped at 30 days)
+const buildLoginResult = async (tokens, strategy, loginOptions) => {
+  const { username, password, createSession, sessionTtlSeconds } = loginOptions || {};
+  if (!createSession) {
+    return tokens;
+  }
+
+  const ttlSeconds = Math.min(Number(sessionTtlSeconds) || SESSION_TTL_SECONDS, MAX_SESSION_TTL_SECONDS);
+  const sessionId = generateSessionId();
+  const now = new Date();
+  const session = {
+    tokens,
+    strategy,
+    // Kept (encrypted) so an expired token can be replaced by logging in again
+    credentials: encryptSecret(JSON.stringify({ username, password })),
+    persistProfile: !!loginOptions.persistProfile,
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + ttlSeconds * 1000).toISOString()
+  };
+
+  await sessionStore.set(sessionId, session);
+
+  const body = { sessionId, expiresAt: session.expiresAt };
+  if (tokens.profileId) {
+    body.profileId = tokens.profileId;
+  }
+  return body;
+};
+
+// Respond with buildLoginResult
+const sendLoginResult = async (res, tokens, strategy, loginOptions) => {
+  res.json(await buildLoginResult(tokens, strategy, loginOptions));
+};
+
+// Helper function to read the bearer value from the Authorization header (null if missing/malformed)
+const readBearer = (req) => {
+  const authHeader = req.headers['authorization'] || req.headers['Authorization'];
+  if (!authHeader || !authHeader.toString().toLowerCase().startsWith('bearer ')) {
+    return null;
+  }
+  return authHeader.toString().slice('bearer '.length).trim();
+};
+
+// Resolve the Authorization header into the Naukri bearer to send upstream.
+// Accepts either a raw Naukri bearer or a wrapper session id (Bearer nws_...).
+// Returns { authorization, sessionId, session } or { status, error }.
+const resolveAuthorization = async (req) => {
+  const bearer = readBearer(req);
+  if (!bearer) {
+    return { status: 400, error: 'Authorization Bearer token header is required' };
+  }
+
+  if (!isSessionId(bearer)) {
+    return { authorization: `Bearer ${bearer}`, sessionId: null, session: null };
+  }
+
+  const session = await sessionStore.get(bearer);
+  if (!session) {
+    return { status: 401, error: 'Wrapper session is invalid or expired' };
+  }
+  return { authorization: `Bearer ${session.tokens.accessToken}`, sessionId: bearer, session };
+};
+
+// Like resolveAuthorization, for endpoints that also work anonymously: without an Authorization
+// header it resolves to { authorization: null, sessionId: null, session: null }.
+const resolveOptionalAuthorization = async (req) => {
+  if (!req.headers['authorization']) {
+    return { authorization: null, sessionId: null, session: null };
+  }
+  return resolveAuthorization(req);
+};
+
 // Health check
 app.get('/health', (_req, res) => {
   res.json({ ok: true });
@@ -312,33 +894,28 @@ app.get('/health', (_req, res) => {
 // Browser test endpoint - test if Puppeteer works at all
 app.get('/debug/browser-test', async (req, res) => {
   const sessionId = Math.random().toString(36).substring(2, 8);
-  let browser;
+  let lease;
   
   try {
     console.log(`[${sessionId}] Testing browser functionality...`);
     
-    const browserOptions = {
-      headless: true,
-      args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage'],
-      timeout: 30000
-    };
-    
-    browser = await puppeteer.launch(browserOptions);
-    const page = await browser.newPage();
+    lease = await browserPool.acquire(sessionId);
+    const page = lease.page;
     
     // Test basic functionality
     await page.goto('data:text/html,<h1>Browser Test</h1><p>Time: ' + Date.now() + '</p>');
     const title = await page.evaluate(() => document.querySelector('h1').textContent);
     
     // Take a test screenshot
-    const screenshotPath = await takeScreenshot(page, 'browser-test', sessionId);
+    const screenshotFile = await takeScreenshot(page, 'browser-test', sessionId);
     
     res.json({
       success: true,
       sessionId: sessionId,
       title: title,
-      screenshotSaved: !!screenshotPath,
-      screenshotPath: screenshotPath
+      screenshotSaved: !!screenshotFile,
+      screenshotUrl: screenshotFile ? `/debug/screenshot/${screenshotFile}` : null,
+      browserId: lease.browserId
     });
     
   } catch (error) {
@@ -348,39 +925,56 @@ app.get('/debug/browser-test', async (req, res) => {
       error: error.message
     });
   } finally {
-    if (browser) {
-      await browser.close();
+    if (lease) {
+      await lease.release();
     }
   }
 });
 
 // System debug endpoint
-app.get('/debug/system', (req, res) => {
-  const screenshotDir = getScreenshotDir();
-  
+app.get('/debug/system', async (req, res) => {
   try {
-    // Check directory permissions
-    const dirExists = fs.existsSync(screenshotDir);
-    let canWrite = false;
-    let dirContents = [];
+    // Listing the storage doubles as the check that it is reachable
+    let storageError = null;
+    let screenshots = [];
+    try {
+      screenshots = (await screenshotStorage.list())
+        .filter(file => isScreenshotFile(file.name))
+        .map(file => file.name);
+    } catch (error) {
+      storageError = error.message;
+    }
     
-    if (dirExists) {
+    // Directory checks of the local backend (null with s3)
+    const local = screenshotStorage.describe().backend === 'local';
+    const screenshotDir = local ? getScreenshotDir() : null;
+    const dirExists = local ? fs.existsSync(screenshotDir) : null;
+    let canWrite = null;
+    if (local) {
       try {
-        fs.accessSync(screenshotDir, fs.constants.W_OK);
+        fs.accessSync(dirExists ? screenshotDir : path.dirname(screenshotDir), fs.constants.W_OK);
         canWrite = true;
-        dirContents = fs.readdirSync(screenshotDir).filter(f => f.startsWith('debug-'));
       } catch (err) {
         canWrite = false;
       }
     }
-    
+
     res.json({
       environment: process.env.NODE_ENV || 'development',
+      screenshotStorage: screenshotStorage.describe(),
+      storageReachable: !storageError,
+      storageError,
       screenshotDirectory: screenshotDir,
       directoryExists: dirExists,
       canWrite: canWrite,
-      existingScreenshots: dirContents.length,
-      screenshots: dirContents.slice(0, 10), // Show first 10
+      retention: {
+        maxAgeHours: SCREENSHOT_RETENTION.maxAgeMs / (60 * 60 * 1000) || null,
+        maxCount: SCREENSHOT_RETENTION.maxCount || null,
+        maxTotalMb: SCREENSHOT_RETENTION.maxTotalBytes / (1024 * 1024) || null
+      },
+      existingScreenshots: screenshots.length,
+      screenshots: screenshots.slice(0, 10), // Show first 10
+      browserPool: browserPool.stats(),
       platform: process.platform,
       nodeVersion: process.version,
       workingDirectory: process.cwd(),
@@ -403,8 +997,57 @@ app.get('/debug/system', (req, res) => {
   }
 });
 
+// Screenshots and session recordings (trace, HAR, console log) stored for a login
+const listSessionFiles = async (sessionId) => {
+  const prefix = `debug-${sessionId}-`;
+  const files = (await screenshotStorage.list())
+    .filter(file => file.name.startsWith(prefix))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  
+  const screenshots = files
+    .filter(file => isScreenshotFile(file.name))
+    .map(file => {
+      // Extract step info from filename
+      const stepMatch = file.name.match(/debug-.*?-(.*?)-\d{4}/);
+      return {
+        filename: file.name,
+        step: stepMatch ? stepMatch[1] : 'unknown',
+        size: file.size,
+        created: file.modifiedAt,
+        url: `/debug/screenshot/${file.name}`
+      };
+    });
+  
+  const artifacts = files
+    .filter(file => ARTIFACT_FILE_PATTERN.test(file.name))
+    .map(file => ({
+      filename: file.name,
+      type: file.name.slice(prefix.length),
+      size: file.size,
+      created: file.modifiedAt,
+      url: `/debug/artifact/${file.name}`
+    }));
+  
+  return { screenshots, artifacts };
+};
+
+// Stream a stored file to the response; false when it doesn't exist
+const sendStoredFile = async (res, filename, headers) => {
+  const stream = await screenshotStorage.read(filename);
+  if (!stream) {
+    return false;
+  }
+  res.set(headers);
+  stream.on('error', (error) => {
+    console.error(`Streaming ${filename} failed:`, error.message);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+  return true;
+};
+
 // GET /debug/screenshots/:sessionId - View screenshots for a specific session
-app.get('/debug/screenshots/:sessionId', (req, res) => {
+app.get('/debug/screenshots/:sessionId', async (req, res) => {
   const { sessionId } = req.params;
   
   if (!sessionId) {
@@ -412,42 +1055,22 @@ app.get('/debug/screenshots/:sessionId', (req, res) => {
   }
   
   try {
-    const screenshotDir = getScreenshotDir();
-    const files = fs.readdirSync(screenshotDir);
-    
-    // Find all screenshots for this session
-    const sessionScreenshots = files
-      .filter(file => file.startsWith(`debug-${sessionId}-`) && file.endsWith('.png'))
-      .sort()
-      .map(file => {
-        const filePath = path.join(screenshotDir, file);
-        const stats = fs.statSync(filePath);
-        
-        // Extract step info from filename
-        const stepMatch = file.match(/debug-.*?-(.*?)-\d{4}/);
-        const step = stepMatch ? stepMatch[1] : 'unknown';
-        
-        return {
-          filename: file,
-          step: step,
-          size: stats.size,
-          created: stats.mtime,
-          url: `/debug/screenshot/${file}`
-        };
-      });
+    const { screenshots, artifacts } = await listSessionFiles(sessionId);
     
-    if (sessionScreenshots.length === 0) {
+    if (screenshots.length === 0) {
       return res.json({ 
         sessionId,
         message: 'No screenshots found for this session',
-        screenshots: []
+        screenshots: [],
+        artifacts
       });
     }
     
     res.json({
       sessionId,
-      message: `Found ${sessionScreenshots.length} screenshots`,
-      screenshots: sessionScreenshots
+      message: `Found ${screenshots.length} screenshots`,
+      screenshots,
+      artifacts
     });
     
   } catch (error) {
@@ -459,30 +1082,22 @@ app.get('/debug/screenshots/:sessionId', (req, res) => {
 });
 
 // GET /debug/screenshot/:filename - Serve individual screenshot file
-app.get('/debug/screenshot/:filename', (req, res) => {
+app.get('/debug/screenshot/:filename', async (req, res) => {
   const { filename } = req.params;
   
   // Validate filename to prevent path traversal
-  if (!filename || !filename.match(/^debug-.*\.png$/)) {
+  if (!filename || !/^debug-[a-z0-9]+-[\w-]+\.png$/.test(filename)) {
     return res.status(400).json({ error: 'Invalid filename' });
   }
   
   try {
-    const screenshotDir = getScreenshotDir();
-    const filePath = path.join(screenshotDir, filename);
-    
-    if (!fs.existsSync(filePath)) {
+    const found = await sendStoredFile(res, filename, {
+      'Content-Type': 'image/png',
+      'Cache-Control': 'public, max-age=3600'
+    });
+    if (!found) {
       return res.status(404).json({ error: 'Screenshot not found' });
     }
-    
-    // Set proper headers for image
-    res.setHeader('Content-Type', 'image/png');
-    res.setHeader('Cache-Control', 'public, max-age=3600');
-    
-    // Stream the file
-    const fileStream = fs.createReadStream(filePath);
-    fileStream.pipe(res);
-    
   } catch (error) {
     res.status(500).json({ 
       error: 'Failed to serve screenshot', 
@@ -491,23 +1106,34 @@ app.get('/debug/screenshot/:filename', (req, res) => {
   }
 });
 
+// GET /debug/artifact/:filename - Download a session recording (trace, HAR or console log)
+app.get('/debug/artifact/:filename', async (req, res) => {
+  const { filename } = req.params;
+  
+  // Only recording file names are served, which also rules out path traversal
+  if (!ARTIFACT_FILE_PATTERN.test(filename)) {
+    return res.status(400).json({ error: 'Invalid filename' });
+  }
+  
+  try {
+    const found = await sendStoredFile(res, filename, {
+      'Content-Type': filename.endsWith('.log') ? 'text/plain; charset=utf-8' : 'application/json',
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    if (!found) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to serve recording', details: error.message });
+  }
+});
+
 // GET /debug/view/:sessionId - HTML interface to view screenshots
 app.get('/debug/view/:sessionId', async (req, res) => {
   const { sessionId } = req.params;
   
   try {
-    const screenshotDir = getScreenshotDir();
-    const files = fs.readdirSync(screenshotDir);
-    
-    // Find all screenshots for this session
-    const sessionScreenshots = files
-      .filter(file => file.startsWith(`debug-${sessionId}-`) && file.endsWith('.png'))
-      .sort()
-      .map(file => {
-        const stepMatch = file.match(/debug-.*?-(.*?)-\d{4}/);
-        const step = stepMatch ? stepMatch[1] : 'unknown';
-        return { filename: file, step: step };
-      });
+    const { screenshots: sessionScreenshots, artifacts } = await listSessionFiles(sessionId);
     
     const html = `
 <!DOCTYPE html>
@@ -519,10 +1145,19 @@ app.get('/debug/view/:sessionId', async (req, res) => {
         .screenshot { margin: 20px 0; padding: 20px; border: 1px solid #ddd; }
         .screenshot h3 { margin-top: 0; }
         .screenshot img { max-width: 100%; border: 1px solid #ccc; }
+        .artifacts { margin: 20px 0; padding: 20px; border: 1px solid #ddd; background: #fafafa; }
     </style>
 </head>
 <body>
     <h1>Debug Screenshots - Session: ${sessionId}</h1>
+    ${artifacts.length === 0 ? '' : `
+      <div class="artifacts">
+        <h3>Session recording</h3>
+        <ul>
+          ${artifacts.map(artifact => `<li><a href="${artifact.url}">${artifact.type}</a> (${Math.round(artifact.size / 1024)} KB)</li>`).join('')}
+        </ul>
+      </div>
+    `}
     ${sessionScreenshots.length === 0 ? 
       '<p>No screenshots found for this session.</p>' : 
       sessionScreenshots.map(screenshot => `
@@ -547,8 +1182,65 @@ app.get('/debug/view/:sessionId', async (req, res) => {
   }
 });
 
+// GET /debug/login-flow - Active login flow definition and its load status
+app.get('/debug/login-flow', (req, res) => {
+  res.json({ ...loginFlow.status(), definition: loginFlow.current() });
+});
+
+// POST /debug/login-flow/reload - Reload the flow definition now (it is also reloaded on file change)
+app.post('/debug/login-flow/reload', (req, res) => {
+  const result = loginFlow.reload();
+  if (!result.ok) {
+    return res.status(422).json({ error: 'Login flow reload failed', details: result.error, active: loginFlow.status() });
+  }
+  res.json(loginFlow.status());
+});
+
+// GET /debug/login-flow/:sessionId - Which selector matched at each step of a browser login
+app.get('/debug/login-flow/:sessionId', (req, res) => {
+  const report = loginFlowReports.get(req.params.sessionId);
+  if (!report) {
+    return res.status(404).json({ error: 'No login flow report for this session' });
+  }
+  res.json(report);
+});
+
+// Call the Naukri login API and extract the tokens from Set-Cookie.
+// Returns { tokens } on success, or { status, body } to proxy back to the caller.
+const loginWithApi = async (username, password) => {
+  // Hardcoded headers (no cookies)
+  const loginHeaders = buildLoginHeaders();
+
+  const response = await axios.post(
+    `${NAUKRI_BASE_URL}/central-login-services/v1/login`,
+    { username, password },
+    { headers: loginHeaders, timeout: 20000, validateStatus: () => true }
+  );
+
+  // Upstream errors (bad credentials, rate limits) are proxied as returned
+  if (response.status < 200 || response.status >= 300) {
+    return { status: response.status, body: response.data };
+  }
+
+  // The access token only comes back as a cookie, so pull it out of Set-Cookie
+  const cookies = parseSetCookies(response.headers['set-cookie']);
+  const accessCookie = cookies[ACCESS_TOKEN_COOKIE];
+  if (!accessCookie || !accessCookie.value) {
+    return { status: 502, body: { error: 'Login succeeded but no access token was returned' } };
+  }
+
+  return {
+    tokens: buildTokenResponse({
+      accessToken: accessCookie.value,
+      refreshToken: cookies[REFRESH_TOKEN_COOKIE]?.value,
+      expires: accessCookie.expires,
+      profileId: response.data?.profileId
+    })
+  };
+};
+
 // POST /auth/login
-// Body: { username: string, password: string }
+// Body: { username: string, password: string, createSession?: boolean, sessionTtlSeconds?: number }
 app.post('/auth/login', async (req, res) => {
   const { username, password } = req.body || {};
 
@@ -556,153 +1248,259 @@ app.post('/auth/login', async (req, res) => {
     return res.status(400).json({ error: 'username and password are required' });
   }
 
-  // Hardcoded headers (no cookies)
-  const loginHeaders = buildLoginHeaders();
-
   try {
-    const response = await axios.post(
-      'https://www.naukri.com/central-login-services/v1/login',
-      { username, password },
-      { headers: loginHeaders, timeout: 20000, validateStatus: () => true }
-    );
+    const result = await loginWithApi(username, password);
+    if (!result.tokens) {
+      return res.status(result.status).json(result.body);
+    }
 
-    res.status(response.status).json(response.data);
+    await sendLoginResult(res, result.tokens, 'api', req.body);
   } catch (error) {
     const status = error.response?.status || 500;
     res.status(status).json({ error: 'Login request failed', details: error.message });
   }
 });
 
-// POST /auth/login-new - Puppeteer-based browser automation login
-// Body: { username: string, password: string }
-app.post('/auth/login-new', async (req, res) => {
-  const { username, password } = req.body || {};
+// Page the browser login opens: LOGIN_BASE_URL, else NAUKRI_BASE_URL when set, else the flow's startUrl
+const loginStartUrl = (flow) => process.env.LOGIN_BASE_URL || (process.env.NAUKRI_BASE_URL ? `${NAUKRI_BASE_URL}/` : flow.startUrl);
 
-  if (!username || !password) {
-    return res.status(400).json({ error: 'username and password are required' });
-  }
+// Site host of the start page without "www.", to recognise redirects within the site
+const flowHost = (flow) => new URL(loginStartUrl(flow)).hostname.replace(/^www\./, '');
 
-  // Clean up old screenshots first
-  cleanupOldScreenshots();
+// Wait for the page to settle after submitting credentials (or an OTP) and report whether
+// the login looks successful. Takes a screenshot named after `step` once the page has settled.
+// The success selectors come from the login flow; what decided the outcome is added to `report`.
+const waitForLoginCompletion = async (page, sessionId, step, flow, report) => {
+  // Wait for login to complete with robust error handling
+  console.log(`[${sessionId}] Waiting for login to complete...`);
+  const startedAt = Date.now();
+  let loginSuccess = false;
+  let matched = null;
   
-  // Generate unique session ID for this login attempt
-  const sessionId = Math.random().toString(36).substring(2, 8);
+  try {
+    // Try to wait for navigation first
+    await page.waitForNavigation({ 
+      waitUntil: 'domcontentloaded', 
+      timeout: 20000 
+    });
+    loginSuccess = true;
+    matched = 'navigation';
+    console.log(`[${sessionId}] Navigation detected after login`);
+  } catch (navError) {
+    console.log(`[${sessionId}] No navigation detected, checking for other success indicators...`);
+    
+    // Check if we're still on the same page but login succeeded
+    await humanDelay(3000, 5000);
+    
+    try {
+      // Look for success indicators without navigation
+      for (const indicator of flow.success.indicators) {
+        const element = await page.$(indicator);
+        if (element) {
+          console.log(`[${sessionId}] Login success indicator found: ${indicator}`);
+          loginSuccess = true;
+          matched = indicator;
+          break;
+        }
+      }
+      
+      // Check if login dialog disappeared (another success indicator)
+      const loginDialog = await page.$(flow.success.loginFormSelectors.join(', '));
+      if (!loginDialog) {
+        console.log(`[${sessionId}] Login dialog disappeared - likely successful`);
+        loginSuccess = true;
+        matched = matched || 'login-form-gone';
+      }
+      
+    } catch (checkError) {
+      console.log(`[${sessionId}] Error checking login success: ${checkError.message}`);
+    }
+  }
+  
+  // Take screenshot after login attempt
+  await takeScreenshot(page, step, sessionId);
   
+  // Final URL and success check
+  const finalUrl = page.url();
+  console.log(`[${sessionId}] Final URL after login: ${finalUrl}`);
+  
+  if (!loginSuccess && finalUrl.includes(flowHost(flow)) && !finalUrl.includes('login')) {
+    console.log(`[${sessionId}] URL changed from login page - considering successful`);
+    loginSuccess = true;
+    matched = 'url';
+  }
+  
+  report.steps.push({
+    id: step,
+    action: 'successCheck',
+    status: loginSuccess ? 'ok' : 'failed',
+    matched,
+    durationMs: Date.now() - startedAt
+  });
+  return loginSuccess;
+};
+
+// Read the auth cookies and profile id from a logged-in page and build the token object
+const extractTokensFromPage = async (page, sessionId, loginSuccess) => {
+  // Find the auth cookies set by the logged-in session
+  const cookies = await page.cookies();
+  const accessCookie = cookies.find(cookie => cookie.name === ACCESS_TOKEN_COOKIE);
+  const refreshCookie = cookies.find(cookie => cookie.name === REFRESH_TOKEN_COOKIE);
+
+  if (!accessCookie || !accessCookie.value) {
+    throw new Error(`Login did not set the ${ACCESS_TOKEN_COOKIE} cookie (login ${loginSuccess ? 'looked successful' : 'was not confirmed'})`);
+  }
+  console.log(`[${sessionId}] Auth cookies found (refresh token: ${refreshCookie ? 'yes' : 'no'})`);
+
+  const profileId = await readProfileIdFromPage(page, sessionId);
+
+  return buildTokenResponse({
+    accessToken: accessCookie.value,
+    refreshToken: refreshCookie?.value,
+    // Puppeteer reports expiry in seconds since epoch, -1 for session cookies
+    expires: accessCookie.expires > 0 ? accessCookie.expires * 1000 : null,
+    profileId
+  });
+};
+
+// Idle OTP challenges are closed (and their browser with them) after this long
+const OTP_CHALLENGE_TTL_MS = Number(process.env.OTP_CHALLENGE_TTL_MS) || 5 * 60 * 1000; // 5 minutes
+const OTP_MAX_ATTEMPTS = 3;
+
+// Paused browser logins waiting for an OTP, by challengeId
+const otpChallenges = new Map();
+
+// Helper function to check for a visible OTP input; returns the matching selector or null.
+// Naukri shows either one OTP input or one input per digit (selectors come from the login flow).
+const detectOtpScreen = async (page, sessionId, flow) => {
+  for (const selector of flow.otp.inputSelectors) {
+    try {
+      const element = await page.$(selector);
+      if (element && await element.isVisible()) {
+        console.log(`[${sessionId}] OTP screen detected: ${selector}`);
+        return selector;
+      }
+    } catch (error) {
+      console.log(`[${sessionId}] OTP check for ${selector} failed: ${error.message}`);
+    }
+  }
+  return null;
+};
+
+// Helper function to type the OTP (one box or one box per digit) and submit it
+const submitOtp = async (page, otp, sessionId, flow) => {
+  const selector = await detectOtpScreen(page, sessionId, flow);
+  if (!selector) {
+    throw new Error('OTP input is no longer on the page');
+  }
+
+  const inputs = await page.$$(selector);
+  if (inputs.length > 1 && inputs.length === otp.length) {
+    for (let i = 0; i < inputs.length; i++) {
+      await inputs[i].type(otp[i], { delay: Math.random() * 150 + 50 });
+      await humanDelay(100, 300);
+    }
+  } else if (!await humanType(page, selector, otp, sessionId, 10000)) {
+    throw new Error('Could not type into the OTP input');
+  }
+
+  await humanDelay(500, 1000);
+  await takeScreenshot(page, '05-before-otp-submit', sessionId);
+
+  const submitted = await findAndClickElement(page, flow.otp.submitSelectors, sessionId, 5000);
+  if (!submitted) {
+    console.log(`[${sessionId}] No OTP submit button found, pressing Enter`);
+    await page.keyboard.press('Enter');
+  }
+};
+
+const closeOtpChallenge = (challengeId) => {
+  const challenge = otpChallenges.get(challengeId);
+  if (!challenge) return;
+  otpChallenges.delete(challengeId);
+  clearTimeout(challenge.idleTimer);
+  console.log(`[${challenge.sessionId}] Releasing OTP challenge browser context...`);
+  const recordingStopped = challenge.recording ? challenge.recording.stop() : Promise.resolve();
+  recordingStopped
+    .then(() => challenge.lease.release())
+    .catch(error => console.error(`[${challenge.sessionId}] Browser context release failed:`, error.message));
+};
+
+// (Re)start the idle timer; returns the new expiry
+const touchOtpChallenge = (challenge) => {
+  clearTimeout(challenge.idleTimer);
+  challenge.expiresAt = new Date(Date.now() + OTP_CHALLENGE_TTL_MS).toISOString();
+  challenge.idleTimer = setTimeout(() => {
+    console.log(`[${challenge.sessionId}] OTP challenge expired`);
+    closeOtpChallenge(challenge.id);
+    loginJobs.fail(challenge.sessionId, { error: 'OTP challenge expired', sessionId: challenge.sessionId });
+  }, OTP_CHALLENGE_TTL_MS);
+  return challenge.expiresAt;
+};
+
+const createOtpChallenge = ({ lease, page, sessionId, loginOptions, flow, report, recording }) => {
+  const challenge = {
+    id: crypto.randomBytes(16).toString('hex'),
+    lease,
+    page,
+    sessionId,
+    loginOptions,
+    // The flow definition the login started with, even if it is reloaded meanwhile
+    flow,
+    report,
+    // Debug recording keeps running until the challenge is closed
+    recording,
+    attempts: 0,
+    busy: false
+  };
+  otpChallenges.set(challenge.id, challenge);
+  touchOtpChallenge(challenge);
+  // While waiting for the OTP the page is idle; free its pool slot for other logins if possible
+  if (!lease.park()) {
+    console.log(`[${sessionId}] No parked browser pages left, the OTP challenge keeps its pool slot`);
+  }
+  console.log(`[${sessionId}] Login paused for OTP (challenge expires ${challenge.expiresAt})`);
+  return { status: 'otp_required', challengeId: challenge.id, expiresAt: challenge.expiresAt };
+};
+
+// Run the Puppeteer login flow and return the normalized token object.
+// Throws on failure; screenshots for each step are saved under sessionId.
+// options.allowOtp: when Naukri asks for an OTP, keep the browser context open and return
+// { status: 'otp_required', challengeId, expiresAt } instead of failing. options.loginOptions
+// (the login request body) is kept with the challenge to finish the login later.
+// options.persistProfile: restore/save the account's browser profile (src/browserProfiles.js).
+// options.debug: record a trace, HAR and console log for the session (src/sessionRecorder.js).
+const loginWithBrowser = async (username, password, sessionId, options = {}) => {
   // Log debugging information
   console.log(`[${sessionId}] Starting login automation`);
   console.log(`[${sessionId}] Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`[${sessionId}] Screenshot directory: ${getScreenshotDir()}`);
-  console.log(`[${sessionId}] Directory writable:`, fs.access ? 'checking...' : 'unknown');
+  console.log(`[${sessionId}] Screenshot storage: ${screenshotStorage.describe().location}`);
 
-  let browser;
+  let lease;
+  let recording = null;
+  let keepBrowserOpen = false;
+  let timedOut = false;
+  
+  // Use one flow definition for the whole login, even if the file is reloaded meanwhile
+  const flow = loginFlow.current();
+  const report = startFlowReport(flow, sessionId);
   
   // Set overall timeout for the entire process
   const overallTimeout = setTimeout(() => {
     console.error(`[${sessionId}] Overall process timeout after 2 minutes`);
-    if (browser) {
-      browser.close().catch(console.error);
+    timedOut = true;
+    if (lease) {
+      lease.release().catch(console.error);
     }
   }, 120000); // 2 minutes
   
   try {
-    // Launch browser with Python Selenium equivalent configuration
-    const browserOptions = {
-      headless: true,
-      // Python Selenium equivalent chrome options
-      args: [
-        // Basic security and sandbox options (equivalent to Python ChromeOptions)
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        
-        // GPU and rendering options (common in Python Selenium configs)
-        '--disable-gpu',
-        '--disable-software-rasterizer',
-        '--disable-background-timer-throttling',
-        '--disable-backgrounding-occluded-windows',
-        '--disable-renderer-backgrounding',
-        
-        // Automation detection prevention (Python equivalent)
-        '--disable-blink-features=AutomationControlled',
-        '--disable-web-security',
-        '--disable-features=VizDisplayCompositor',
-        '--disable-extensions',
-        '--no-first-run',
-        '--disable-default-apps',
-        
-        // Network and performance options
-        '--disable-background-networking',
-        '--disable-client-side-phishing-detection',
-        '--disable-sync',
-        '--disable-translate',
-        '--hide-scrollbars',
-        '--mute-audio',
-        
-        // Memory and process management
-        '--memory-pressure-off',
-        '--max_old_space_size=4096',
-        
-        // Display and UI options (Python Selenium style)
-        '--disable-infobars',
-        '--disable-notifications',
-        '--disable-save-password-bubble',
-        '--disable-popup-blocking',
-        
-        // Additional stealth options
-        '--disable-features=TranslateUI',
-        '--disable-ipc-flooding-protection',
-        '--disable-hang-monitor',
-        '--disable-prompt-on-repost',
-        '--disable-domain-reliability',
-        '--disable-component-extensions-with-background-pages',
-        
-        // Window management
-        '--window-size=1920,1080',
-        '--start-maximized'
-      ],
-      timeout: 60000,
-      // Python Selenium equivalent settings
-      ignoreDefaultArgs: [
-        '--enable-automation',
-        '--disable-extensions'
-      ],
-      // Set viewport to common desktop resolution (Python Selenium style)
-      defaultViewport: {
-        width: 1920,
-        height: 1080
-      }
-    };
-
-    // Configure Chrome executable path for different environments
-    if (process.env.NODE_ENV === 'production') {
-      // Try multiple possible Chrome paths on Render
-      const possiblePaths = [
-        process.env.PUPPETEER_EXECUTABLE_PATH,
-        '/opt/render/.cache/puppeteer/chrome/linux-*/chrome-linux*/chrome',
-        '/usr/bin/google-chrome-stable',
-        '/usr/bin/google-chrome',
-        '/usr/bin/chromium-browser',
-        '/usr/bin/chromium'
-      ];
-      
-      for (const chromePath of possiblePaths) {
-        if (chromePath && fs.existsSync(chromePath.replace('*', ''))) {
-          browserOptions.executablePath = chromePath;
-          console.log(`Using Chrome at: ${chromePath}`);
-          break;
-        }
-      }
-    } else {
-      // For local development, let Puppeteer find the installed Chrome
-      // The npx puppeteer browsers install chrome command should handle this
-      console.log('Using locally installed Puppeteer Chrome');
-    }
-
-    console.log(`[${sessionId}] Launching browser...`);
-    browser = await puppeteer.launch(browserOptions);
-    console.log(`[${sessionId}] Browser launched successfully`);
+    // Fresh incognito context + page from the shared browser pool (queues when at capacity)
+    console.log(`[${sessionId}] Acquiring browser from pool...`);
+    lease = await browserPool.acquire(sessionId);
+    console.log(`[${sessionId}] Browser ${lease.browserId} acquired`);
     
-    const page = await browser.newPage();
+    const page = lease.page;
     console.log(`[${sessionId}] New page created`);
     
     // Add error handlers for page-level issues
@@ -864,6 +1662,11 @@ app.post('/auth/login-new', async (req, res) => {
     page.setDefaultTimeout(30000); // Equivalent to driver.implicitly_wait(30)
     page.setDefaultNavigationTimeout(45000); // Equivalent to driver.set_page_load_timeout(45)
     
+    // Restore the account's saved cookies/localStorage before visiting Naukri
+    const profileRestored = options.persistProfile
+      ? await restoreBrowserProfile(page, username, password, sessionId)
+      : false;
+    
     // Test basic navigation first
     console.log(`[${sessionId}] Testing basic navigation...`);
     try {
@@ -874,8 +1677,17 @@ app.post('/auth/login-new', async (req, res) => {
       throw new Error(`Browser navigation not working: ${testError.message}`);
     }
     
+    // Debug mode: record a trace, a redacted HAR and the console log into the screenshot storage
+    if (options.debug) {
+      recording = await startSessionRecording(page, {
+        sessionId,
+        storage: screenshotStorage,
+        secrets: [username, password]
+      });
+    }
+    
     // Navigate to Naukri with robust error handling
-    console.log(`[${sessionId}] Navigating to naukri.com...`);
+    console.log(`[${sessionId}] Navigating to ${loginStartUrl(flow)}...`);
     let navigationAttempts = 0;
     const maxAttempts = 3;
     
@@ -889,7 +1701,7 @@ app.post('/auth/login-new', async (req, res) => {
                            navigationAttempts === 2 ? 'domcontentloaded' : 'load';
         
         // Python Selenium equivalent: driver.get() with timeout
-        await page.goto('https://www.naukri.com/', { 
+        await page.goto(loginStartUrl(flow), { 
           waitUntil: waitStrategy,
           timeout: 30000 
         });
@@ -898,7 +1710,7 @@ app.post('/auth/login-new', async (req, res) => {
         
         // Python Selenium equivalent: verify current_url
         const currentUrl = page.url();
-        if (!currentUrl.includes('naukri.com')) {
+        if (!currentUrl.includes(flowHost(flow))) {
           throw new Error(`Unexpected redirect to: ${currentUrl}`);
         }
         
@@ -970,357 +1782,1602 @@ app.post('/auth/login-new', async (req, res) => {
     // Take screenshot after page load
     await takeScreenshot(page, '01-pageload', sessionId);
     
-    // Wait a bit more for dynamic content to load
-    console.log(`[${sessionId}] Waiting for page to fully load...`);
-    await humanDelay(3000, 5000);
-    
-    // Try multiple selectors for the login link
-    console.log(`[${sessionId}] Looking for login link...`);
-    const loginSelectors = [
-      'a[title="Jobseeker Login"]',
-      'a[title*="Login"]',
-      '.login-link',
-      '.jobseeker-login',
-      'a[href*="login"]',
-      'a:contains("Login")',
-      '.header-login a',
-      '.nav-login'
-    ];
-    
-    const loginClicked = await findAndClickElement(page, loginSelectors, sessionId, 30000);
-    if (!loginClicked) {
-      // Take a screenshot to see what's on the page
-      await takeScreenshot(page, '01-login-link-not-found', sessionId);
-      
-      // Try to find any login-related elements for debugging
-      const loginElements = await page.$$eval('a', elements => 
-        elements.map(el => ({
-          text: el.textContent.trim(),
-          title: el.title,
-          href: el.href,
-          className: el.className
-        })).filter(el => 
-          el.text.toLowerCase().includes('login') || 
-          el.title.toLowerCase().includes('login') ||
-          el.href.toLowerCase().includes('login')
-        )
-      );
-      
-      console.log(`[${sessionId}] Found login-related elements:`, JSON.stringify(loginElements, null, 2));
-      throw new Error('Could not click on Jobseeker Login link');
-    }
-    
-    // Human-like wait for dialog to open and load completely
-    await humanDelay(3000, 5000);
-    
-    // Wait for login form to be visible and interactive
-    console.log(`[${sessionId}] Waiting for login form to load...`);
-    try {
-      // Wait for any login form to appear
-      await page.waitForSelector('.form-row, .login-form, #login-form, .modal-body', { 
-        timeout: 20000,
-        visible: true 
-      });
-      console.log(`[${sessionId}] Login form container found`);
-    } catch (error) {
-      console.log(`[${sessionId}] No standard form container found, continuing...`);
-    }
-    
-    // Additional wait for dynamic content
-    await humanDelay(2000, 3000);
-    
-    // Take screenshot after clicking login link
-    await takeScreenshot(page, '02-after-click', sessionId);
-    
-    // Try multiple selectors for username field
-    console.log(`[${sessionId}] Looking for username field...`);
-    const usernameSelectors = [
-      '.form-row:first-child input',
-      '.form-row input[type="text"]',
-      '.form-row input[type="email"]',
-      'input[name="username"]',
-      'input[name="email"]',
-      'input[placeholder*="Email"]',
-      'input[placeholder*="Username"]',
-      'input[id*="username"]',
-      'input[id*="email"]',
-      '.login-form input:first-of-type',
-      '#login-form input:first-of-type',
-      '.modal-body input:first-of-type'
-    ];
-    
-    let usernameTyped = false;
-    for (const selector of usernameSelectors) {
-      try {
-        console.log(`[${sessionId}] Trying username selector: ${selector}`);
-        usernameTyped = await humanType(page, selector, username, sessionId, 10000);
-        if (usernameTyped) {
-          console.log(`[${sessionId}] Username typed successfully with: ${selector}`);
-          break;
-        }
-      } catch (error) {
-        console.log(`[${sessionId}] Username selector ${selector} failed, trying next...`);
-      }
-    }
-    
-    if (!usernameTyped) {
-      // Take debug screenshot and log available inputs
-      await takeScreenshot(page, '02-username-field-not-found', sessionId);
-      
-      const availableInputs = await page.$$eval('input', inputs => 
-        inputs.map(input => ({
-          type: input.type,
-          name: input.name,
-          id: input.id,
-          className: input.className,
-          placeholder: input.placeholder,
-          visible: input.offsetParent !== null
-        }))
-      );
-      
-      console.log(`[${sessionId}] Available input fields:`, JSON.stringify(availableInputs, null, 2));
-      throw new Error('Could not find username input field');
-    }
-    
-    // Human-like delay between fields
-    await humanDelay(1000, 2000);
-    
-    // Try multiple selectors for password field
-    console.log(`[${sessionId}] Looking for password field...`);
-    const passwordSelectors = [
-      '.form-row:nth-child(2) input',
-      '.form-row input[type="password"]',
-      'input[name="password"]',
-      'input[placeholder*="Password"]',
-      'input[id*="password"]',
-      '.login-form input[type="password"]',
-      '#login-form input[type="password"]',
-      '.modal-body input[type="password"]',
-      '.form-row:last-child input'
-    ];
-    
-    let passwordTyped = false;
-    for (const selector of passwordSelectors) {
-      try {
-        console.log(`[${sessionId}] Trying password selector: ${selector}`);
-        passwordTyped = await humanType(page, selector, password, sessionId, 10000);
-        if (passwordTyped) {
-          console.log(`[${sessionId}] Password typed successfully with: ${selector}`);
-          break;
-        }
-      } catch (error) {
-        console.log(`[${sessionId}] Password selector ${selector} failed, trying next...`);
+    // A restored profile may still be logged in: skip the login form entirely
+    if (profileRestored) {
+      const restoredTokens = await checkRestoredSession(page, sessionId);
+      if (restoredTokens) {
+        await captureBrowserProfile(page, username, password, sessionId);
+        return restoredTokens;
       }
     }
     
-    if (!passwordTyped) {
-      await takeScreenshot(page, '02-password-field-not-found', sessionId);
-      throw new Error('Could not find password input field');
-    }
-    
-    // Human-like delay before clicking login
-    await humanDelay(1000, 2000);
-    
-    // Take screenshot before clicking login button
-    await takeScreenshot(page, '03-before-login', sessionId);
-    
-    // Try multiple selectors for login button
-    console.log(`[${sessionId}] Looking for login button...`);
-    const loginButtonSelectors = [
-      'button.btn-primary.loginButton',
-      'button[type="submit"]',
-      '.login-button',
-      '.btn-login',
-      'button:contains("Login")',
-      'input[type="submit"]',
-      '.modal-footer button',
-      '.form-actions button',
-      'button.primary'
-    ];
-    
-    const loginButtonClicked = await findAndClickElement(page, loginButtonSelectors, sessionId, 20000);
-    if (!loginButtonClicked) {
-      // Take debug screenshot and log available buttons
-      await takeScreenshot(page, '03-login-button-not-found', sessionId);
-      
-      const availableButtons = await page.$$eval('button, input[type="submit"]', buttons => 
-        buttons.map(btn => ({
-          type: btn.type,
-          className: btn.className,
-          id: btn.id,
-          text: btn.textContent?.trim(),
-          value: btn.value,
-          visible: btn.offsetParent !== null
-        }))
-      );
-      
-      console.log(`[${sessionId}] Available buttons:`, JSON.stringify(availableButtons, null, 2));
-      throw new Error('Could not find login button');
-    }
-    
-    // Wait for login to complete with robust error handling
-    console.log(`[${sessionId}] Waiting for login to complete...`);
-    let loginSuccess = false;
+    // Open the login form, fill in the credentials and submit, as the flow definition describes
+    console.log(`[${sessionId}] Running login flow ${flow.name} v${flow.version}...`);
+    await runLoginFlow(flow, {
+      page,
+      sessionId,
+      values: { username, password },
+      helpers: { click: humanClick, type: humanType, screenshot: takeScreenshot, delay: humanDelay },
+      report
+    });
     
-    try {
-      // Try to wait for navigation first
-      await page.waitForNavigation({ 
-        waitUntil: 'domcontentloaded', 
-        timeout: 20000 
-      });
-      loginSuccess = true;
-      console.log(`[${sessionId}] Navigation detected after login`);
-    } catch (navError) {
-      console.log(`[${sessionId}] No navigation detected, checking for other success indicators...`);
-      
-      // Check if we're still on the same page but login succeeded
-      await humanDelay(3000, 5000);
-      
-      try {
-        // Look for success indicators without navigation
-        const successIndicators = [
-          '.user-name',
-          '.profile-name',
-          '.user-profile',
-          '[data-test="profile-menu"]',
-          '.profile-dropdown',
-          '.logout-link',
-          '.user-menu'
-        ];
-        
-        for (const indicator of successIndicators) {
-          const element = await page.$(indicator);
-          if (element) {
-            console.log(`[${sessionId}] Login success indicator found: ${indicator}`);
-            loginSuccess = true;
-            break;
-          }
-        }
-        
-        // Check if login dialog disappeared (another success indicator)
-        const loginDialog = await page.$('.login-form, .modal-body, .form-row');
-        if (!loginDialog) {
-          console.log(`[${sessionId}] Login dialog disappeared - likely successful`);
-          loginSuccess = true;
-        }
-        
-      } catch (checkError) {
-        console.log(`[${sessionId}] Error checking login success: ${checkError.message}`);
+    const loginSuccess = await waitForLoginCompletion(page, sessionId, '04-after-login', flow, report);
+
+    // Naukri may ask for an OTP after the password step: pause here and hand back a challenge
+    const otpSelector = await detectOtpScreen(page, sessionId, flow);
+    if (otpSelector) {
+      await takeScreenshot(page, '04-otp-required', sessionId);
+      if (!options.allowOtp) {
+        throw new Error('Naukri asked for an OTP, which cannot be answered in this flow');
       }
+      keepBrowserOpen = true;
+      return createOtpChallenge({ lease, page, sessionId, loginOptions: options.loginOptions, flow, report, recording });
     }
-    
-    // Take screenshot after login attempt
-    await takeScreenshot(page, '04-after-login', sessionId);
-    
-    // Final URL and success check
-    const finalUrl = page.url();
-    console.log(`[${sessionId}] Final URL after login: ${finalUrl}`);
-    
-    if (!loginSuccess && finalUrl.includes('naukri.com') && !finalUrl.includes('login')) {
-      console.log(`[${sessionId}] URL changed from login page - considering successful`);
-      loginSuccess = true;
+
+    const tokens = await extractTokensFromPage(page, sessionId, loginSuccess);
+    if (options.persistProfile) {
+      await captureBrowserProfile(page, username, password, sessionId);
     }
-    
-    // Get cookies and current URL from the logged-in session
-    const cookies = await page.cookies();
-    const currentUrl = page.url();
-    
-    // Extract any relevant session data
-    const sessionData = {
-      success: true,
-      message: 'Login completed successfully',
-      sessionId: sessionId,
-      url: currentUrl,
-      cookies: cookies.map(cookie => ({ 
-        name: cookie.name, 
-        value: cookie.value, 
-        domain: cookie.domain 
-      }))
-    };
-    
-    res.json(sessionData);
+    return tokens;
     
   } catch (error) {
     console.error(`[${sessionId}] Error in login automation:`, error.message);
-    res.status(500).json({ 
-      error: 'Browser automation login failed', 
-      details: error.message,
-      sessionId: sessionId
-    });
+    // Look at the page before its context is released to tell why the login failed
+    const pageState = lease ? await inspectFailurePage(lease.page, flow) : null;
+    error.failure = classifyLoginFailure(error, pageState, { timedOut });
+    console.log(`[${sessionId}] Login failure classified as ${error.failure.code}: ${error.failure.reason}`);
+    throw error;
   } finally {
     clearTimeout(overallTimeout);
-    if (browser) {
-      console.log(`[${sessionId}] Closing browser...`);
-      await browser.close();
-      console.log(`[${sessionId}] Browser closed`);
+    if (recording && !keepBrowserOpen) {
+      await recording.stop();
+    }
+    if (lease && !keepBrowserOpen) {
+      console.log(`[${sessionId}] Releasing browser context...`);
+      await lease.release();
+      console.log(`[${sessionId}] Browser context released`);
     }
   }
+};
+
+// Error body for a failed browser login; failure comes from classifyLoginFailure
+const buildLoginFailureBody = (error, failure, sessionId) => ({
+  error: 'Browser automation login failed',
+  code: failure.code,
+  retryable: failure.retryable,
+  reason: failure.reason,
+  details: error.message,
+  sessionId: sessionId,
+  flow: loginFlowReports.get(sessionId)
 });
 
-// GET /fetch-profile
-// Query requires: authorization Bearer token in headers
-// Optional: we read the incoming headers and pass through the ones present in CURL 2 (excluding Cookie)
-app.get('/fetch-profile', async (req, res) => {
-  // Require Authorization header (Bearer token)
-  const authHeader = req.headers['authorization'] || req.headers['Authorization'];
-  if (!authHeader || !authHeader.toString().toLowerCase().startsWith('bearer ')) {
-    return res.status(400).json({ error: 'Authorization Bearer token header is required' });
+// Run the browser login for /auth/login-new; resolves to the { status, body } to answer with
+const runLoginNew = async (sessionId, loginOptions) => {
+  try {
+    const result = await loginWithBrowser(loginOptions.username, loginOptions.password, sessionId, {
+      allowOtp: true,
+      persistProfile: !!loginOptions.persistProfile,
+      debug: !!loginOptions.debug,
+      loginOptions
+    });
+
+    if (result.status === 'otp_required') {
+      return { status: 202, body: result };
+    }
+    return { status: 200, body: await buildLoginResult(result, 'browser', loginOptions) };
+  } catch (error) {
+    const failure = error.failure || classifyLoginFailure(error, null);
+    return { status: failure.status, body: buildLoginFailureBody(error, failure, sessionId) };
   }
+};
 
-  const fetchHeaders = buildFetchProfileHeaders(authHeader);
+// POST /auth/login-new - Puppeteer-based browser automation login
+// Body: { username: string, password: string, createSession?: boolean, sessionTtlSeconds?: number,
+//         persistProfile?: boolean, debug?: boolean }
+// Query: async=true returns a job id right away (see GET /auth/jobs/:id)
+app.post('/auth/login-new', async (req, res) => {
+  const { username, password } = req.body || {};
 
-  try {
-    const response = await axios.get(
-      'https://www.naukri.com/cloudgateway-mynaukri/resman-aggregator-services/v2/users/self',
-      {
-        params: { expand_level: '2' },
-        headers: fetchHeaders,
-        timeout: 20000,
-        validateStatus: () => true
+  if (!username || !password) {
+    return res.status(400).json({ error: 'username and password are required' });
+  }
+
+  // Generate unique session ID for this login attempt
+  const sessionId = Math.random().toString(36).substring(2, 8);
+  // sessionId goes in a header so screenshots can still be looked up
+  res.setHeader('x-login-session-id', sessionId);
+
+  if (req.query.async === 'true') {
+    const job = loginJobs.create(sessionId);
+    console.log(`[${sessionId}] Browser login started as job ${job.id}`);
+
+    runLoginNew(sessionId, req.body).then(({ status, body }) => {
+      if (status === 202) {
+        loginJobs.setOtpRequired(sessionId, { challengeId: body.challengeId, expiresAt: body.expiresAt });
+      } else if (status === 200) {
+        loginJobs.succeed(sessionId, body);
+      } else {
+        loginJobs.fail(sessionId, body);
       }
-    );
+    }).catch(error => {
+      // runLoginNew answers login failures itself; this is the job bookkeeping failing
+      console.error(`[${sessionId}] Browser login job ${job.id} failed:`, error.message);
+      loginJobs.fail(sessionId, buildLoginFailureBody(error, classifyLoginFailure(error, null), sessionId));
+    }).catch(error => console.error(`[${sessionId}] Could not mark job ${job.id} as failed:`, error.message));
 
-    res.status(response.status).json(response.data);
-  } catch (error) {
-    const status = error.response?.status || 500;
-    res.status(status).json({ error: 'Fetch profile failed', details: error.message });
+    return res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      sessionId,
+      statusUrl: `/auth/jobs/${job.id}`,
+      eventsUrl: `/auth/jobs/${job.id}/events`
+    });
   }
+
+  // Same token contract as /auth/login
+  const { status, body } = await runLoginNew(sessionId, req.body);
+  res.status(status).json(body);
 });
 
-// PUT /update-profile
-// Body must include: { profile: { ... }, profileId: string }
-// Requires Authorization header
-// Note: Upstream rejects true PUT; it expects POST with x-http-method-override: PUT.
-app.put('/update-profile', async (req, res) => {
-  const { profile, profileId } = req.body || {};
-  if (!profile || typeof profile !== 'object' || !profileId) {
-    return res.status(400).json({ error: 'profile (object) and profileId (string) are required' });
+// POST /auth/login-new/:challengeId/otp - Finish a browser login paused for an OTP
+// Body: { otp: string }
+app.post('/auth/login-new/:challengeId/otp', async (req, res) => {
+  const otp = String(req.body?.otp || '').trim();
+  if (!/^\d{4,8}$/.test(otp)) {
+    return res.status(400).json({ error: 'otp (4-8 digits) is required' });
   }
 
-  const authHeader = req.headers['authorization'] || req.headers['Authorization'];
-  if (!authHeader || !authHeader.toString().toLowerCase().startsWith('bearer ')) {
-    return res.status(400).json({ error: 'Authorization Bearer token header is required' });
+  const challenge = otpChallenges.get(req.params.challengeId);
+  if (!challenge) {
+    return res.status(404).json({ error: 'OTP challenge not found or expired' });
+  }
+  if (challenge.busy) {
+    return res.status(409).json({ error: 'An OTP for this challenge is already being verified' });
   }
 
-  const updateHeaders = buildUpdateProfileHeaders(authHeader);
+  const { page, sessionId } = challenge;
+  challenge.busy = true;
+  // Don't let the idle timer close the browser while we're using it
+  clearTimeout(challenge.idleTimer);
+  res.setHeader('x-login-session-id', sessionId);
+  loginJobs.setRunning(sessionId);
 
   try {
-    const response = await axios.post(
-      'https://www.naukri.com/cloudgateway-mynaukri/resman-aggregator-services/v1/users/self/fullprofiles',
-      { profile, profileId },
-      { headers: updateHeaders, timeout: 20000, validateStatus: () => true }
-    );
+    await submitOtp(page, otp, sessionId, challenge.flow);
+    const loginSuccess = await waitForLoginCompletion(page, sessionId, '05-after-otp', challenge.flow, challenge.report);
 
-    res.status(response.status).json(response.data);
+    // Still on the OTP screen: the code was rejected
+    if (await detectOtpScreen(page, sessionId, challenge.flow)) {
+      challenge.attempts++;
+      const attemptsLeft = OTP_MAX_ATTEMPTS - challenge.attempts;
+      if (attemptsLeft <= 0) {
+        closeOtpChallenge(challenge.id);
+        loginJobs.fail(sessionId, { error: 'Invalid OTP, no attempts left', sessionId });
+        return res.status(401).json({ error: 'Invalid OTP, no attempts left; start a new login', attemptsLeft: 0 });
+      }
+      const expiresAt = touchOtpChallenge(challenge);
+      loginJobs.setOtpRequired(sessionId, { challengeId: challenge.id, expiresAt, attemptsLeft });
+      return res.status(401).json({ error: 'Invalid OTP', challengeId: challenge.id, attemptsLeft, expiresAt });
+    }
+
+    const tokens = await extractTokensFromPage(page, sessionId, loginSuccess);
+    if (challenge.loginOptions?.persistProfile) {
+      await captureBrowserProfile(page, challenge.loginOptions.username, challenge.loginOptions.password, sessionId);
+    }
+    closeOtpChallenge(challenge.id);
+    const result = await buildLoginResult(tokens, 'browser', challenge.loginOptions);
+    loginJobs.succeed(sessionId, result);
+    res.json(result);
   } catch (error) {
-    const status = error.response?.status || 500;
-    res.status(status).json({ error: 'Update profile failed', details: error.message });
+    console.error(`[${sessionId}] Error finishing OTP login:`, error.message);
+    const failure = classifyLoginFailure(error, await inspectFailurePage(page, challenge.flow));
+    closeOtpChallenge(challenge.id);
+    const body = buildLoginFailureBody(error, failure, sessionId);
+    loginJobs.fail(sessionId, body);
+    res.status(failure.status).json(body);
+  } finally {
+    challenge.busy = false;
+  }
+});
+
+// GET /auth/jobs/:id - Status of an async browser login
+// { id, sessionId, status: running | otp_required | succeeded | failed, currentStep, steps, otp?, result?, error? }
+app.get('/auth/jobs/:id', (req, res) => {
+  const job = loginJobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Login job not found or expired' });
+  }
+  res.json(job);
+});
+
+// GET /auth/jobs/:id/events - Server-Sent Events stream of an async browser login:
+// `step` for each screenshot step, `status` on OTP pause/resume, `done` with the final job
+app.get('/auth/jobs/:id/events', (req, res) => {
+  const job = loginJobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Login job not found or expired' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    // Stop nginx-style proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  // Replay what happened before the client connected
+  job.steps.forEach(step => send('step', step));
+  if (loginJobs.isFinished(job)) {
+    send('done', job);
+    return res.end();
+  }
+  if (job.status !== 'running') {
+    send('status', job);
+  }
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const unsubscribe = loginJobs.subscribe(job.id, ({ type, data }) => {
+    send(type, data);
+    if (type === 'done') {
+      res.end();
+    }
+  });
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// Exchange a Naukri refresh token (nauk_rt) for a new access token.
+// Returns the normalized token object, or null if Naukri did not issue a new token.
+const refreshWithToken = async (refreshToken) => {
+  const response = await axios.post(
+    `${NAUKRI_BASE_URL}/central-login-services/v0/login/refresh`,
+    {},
+    {
+      // The refresh token is only accepted as a cookie; this is our own stored token, not a forwarded one
+      headers: { ...buildLoginHeaders(), cookie: `${REFRESH_TOKEN_COOKIE}=${refreshToken}` },
+      timeout: 20000,
+      validateStatus: () => true
+    }
+  );
+
+  if (response.status < 200 || response.status >= 300) {
+    return null;
+  }
+
+  const cookies = parseSetCookies(response.headers['set-cookie']);
+  const accessCookie = cookies[ACCESS_TOKEN_COOKIE];
+  if (!accessCookie || !accessCookie.value) {
+    return null;
+  }
+
+  return buildTokenResponse({
+    accessToken: accessCookie.value,
+    refreshToken: cookies[REFRESH_TOKEN_COOKIE]?.value || refreshToken,
+    expires: accessCookie.expires
+  });
+};
+
+// Get fresh tokens for a stored session: refresh token first, then the login API, then the browser flow
+const obtainFreshTokens = async (sessionId, session) => {
+  const logId = sessionId.slice(0, 10);
+
+  if (session.tokens.refreshToken) {
+    try {
+      const tokens = await refreshWithToken(session.tokens.refreshToken);
+      if (tokens) {
+        console.log(`[${logId}] Session refreshed with refresh token`);
+        return tokens;
+      }
+      console.log(`[${logId}] Refresh token rejected, falling back to login`);
+    } catch (error) {
+      console.error(`[${logId}] Refresh token request failed:`, error.message);
+    }
+  }
+
+  let credentials;
+  try {
+    credentials = JSON.parse(decryptSecret(session.credentials));
+  } catch (error) {
+    throw new Error('Stored credentials are unavailable, please log in again');
+  }
+
+  const apiResult = await loginWithApi(credentials.username, credentials.password).catch(error => {
+    console.error(`[${logId}] API re-login failed:`, error.message);
+    return {};
+  });
+  if (apiResult.tokens) {
+    console.log(`[${logId}] Session refreshed through /auth/login`);
+    return apiResult.tokens;
+  }
+
+  console.log(`[${logId}] API re-login did not return a token, trying browser login`);
+  const browserSessionId = Math.random().toString(36).substring(2, 8);
+  const tokens = await loginWithBrowser(credentials.username, credentials.password, browserSessionId, {
+    persistProfile: !!session.persistProfile
+  });
+  console.log(`[${logId}] Session refreshed through /auth/login-new (${browserSessionId})`);
+  return tokens;
+};
+
+// In-flight refreshes by wrapper session id, so concurrent 401s share one refresh
+const refreshesInFlight = new Map();
+
+// Refresh a wrapper session's Naukri tokens and save them back to the store.
+// Returns the updated session; concurrent callers for the same session get the same promise.
+const refreshSession = (sessionId, session) => {
+  if (refreshesInFlight.has(sessionId)) {
+    return refreshesInFlight.get(sessionId);
+  }
+
+  const refresh = (async () => {
+    const tokens = await obtainFreshTokens(sessionId, session);
+
+    // Re-read the session: it may have been logged out while we were refreshing
+    const current = await sessionStore.get(sessionId);
+    if (!current) {
+      throw new Error('Session ended during refresh');
+    }
+
+    const updated = {
+      ...current,
+      tokens: { ...tokens, profileId: tokens.profileId || current.tokens.profileId },
+      refreshedAt: new Date().toISOString()
+    };
+    if (!updated.tokens.profileId) {
+      delete updated.tokens.profileId;
+    }
+    await sessionStore.set(sessionId, updated);
+    return updated;
+  })();
+
+  refreshesInFlight.set(sessionId, refresh);
+  refresh.finally(() => refreshesInFlight.delete(sessionId)).catch(() => {});
+  return refresh;
+};
+
+// Send an upstream request and, for wrapper sessions, refresh and retry once on a 401.
+// sendRequest receives the Authorization header value and must resolve to an axios response.
+// After a refresh, auth is updated in place so follow-up requests use the new token.
+const requestWithSessionRefresh = async (auth, sendRequest) => {
+  const response = await sendRequest(auth.authorization);
+  if (response.status !== 401 || !auth.sessionId) {
+    return response;
+  }
+
+  let session;
+  try {
+    session = await refreshSession(auth.sessionId, auth.session);
+  } catch (error) {
+    console.error(`[${auth.sessionId.slice(0, 10)}] Session refresh failed:`, error.message);
+    return response;
+  }
+
+  // Streamed responses must be released before retrying
+  if (response.data && typeof response.data.destroy === 'function') {
+    response.data.destroy();
+  }
+
+  auth.session = session;
+  auth.authorization = `Bearer ${session.tokens.accessToken}`;
+  return sendRequest(auth.authorization);
+};
+
+// DELETE /auth/session - Log out of a wrapper session
+// Requires Authorization: Bearer <wrapper session id>
+app.delete('/auth/session', async (req, res) => {
+  const bearer = readBearer(req);
+  if (!bearer || !isSessionId(bearer)) {
+    return res.status(400).json({ error: 'Authorization Bearer wrapper session id is required' });
+  }
+
+  try {
+    const removed = await sessionStore.delete(bearer);
+    if (!removed) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ ok: true });
+  } catch (error) {
+    res.status(500).json({ error: 'Logout failed', details: error.message });
+  }
+});
+
+// Upstream call behind /fetch-profile (also used by the scheduler); resolves to the axios response
+const fetchProfileUpstream = (authorization) => axios.get(
+  `${RESMAN_API_URL}/v2/users/self`,
+  {
+    params: { expand_level: '2' },
+    headers: buildFetchProfileHeaders(authorization),
+    timeout: 20000,
+    validateStatus: () => true
+  }
+);
+
+// Upstream call behind /update-profile; resolves to the axios response
+const updateProfileUpstream = (authorization, profile, profileId) => axios.post(
+  `${RESMAN_API_URL}/v1/users/self/fullprofiles`,
+  { profile, profileId },
+  { headers: buildUpdateProfileHeaders(authorization), timeout: 20000, validateStatus: () => true }
+);
+
+// The aggregator returns the profile either as an object or as a single-element array
+const extractProfile = (data) => (Array.isArray(data?.profile) ? data.profile[0] : data?.profile) || null;
+
+// GET /fetch-profile
+// Query requires: authorization Bearer token in headers (raw Naukri bearer or wrapper session id)
+// Optional: we read the incoming headers and pass through the ones present in CURL 2 (excluding Cookie)
+// Query: format=raw (default) proxies Naukri's JSON, format=normalized returns the stable model
+app.get('/fetch-profile', async (req, res) => {
+  const format = req.query.format || 'raw';
+  if (!['raw', 'normalized'].includes(format)) {
+    return res.status(400).json({ error: 'format must be raw or normalized' });
+  }
+
+  // Require Authorization header (raw Naukri bearer or wrapper session id)
+  const auth = await resolveAuthorization(req);
+  if (auth.error) {
+    return res.status(auth.status).json({ error: auth.error });
+  }
+
+  try {
+    const response = await requestWithSessionRefresh(auth, fetchProfileUpstream);
+
+    // Errors are proxied as returned in both formats
+    if (response.status < 200 || response.status >= 300) {
+      return res.status(response.status).json(response.data);
+    }
+
+    // Add the time of the last resume upload made through the wrapper
+    const profileId = extractProfile(response.data)?.profileId;
+    const upload = profileId ? resumeUploads.load()[profileId] : null;
+
+    if (format === 'normalized') {
+      const normalized = normalizeProfile(response.data);
+      if (upload && (!normalized.resume.uploadedAt || upload.uploadedAt > normalized.resume.uploadedAt)) {
+        normalized.resume = { fileName: upload.fileName, uploadedAt: upload.uploadedAt, size: upload.size };
+      }
+      return res.json(normalized);
+    }
+
+    res.status(response.status).json(upload ? { ...response.data, resumeUploadedAt: upload.uploadedAt } : response.data);
+  } catch (error) {
+    const status = error.response?.status || 500;
+    res.status(status).json({ error: 'Fetch profile failed', details: error.message });
+  }
+});
+
+// Save the profile an update replaced (see src/snapshotStore.js). The update itself already went
+// through, so a failed write is logged and the snapshot is just not there: resolves to null then.
+const saveSnapshot = async (profileId, entry) => {
+  try {
+    return await snapshotStore.add(profileId, entry);
+  } catch (error) {
+    console.error(`Profile snapshot for ${profileId} not saved: ${error.message}`);
+    return null;
+  }
+};
+
+// PUT /update-profile
+// Body must include: { profile: { ... }, profileId: string }
+// Requires Authorization header (raw Naukri bearer or wrapper session id)
+// Query: dryRun=true returns the diff against the current profile without updating it.
+// Responds { result: upstream response, diff, snapshotVersion } with the upstream status; the
+// snapshot number is also sent as x-snapshot-version.
+// Note: Upstream rejects true PUT; it expects POST with x-http-method-override: PUT.
+app.put('/update-profile', async (req, res) => {
+  const { profile, profileId } = req.body || {};
+  if (!profile || typeof profile !== 'object' || !profileId) {
+    return res.status(400).json({ error: 'profile (object) and profileId (string) are required' });
+  }
+
+  const auth = await resolveAuthorization(req);
+  if (auth.error) {
+    return res.status(auth.status).json({ error: auth.error });
+  }
+
+  const dryRun = req.query.dryRun === 'true';
+
+  // Diff against the current profile (same upstream call as /fetch-profile). A failed fetch must
+  // not block the update itself; diff and snapshot are just null then
+  let currentResponse = null;
+  try {
+    currentResponse = await requestWithSessionRefresh(auth, fetchProfileUpstream);
+  } catch (error) {
+    console.warn('Could not fetch the current profile before updating it:', error.message);
+  }
+  const currentOk = Boolean(currentResponse) && currentResponse.status >= 200 && currentResponse.status < 300;
+
+  if (dryRun) {
+    if (!currentOk) {
+      return res.status(currentResponse?.status || 502).json({
+        error: 'Could not fetch the current profile for the dry run',
+        details: currentResponse?.data
+      });
+    }
+    return res.json({ dryRun: true, diff: diffProfile(extractProfile(currentResponse.data), profile) });
+  }
+
+  const current = currentOk ? extractProfile(currentResponse.data) : null;
+  const diff = current ? diffProfile(current, profile) : null;
+
+  try {
+    const response = await requestWithSessionRefresh(
+      auth,
+      authorization => updateProfileUpstream(authorization, profile, profileId)
+    );
+    const updated = response.status >= 200 && response.status < 300;
+
+    // Snapshot the profile the update overwrote so it can be rolled back. A rejected update
+    // changed nothing, so there is nothing to roll back
+    const snapshot = updated && current
+      ? await saveSnapshot(current.profileId || profileId, {
+        reason: 'update-profile',
+        updatedFields: Object.keys(profile),
+        profile: current
+      })
+      : null;
+    if (updated) {
+      // The fetched profile is the caller's own; without it, the body's profileId can't be trusted
+      await (current?.profileId
+        ? recordBestEffort('Profile update', () => insightsStore.recordUpdate(current.profileId, 'update-profile'))
+        : recordForOwner(auth, 'Profile update', ownId => insightsStore.recordUpdate(ownId, 'update-profile')));
+    }
+
+    if (snapshot) {
+      res.setHeader('x-snapshot-version', String(snapshot.version));
+    }
+    res.status(response.status).json({ result: response.data, diff, snapshotVersion: snapshot ? snapshot.version : null });
+  } catch (error) {
+    const status = error.response?.status || 500;
+    res.status(status).json({ error: 'Update profile failed', details: error.message });
+  }
+});
+
+// Work out which profile the caller's token belongs to. A wrapper session knows it from login;
+// a raw bearer is checked against Naukri, since a client-supplied profileId can't be trusted here.
+// Returns { profileId } or { status, error, details }.
+const resolveOwnProfileId = async (auth) => {
+  if (auth.session?.tokens.profileId) {
+    return { profileId: auth.session.tokens.profileId };
+  }
+
+  const response = await requestWithSessionRefresh(auth, fetchProfileUpstream);
+  if (response.status < 200 || response.status >= 300) {
+    return { status: response.status, error: 'Could not fetch the profile for this token', details: response.data };
+  }
+  const profile = extractProfile(response.data);
+  if (!profile?.profileId) {
+    return { status: 502, error: 'Fetched profile has no profileId' };
+  }
+  return { profileId: profile.profileId };
+};
+
+// Side writes of a request (application statuses, insights) must not fail the response they
+// belong to: errors are logged under `what` and swallowed
+const recordBestEffort = async (what, record) => {
+  try {
+    await record();
+  } catch (error) {
+    console.error(`${what} not recorded: ${error.message}`);
+  }
+};
+
+// recordBestEffort keyed by the caller's own profile id (see resolveOwnProfileId)
+const recordForOwner = (auth, what, record) => recordBestEffort(what, async () => {
+  const owner = await resolveOwnProfileId(auth);
+  if (owner.error) {
+    throw new Error(`${owner.error} (${owner.status})`);
+  }
+  await record(owner.profileId);
+});
+
+// GET /profile/history - List the snapshots of the caller's profile (newest first)
+app.get('/profile/history', async (req, res) => {
+  const auth = await resolveAuthorization(req);
+  if (auth.error) {
+    return res.status(auth.status).json({ error: auth.error });
+  }
+
+  try {
+    const owner = await resolveOwnProfileId(auth);
+    if (owner.error) {
+      return res.status(owner.status).json({ error: owner.error, details: owner.details });
+    }
+
+    res.json({ profileId: owner.profileId, snapshots: snapshotStore.list(owner.profileId) });
+  } catch (error) {
+    const status = error.response?.status || 500;
+    res.status(status).json({ error: 'Failed to list profile history', details: error.message });
+  }
+});
+
+// GET /profile/history/:version - One snapshot including the stored profile
+app.get('/profile/history/:version', async (req, res) => {
+  const version = Number(req.params.version);
+  if (!Number.isInteger(version) || version < 1) {
+    return res.status(400).json({ error: 'version must be a positive integer' });
+  }
+
+  const auth = await resolveAuthorization(req);
+  if (auth.error) {
+    return res.status(auth.status).json({ error: auth.error });
+  }
+
+  try {
+    const owner = await resolveOwnProfileId(auth);
+    if (owner.error) {
+      return res.status(owner.status).json({ error: owner.error, details: owner.details });
+    }
+
+    const snapshot = snapshotStore.get(owner.profileId, version);
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Snapshot not found' });
+    }
+    res.json({ profileId: owner.profileId, ...snapshot });
+  } catch (error) {
+    const status = error.response?.status || 500;
+    res.status(status).json({ error: 'Failed to load snapshot', details: error.message });
+  }
+});
+
+// POST /profile/rollback/:version - Re-apply a snapshot through the fullprofiles call.
+// Only the fields the snapshotted update touched are re-applied. The current profile is
+// snapshotted first, so a rollback can itself be rolled back.
+app.post('/profile/rollback/:version', async (req, res) => {
+  const version = Number(req.params.version);
+  if (!Number.isInteger(version) || version < 1) {
+    return res.status(400).json({ error: 'version must be a positive integer' });
+  }
+
+  const auth = await resolveAuthorization(req);
+  if (auth.error) {
+    return res.status(auth.status).json({ error: auth.error });
+  }
+
+  try {
+    const currentResponse = await requestWithSessionRefresh(auth, fetchProfileUpstream);
+    if (currentResponse.status < 200 || currentResponse.status >= 300) {
+      return res.status(currentResponse.status).json({
+        error: 'Could not fetch the current profile for the rollback',
+        details: currentResponse.data
+      });
+    }
+    const current = extractProfile(currentResponse.data);
+    if (!current?.profileId) {
+      return res.status(502).json({ error: 'Fetched profile has no profileId' });
+    }
+
+    const snapshot = snapshotStore.get(current.profileId, version);
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Snapshot not found' });
+    }
+
+    const profile = {};
+    (snapshot.updatedFields || []).forEach(field => {
+      if (field in snapshot.profile) {
+        profile[field] = snapshot.profile[field];
+      }
+    });
+    if (Object.keys(profile).length === 0) {
+      return res.status(409).json({ error: 'Snapshot has no stored fields to re-apply' });
+    }
+
+    const diff = diffProfile(current, profile);
+    const response = await requestWithSessionRefresh(
+      auth,
+      authorization => updateProfileUpstream(authorization, profile, current.profileId)
+    );
+
+    // Like /update-profile, only a rollback that went through is snapshotted, so it can be undone
+    let rollbackSnapshot = null;
+    if (response.status >= 200 && response.status < 300) {
+      rollbackSnapshot = await saveSnapshot(current.profileId, {
+        reason: `rollback-to-${version}`,
+        updatedFields: Object.keys(profile),
+        profile: current
+      });
+      await recordBestEffort('Profile update', () => insightsStore.recordUpdate(current.profileId, `rollback-to-${version}`));
+    }
+
+    res.status(response.status).json({
+      result: response.data,
+      rolledBackTo: version,
+      diff,
+      snapshotVersion: rollbackSnapshot ? rollbackSnapshot.version : null
+    });
+  } catch (error) {
+    const status = error.response?.status || 500;
+    res.status(status).json({ error: 'Rollback failed', details: error.message });
+  }
+});
+
+// Upstream calls behind /insights: the profile performance analytics of the Naukri dashboard
+const fetchProfileViewsUpstream = (authorization, days) => axios.get(
+  `${RESMAN_API_URL}/v1/users/self/profile-views`,
+  { params: { days }, headers: buildFetchProfileHeaders(authorization), timeout: 20000, validateStatus: () => true }
+);
+
+const fetchSearchAppearancesUpstream = (authorization, days) => axios.get(
+  `${RESMAN_API_URL}/v1/users/self/search-appearances`,
+  { params: { days }, headers: buildFetchProfileHeaders(authorization), timeout: 20000, validateStatus: () => true }
+);
+
+// Naukri's analytics cover up to 90 days; the local series can chart up to a year
+const INSIGHTS_UPSTREAM_MAX_DAYS = 90;
+const INSIGHTS_TRENDS_MAX_DAYS = 365;
+
+// Validate the days / format query of the insights endpoints. Returns { days, format } or { fields }.
+const readInsightsQuery = (query, { maxDays, formats }) => {
+  const { days = '30', format = 'normalized', ...rest } = query;
+  const fields = Object.keys(rest).map(key => ({ field: key, message: 'is not a supported parameter' }));
+  if (!/^\d{1,3}$/.test(days) || Number(days) < 1 || Number(days) > maxDays) {
+    fields.push({ field: 'days', message: `must be an integer from 1 to ${maxDays}` });
+  }
+  if (!formats.includes(format)) {
+    fields.push({ field: 'format', message: `must be one of ${formats.join(', ')}` });
+  }
+  return fields.length > 0 ? { fields } : { days: Number(days), format };
+};
+
+// GET /insights/profile-views and GET /insights/search-appearances
+// Query: days (1-90, default 30), format=normalized (default, see src/insightsModel.js) or raw.
+// Requires Authorization header (raw Naukri bearer or wrapper session id). The daily counts of
+// each call are recorded in the insights store for /insights/trends.
+[
+  {
+    route: 'profile-views',
+    metric: 'profileViews',
+    fetchUpstream: fetchProfileViewsUpstream,
+    normalize: normalizeProfileViews,
+    errorMessage: 'Fetch profile views failed'
+  },
+  {
+    route: 'search-appearances',
+    metric: 'searchAppearances',
+    fetchUpstream: fetchSearchAppearancesUpstream,
+    normalize: normalizeSearchAppearances,
+    errorMessage: 'Fetch search appearances failed'
+  }
+].forEach(({ route, metric, fetchUpstream, normalize, errorMessage }) => {
+  app.get(`/insights/${route}`, async (req, res) => {
+    const query = readInsightsQuery(req.query, { maxDays: INSIGHTS_UPSTREAM_MAX_DAYS, formats: ['normalized', 'raw'] });
+    if (query.fields) {
+      return res.status(422).json({ error: 'Validation failed', fields: query.fields });
+    }
+
+    const auth = await resolveAuthorization(req);
+    if (auth.error) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
+
+    try {
+      const response = await requestWithSessionRefresh(auth, authorization => fetchUpstream(authorization, query.days));
+      if (response.status < 200 || response.status >= 300) {
+        return res.status(response.status).json(response.data);
+      }
+
+      const normalized = normalize(response.data, { days: query.days });
+
+      await recordForOwner(auth, 'Insights', profileId => insightsStore.recordSeries(profileId, metric, normalized.daily));
+
+      res.json(query.format === 'raw' ? response.data : normalized);
+    } catch (error) {
+      const status = error.response?.status || 500;
+      res.status(status).json({ error: errorMessage, details: error.message });
+    }
+  });
+});
+
+// GET /insights/trends
+// Query: days (1-365, default 30). Charts the locally recorded profile views and search
+// appearances against the days the profile was updated through the wrapper (/update-profile,
+// PATCH /profile/:field, rollbacks and profile bumps). Nothing is fetched from Naukri's analytics;
+// days the insights endpoints weren't called for are null.
+// Requires Authorization header (raw Naukri bearer or wrapper session id).
+app.get('/insights/trends', async (req, res) => {
+  const query = readInsightsQuery(req.query, { maxDays: INSIGHTS_TRENDS_MAX_DAYS, formats: ['normalized'] });
+  if (query.fields) {
+    return res.status(422).json({ error: 'Validation failed', fields: query.fields });
+  }
+
+  const auth = await resolveAuthorization(req);
+  if (auth.error) {
+    return res.status(auth.status).json({ error: auth.error });
+  }
+
+  try {
+    const owner = await resolveOwnProfileId(auth);
+    if (owner.error) {
+      return res.status(owner.status).json({ error: owner.error, details: owner.details });
+    }
+
+    res.json({ profileId: owner.profileId, ...buildTrends(insightsStore.get(owner.profileId), { days: query.days }) });
+  } catch (error) {
+    const status = error.response?.status || 500;
+    res.status(status).json({ error: 'Failed to build insights trends', details: error.message });
+  }
+});
+
+// Resume files accepted by Naukri: PDF, DOC and DOCX up to 2 MB
+const RESUME_MAX_BYTES = Number(process.env.RESUME_MAX_BYTES) || 2 * 1024 * 1024;
+const RESUME_FORM_KEY = 'F51f8e7e54e205';
+const RESUME_TYPES = {
+  '.pdf': { mimeTypes: ['application/pdf'], magic: Buffer.from('%PDF') },
+  '.doc': { mimeTypes: ['application/msword'], magic: Buffer.from([0xd0, 0xcf, 0x11, 0xe0]) },
+  '.docx': {
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    magic: Buffer.from([0x50, 0x4b, 0x03, 0x04]) // zip container
+  }
+};
+
+const resumeUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: RESUME_MAX_BYTES, files: 1 }
+}).single('resume');
+
+// Check extension, declared type and file signature; returns an error message or null
+const validateResumeFile = (file) => {
+  if (!file) {
+    return 'resume file is required (multipart field "resume")';
+  }
+  const type = RESUME_TYPES[path.extname(file.originalname).toLowerCase()];
+  if (!type) {
+    return 'resume must be a .pdf, .doc or .docx file';
+  }
+  if (!type.mimeTypes.includes(file.mimetype) && file.mimetype !== 'application/octet-stream') {
+    return `content type ${file.mimetype} does not match the file extension`;
+  }
+  if (!file.buffer.subarray(0, type.magic.length).equals(type.magic)) {
+    return 'file content does not match the file extension';
+  }
+  return null;
+};
+
+// POST /profile/resume - Upload a new resume (multipart field "resume")
+// Requires Authorization header (raw Naukri bearer or wrapper session id)
+app.post('/profile/resume', (req, res, next) => {
+  resumeUpload(req, res, (error) => {
+    if (!error) return next();
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `resume must be at most ${RESUME_MAX_BYTES} bytes` });
+    }
+    res.status(400).json({ error: 'Invalid multipart upload', details: error.message });
+  });
+}, async (req, res) => {
+  const validationError = validateResumeFile(req.file);
+  if (validationError) {
+    return res.status(422).json({ error: 'Validation failed', fields: [{ field: 'resume', message: validationError }] });
+  }
+
+  const auth = await resolveAuthorization(req);
+  if (auth.error) {
+    return res.status(auth.status).json({ error: auth.error });
+  }
+
+  try {
+    const owner = await resolveOwnProfileId(auth);
+    if (owner.error) {
+      return res.status(owner.status).json({ error: owner.error, details: owner.details });
+    }
+
+    // Step 1: upload the file; Naukri identifies it by a client-generated file key
+    const fileKey = `U${Math.random().toString(36).substring(2, 15)}`;
+    const form = new FormData();
+    form.append('file', new Blob([req.file.buffer], { type: req.file.mimetype }), req.file.originalname);
+    form.append('formKey', RESUME_FORM_KEY);
+    form.append('fileName', req.file.originalname);
+    form.append('uploadCallback', 'true');
+    form.append('fileKey', fileKey);
+
+    const uploadResponse = await axios.post(`${NAUKRI_FILE_BASE_URL}/file`, form, {
+      headers: buildResumeUploadHeaders(),
+      timeout: 60000,
+      validateStatus: () => true
+    });
+    if (uploadResponse.status < 200 || uploadResponse.status >= 300) {
+      return res.status(uploadResponse.status).json({ error: 'Resume file upload failed', details: uploadResponse.data });
+    }
+
+    // Step 2: attach the uploaded file to the profile
+    const attachResponse = await requestWithSessionRefresh(auth, authorization => axios.post(
+      `${RESMAN_API_URL}/v0/users/self/profiles/${encodeURIComponent(owner.profileId)}/advResume`,
+      { textCV: { formKey: RESUME_FORM_KEY, fileKey, textCvContent: null } },
+      { headers: buildResumeAttachHeaders(authorization), timeout: 20000, validateStatus: () => true }
+    ));
+    if (attachResponse.status < 200 || attachResponse.status >= 300) {
+      return res.status(attachResponse.status).json(attachResponse.data);
+    }
+
+    const upload = {
+      fileName: req.file.originalname,
+      size: req.file.size,
+      uploadedAt: new Date().toISOString()
+    };
+    resumeUploads.load()[owner.profileId] = upload;
+    await recordBestEffort('Resume upload time', () => resumeUploads.save());
+
+    res.status(attachResponse.status).json({ result: attachResponse.data, resume: upload });
+  } catch (error) {
+    const status = error.response?.status || 500;
+    res.status(status).json({ error: 'Resume upload failed', details: error.message });
+  }
+});
+
+// GET /profile/resume - Stream the current resume file back
+// Requires Authorization header (raw Naukri bearer or wrapper session id)
+app.get('/profile/resume', async (req, res) => {
+  const auth = await resolveAuthorization(req);
+  if (auth.error) {
+    return res.status(auth.status).json({ error: auth.error });
+  }
+
+  try {
+    const owner = await resolveOwnProfileId(auth);
+    if (owner.error) {
+      return res.status(owner.status).json({ error: owner.error, details: owner.details });
+    }
+
+    const response = await requestWithSessionRefresh(auth, authorization => axios.get(
+      `${RESMAN_API_URL}/v0/users/self/profiles/${encodeURIComponent(owner.profileId)}/resume`,
+      {
+        headers: buildResumeDownloadHeaders(authorization),
+        responseType: 'stream',
+        timeout: 60000,
+        validateStatus: () => true
+      }
+    ));
+
+    res.status(response.status);
+    ['content-type', 'content-length', 'content-disposition'].forEach(header => {
+      if (response.headers[header]) {
+        res.setHeader(header, response.headers[header]);
+      }
+    });
+    response.data.on('error', error => {
+      console.error('Resume download stream failed:', error.message);
+      res.destroy(error);
+    });
+    response.data.pipe(res);
+  } catch (error) {
+    const status = error.response?.status || 500;
+    res.status(status).json({ error: 'Resume download failed', details: error.message });
+  }
+});
+
+// Upstream call behind /jobs/search; array params (ctcFilter, wfhType) are sent as repeated keys
+const searchJobsUpstream = (authorization, params) => axios.get(`${NAUKRI_BASE_URL}/jobapi/v3/search`, {
+  params,
+  paramsSerializer: { indexes: null },
+  headers: buildJobSearchHeaders(authorization),
+  timeout: 20000,
+  validateStatus: () => true
+});
+
+// GET /jobs/search
+// Query: keyword and/or location (one is required), experience (years), salaryMin / salaryMax
+// (lakhs per annum), freshness (posted within 1, 3, 7, 15 or 30 days), workMode (comma-separated
+// office, remote, hybrid), page (default 1), pageSize (default 20, max 100), format=normalized
+// (default, job cards from src/jobModel.js) or raw. Validation errors return 422 per parameter.
+// Authorization is optional (raw Naukri bearer or wrapper session id).
+app.get('/jobs/search', async (req, res) => {
+  const search = buildJobSearch(req.query);
+  if (search.errors) {
+    return res.status(422).json({ error: 'Validation failed', fields: search.errors });
+  }
+
+  const auth = await resolveOptionalAuthorization(req);
+  if (auth.error) {
+    return res.status(auth.status).json({ error: auth.error });
+  }
+
+  try {
+    const response = await requestWithSessionRefresh(auth, authorization => searchJobsUpstream(authorization, search.params));
+
+    if (response.status < 200 || response.status >= 300 || search.format === 'raw') {
+      return res.status(response.status).json(response.data);
+    }
+
+    res.json(normalizeJobSearch(response.data, { page: search.page, pageSize: search.pageSize, baseUrl: NAUKRI_BASE_URL }));
+  } catch (error) {
+    const status = error.response?.status || 500;
+    res.status(status).json({ error: 'Job search failed', details: error.message });
+  }
+});
+
+// Naukri job ids are numeric strings
+const JOB_ID_PATTERN = /^\d{1,20}$/;
+
+const SAVED_JOBS_API_URL = `${NAUKRI_BASE_URL}/cloudgateway-savedjobs/saved-job-services/v1/users/self/saved-jobs`;
+
+// Upstream call behind /jobs/recommended: the "Recommended jobs" feed of the Naukri homepage
+const fetchRecommendedJobsUpstream = (authorization, params) => axios.get(`${NAUKRI_BASE_URL}/jobapi/v2/search/recom-jobs`, {
+  params: { ...params, clusterId: 'profile', src: 'recommClusterApi' },
+  headers: buildJobSearchHeaders(authorization),
+  timeout: 20000,
+  validateStatus: () => true
+});
+
+const fetchSavedJobsUpstream = (authorization, params) => axios.get(SAVED_JOBS_API_URL, {
+  params,
+  headers: buildSavedJobsHeaders(authorization),
+  timeout: 20000,
+  validateStatus: () => true
+});
+
+const saveJobUpstream = (authorization, jobId) => axios.post(SAVED_JOBS_API_URL, { jobId }, {
+  headers: buildSavedJobsHeaders(authorization),
+  timeout: 20000,
+  validateStatus: () => true
+});
+
+const unsaveJobUpstream = (authorization, jobId) => axios.delete(`${SAVED_JOBS_API_URL}/${jobId}`, {
+  headers: buildSavedJobsHeaders(authorization),
+  timeout: 20000,
+  validateStatus: () => true
+});
+
+// GET /jobs/recommended
+// Query: page (default 1), pageSize (default 20, max 100), format=normalized (default, job cards
+// like /jobs/search) or raw. Requires Authorization header (raw Naukri bearer or wrapper session id).
+// Registered before /jobs/:jobId, like /jobs/saved.
+app.get('/jobs/recommended', async (req, res) => {
+  const query = buildJobPage(req.query);
+  if (query.errors) {
+    return res.status(422).json({ error: 'Validation failed', fields: query.errors });
+  }
+
+  const auth = await resolveAuthorization(req);
+  if (auth.error) {
+    return res.status(auth.status).json({ error: auth.error });
+  }
+
+  try {
+    const response = await requestWithSessionRefresh(auth, authorization => fetchRecommendedJobsUpstream(authorization, query.params));
+
+    if (response.status < 200 || response.status >= 300 || query.format === 'raw') {
+      return res.status(response.status).json(response.data);
+    }
+
+    res.json(normalizeJobSearch(response.data, { page: query.page, pageSize: query.pageSize, baseUrl: NAUKRI_BASE_URL }));
+  } catch (error) {
+    const status = error.response?.status || 500;
+    res.status(status).json({ error: 'Fetch recommended jobs failed', details: error.message });
+  }
+});
+
+// GET /jobs/saved
+// Query: page, pageSize and format like /jobs/recommended; normalized cards also carry savedAt.
+// Requires Authorization header (raw Naukri bearer or wrapper session id).
+app.get('/jobs/saved', async (req, res) => {
+  const query = buildJobPage(req.query);
+  if (query.errors) {
+    return res.status(422).json({ error: 'Validation failed', fields: query.errors });
+  }
+
+  const auth = await resolveAuthorization(req);
+  if (auth.error) {
+    return res.status(auth.status).json({ error: auth.error });
+  }
+
+  try {
+    const response = await requestWithSessionRefresh(auth, authorization => fetchSavedJobsUpstream(authorization, query.params));
+
+    if (response.status < 200 || response.status >= 300 || query.format === 'raw') {
+      return res.status(response.status).json(response.data);
+    }
+
+    res.json(normalizeSavedJobs(response.data, { page: query.page, pageSize: query.pageSize, baseUrl: NAUKRI_BASE_URL }));
+  } catch (error) {
+    const status = error.response?.status || 500;
+    res.status(status).json({ error: 'Fetch saved jobs failed', details: error.message });
+  }
+});
+
+// POST /jobs/saved
+// Body: { jobId } (numeric string). Returns 201 { jobId, saved: true, alreadySaved: false, savedAt },
+// or 200 with alreadySaved: true when the job was saved before. Requires Authorization header.
+app.post('/jobs/saved', async (req, res) => {
+  const { jobId, ...rest } = req.body || {};
+  const fields = [];
+  if (jobId === undefined) {
+    fields.push({ field: 'jobId', message: 'is required' });
+  } else if (typeof jobId !== 'string' || !JOB_ID_PATTERN.test(jobId)) {
+    fields.push({ field: 'jobId', message: 'must be a numeric Naukri job id string' });
+  }
+  Object.keys(rest).forEach(key => fields.push({ field: key, message: 'is not an allowed field' }));
+  if (fields.length > 0) {
+    return res.status(422).json({ error: 'Validation failed', fields });
+  }
+
+  const auth = await resolveAuthorization(req);
+  if (auth.error) {
+    return res.status(auth.status).json({ error: auth.error });
+  }
+
+  try {
+    const response = await requestWithSessionRefresh(auth, authorization => saveJobUpstream(authorization, jobId));
+    if (response.status < 200 || response.status >= 300) {
+      return res.status(response.status).json(response.data);
+    }
+
+    const alreadySaved = !!response.data?.alreadySaved;
+    res.status(alreadySaved ? 200 : 201).json({
+      jobId,
+      saved: true,
+      alreadySaved,
+      savedAt: toDate(response.data?.savedDate)
+    });
+  } catch (error) {
+    const status = error.response?.status || 500;
+    res.status(status).json({ error: 'Save job failed', details: error.message });
+  }
+});
+
+// DELETE /jobs/saved/:jobId
+// Removes the job from the saved jobs; one that isn't saved is proxied as returned (404).
+// Requires Authorization header.
+app.delete('/jobs/saved/:jobId', async (req, res) => {
+  const { jobId } = req.params;
+  if (!JOB_ID_PATTERN.test(jobId)) {
+    return res.status(400).json({ error: 'jobId must be a numeric Naukri job id' });
+  }
+
+  const auth = await resolveAuthorization(req);
+  if (auth.error) {
+    return res.status(auth.status).json({ error: auth.error });
+  }
+
+  try {
+    const response = await requestWithSessionRefresh(auth, authorization => unsaveJobUpstream(authorization, jobId));
+    if (response.status < 200 || response.status >= 300) {
+      return res.status(response.status).json(response.data);
+    }
+
+    res.json({ jobId, saved: false });
+  } catch (error) {
+    const status = error.response?.status || 500;
+    res.status(status).json({ error: 'Unsave job failed', details: error.message });
+  }
+});
+
+// Upstream call behind /jobs/:jobId (also read before applying)
+const fetchJobDetailsUpstream = (authorization, jobId) => axios.get(`${NAUKRI_BASE_URL}/jobapi/v4/job/${jobId}`, {
+  params: { microsite: 'y', src: 'jobsearchDesk' },
+  headers: buildJobDetailsHeaders(authorization),
+  timeout: 20000,
+  validateStatus: () => true
+});
+
+// Upstream call behind /jobs/:jobId/apply; answers go along once the caller has them
+const applyJobUpstream = (authorization, jobId, answers) => axios.post(
+  `${NAUKRI_BASE_URL}/cloudgateway-apply/apply-services/v1/apply`,
+  {
+    strJobsarr: [jobId],
+    applySrc: 'jobsearchDesk',
+    applyTypeId: '107',
+    flowtype: 'show',
+    crossdomain: false,
+    closebtn: 'y',
+    ...(answers ? { applyData: { [jobId]: { answers } } } : {})
+  },
+  { headers: buildApplyHeaders(authorization), timeout: 20000, validateStatus: () => true }
+);
+
+// GET /jobs/:jobId
+// Query: format=normalized (default, see normalizeJobDetails in src/jobModel.js) or raw.
+// Authorization is optional (raw Naukri bearer or wrapper session id).
+app.get('/jobs/:jobId', async (req, res) => {
+  const { jobId } = req.params;
+  if (!JOB_ID_PATTERN.test(jobId)) {
+    return res.status(400).json({ error: 'jobId must be a numeric Naukri job id' });
+  }
+  const format = req.query.format || 'normalized';
+  if (!['raw', 'normalized'].includes(format)) {
+    return res.status(400).json({ error: 'format must be raw or normalized' });
+  }
+
+  const auth = await resolveOptionalAuthorization(req);
+  if (auth.error) {
+    return res.status(auth.status).json({ error: auth.error });
+  }
+
+  try {
+    const response = await requestWithSessionRefresh(auth, authorization => fetchJobDetailsUpstream(authorization, jobId));
+
+    if (response.status < 200 || response.status >= 300 || format === 'raw') {
+      return res.status(response.status).json(response.data);
+    }
+
+    res.json(normalizeJobDetails(response.data, { baseUrl: NAUKRI_BASE_URL }));
+  } catch (error) {
+    const status = error.response?.status || 500;
+    res.status(status).json({ error: 'Fetch job failed', details: error.message });
+  }
+});
+
+// Validate the optional { answers: { [questionId]: string | string[] } } of an apply request.
+// Returns { answers } (null when none were sent) or { errors: [{ field, message }] }.
+const readApplyAnswers = (body) => {
+  const { answers, ...rest } = body || {};
+  const errors = Object.keys(rest).map(key => ({ field: key, message: 'is not an allowed field' }));
+
+  if (answers !== undefined && (!answers || typeof answers !== 'object' || Array.isArray(answers))) {
+    errors.push({ field: 'answers', message: 'must be an object of question id to answer' });
+  } else if (answers) {
+    Object.entries(answers).forEach(([questionId, answer]) => {
+      const valid = typeof answer === 'string'
+        || (Array.isArray(answer) && answer.length > 0 && answer.every(item => typeof item === 'string'));
+      if (!valid) {
+        errors.push({ field: `answers.${questionId}`, message: 'must be a string or a non-empty array of strings' });
+      }
+    });
+  }
+
+  return errors.length > 0 ? { errors } : { answers: answers && Object.keys(answers).length > 0 ? answers : null };
+};
+
+// POST /jobs/:jobId/apply
+// Body (optional): { answers: { [questionId]: string | string[] } } – answers to the recruiter
+// questionnaire or apply chatbot questions returned by a previous attempt.
+// Requires Authorization header (raw Naukri bearer or wrapper session id).
+// Responses: 200 applied, 202 questions_required (answer them and call again), 200 external (the
+// job is applied to on the company site: redirectUrl), 409 already_applied, 502 failed.
+app.post('/jobs/:jobId/apply', async (req, res) => {
+  const { jobId } = req.params;
+  if (!JOB_ID_PATTERN.test(jobId)) {
+    return res.status(400).json({ error: 'jobId must be a numeric Naukri job id' });
+  }
+
+  const input = readApplyAnswers(req.body);
+  if (input.errors) {
+    return res.status(422).json({ error: 'Validation failed', fields: input.errors });
+  }
+
+  const auth = await resolveAuthorization(req);
+  if (auth.error) {
+    return res.status(auth.status).json({ error: auth.error });
+  }
+
+  try {
+    // External jobs are applied to on the company's site; Naukri's apply call doesn't cover them
+    const detailsResponse = await requestWithSessionRefresh(auth, authorization => fetchJobDetailsUpstream(authorization, jobId));
+    if (detailsResponse.status < 200 || detailsResponse.status >= 300) {
+      return res.status(detailsResponse.status).json(detailsResponse.data);
+    }
+    const job = normalizeJobDetails(detailsResponse.data, { baseUrl: NAUKRI_BASE_URL });
+    if (job.apply.type === 'external') {
+      return res.json({
+        jobId,
+        status: 'external',
+        applied: false,
+        message: 'This job is applied to on the company website',
+        redirectUrl: job.apply.redirectUrl
+      });
+    }
+
+    const response = await requestWithSessionRefresh(auth, authorization => applyJobUpstream(authorization, jobId, input.answers));
+    if (response.status < 200 || response.status >= 300) {
+      return res.status(response.status).json(response.data);
+    }
+
+    const result = normalizeApplyResult(response.data, jobId);
+    const status = { applied: 200, external: 200, questions_required: 202, already_applied: 409 }[result.status] || 502;
+    res.status(status).json({ jobId, ...result, ...(status === 502 ? { details: response.data } : {}) });
+  } catch (error) {
+    const status = error.response?.status || 500;
+    res.status(status).json({ error: 'Apply failed', details: error.message });
+  }
+});
+
+// Upstream call behind /applications: the "Applies" list of the Naukri dashboard
+const fetchApplicationsUpstream = (authorization, params) => axios.get(
+  `${NAUKRI_BASE_URL}/cloudgateway-apply/apply-history-services/v1/users/self/applies`,
+  { params, headers: buildApplyHeaders(authorization), timeout: 20000, validateStatus: () => true }
+);
+
+// Application ids come from Naukri's apply history
+const APPLICATION_ID_PATTERN = /^[\w-]{1,64}$/;
+
+// GET /applications
+// Query: page, pageSize and format like /jobs/recommended. Normalized applications carry status
+// (applied, viewed, shortlisted, rejected or unknown) next to Naukri's statusLabel.
+// Requires Authorization header (raw Naukri bearer or wrapper session id).
+// Each call records the statuses it sees in the application store, see /applications/:id/history.
+app.get('/applications', async (req, res) => {
+  const query = buildJobPage(req.query);
+  if (query.errors) {
+    return res.status(422).json({ error: 'Validation failed', fields: query.errors });
+  }
+
+  const auth = await resolveAuthorization(req);
+  if (auth.error) {
+    return res.status(auth.status).json({ error: auth.error });
+  }
+
+  try {
+    const response = await requestWithSessionRefresh(auth, authorization => fetchApplicationsUpstream(authorization, query.params));
+    if (response.status < 200 || response.status >= 300) {
+      return res.status(response.status).json(response.data);
+    }
+
+    const normalized = normalizeApplications(response.data, { page: query.page, pageSize: query.pageSize, baseUrl: NAUKRI_BASE_URL });
+
+    await recordForOwner(auth, 'Application statuses', profileId => applicationStore.record(profileId, normalized.applications));
+
+    res.json(query.format === 'raw' ? response.data : normalized);
+  } catch (error) {
+    const status = error.response?.status || 500;
+    res.status(status).json({ error: 'Fetch applications failed', details: error.message });
+  }
+});
+
+// GET /applications/:id/history - The status changes of one application, oldest first, each with
+// when the wrapper first saw it. Only statuses seen by GET /applications are known here.
+app.get('/applications/:id/history', async (req, res) => {
+  const { id } = req.params;
+  if (!APPLICATION_ID_PATTERN.test(id)) {
+    return res.status(400).json({ error: 'id must be a Naukri application id' });
+  }
+
+  const auth = await resolveAuthorization(req);
+  if (auth.error) {
+    return res.status(auth.status).json({ error: auth.error });
+  }
+
+  try {
+    const owner = await resolveOwnProfileId(auth);
+    if (owner.error) {
+      return res.status(owner.status).json({ error: owner.error, details: owner.details });
+    }
+
+    const record = applicationStore.get(owner.profileId, id);
+    if (!record) {
+      return res.status(404).json({ error: 'No recorded history for this application; list it through GET /applications first' });
+    }
+    res.json({ ...record, status: record.history[record.history.length - 1].status });
+  } catch (error) {
+    const status = error.response?.status || 500;
+    res.status(status).json({ error: 'Failed to load application history', details: error.message });
+  }
+});
+
+// PATCH /profile/headline | key-skills | summary | employment | education | preferences
+// Body is validated against the section's JSON schema (see src/profileFields.js); profileId may be
+// omitted when using a wrapper session that knows it. Validation errors return 422 per field.
+PROFILE_FIELDS.forEach(field => {
+  app.patch(`/profile/${field}`, async (req, res) => {
+    const update = buildFieldUpdate(field, req.body);
+    if (update.errors) {
+      return res.status(update.status).json({ error: 'Validation failed', fields: update.errors });
+    }
+
+    const auth = await resolveAuthorization(req);
+    if (auth.error) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
+
+    const profileId = req.body.profileId || auth.session?.tokens.profileId;
+    if (!profileId) {
+      return res.status(422).json({ error: 'Validation failed', fields: [{ field: 'profileId', message: 'is required' }] });
+    }
+
+    try {
+      const response = await requestWithSessionRefresh(
+        auth,
+        authorization => updateProfileUpstream(authorization, update.profile, profileId)
+      );
+      if (response.status >= 200 && response.status < 300) {
+        // Keyed by the token's own profile, not the client-supplied profileId
+        await recordForOwner(auth, 'Profile update', ownId => insightsStore.recordUpdate(ownId, `profile/${field}`));
+      }
+
+      res.status(response.status).json(response.data);
+    } catch (error) {
+      const status = error.response?.status || 500;
+      res.status(status).json({ error: `Update ${field} failed`, details: error.message });
+    }
+  });
+});
+
+// Profile bump: re-save the resume headline so Naukri marks the profile as recently updated.
+// mode "unchanged" re-submits it as is; "alternate" toggles a trailing period on every run.
+const BUMP_MODES = ['unchanged', 'alternate'];
+
+const alternateHeadline = (headline) => (headline.endsWith('.') ? headline.slice(0, -1) : `${headline}.`);
+
+// Build an auth object (as returned by resolveAuthorization) from a stored wrapper session
+const loadSessionAuth = async (sessionId) => {
+  const session = await sessionStore.get(sessionId);
+  if (!session) {
+    throw new Error('Wrapper session expired, create a new session and resume the schedule');
+  }
+  return { authorization: `Bearer ${session.tokens.accessToken}`, sessionId, session };
+};
+
+const runProfileBump = async (schedule) => {
+  const fetchResponse = await requestWithSessionRefresh(await loadSessionAuth(schedule.sessionId), fetchProfileUpstream);
+  if (fetchResponse.status < 200 || fetchResponse.status >= 300) {
+    throw new Error(`Fetch profile returned ${fetchResponse.status}`);
+  }
+
+  const profile = extractProfile(fetchResponse.data);
+  if (!profile?.profileId || typeof profile.resumeHeadline !== 'string' || !profile.resumeHeadline) {
+    throw new Error('Fetched profile has no profileId or resume headline to re-save');
+  }
+
+  const resumeHeadline = schedule.mode === 'alternate'
+    ? alternateHeadline(profile.resumeHeadline)
+    : profile.resumeHeadline;
+
+  // Reload the session: the fetch may have refreshed its token
+  const updateResponse = await requestWithSessionRefresh(
+    await loadSessionAuth(schedule.sessionId),
+    authorization => updateProfileUpstream(authorization, { resumeHeadline }, profile.profileId)
+  );
+  if (updateResponse.status < 200 || updateResponse.status >= 300) {
+    throw new Error(`Update profile returned ${updateResponse.status}`);
+  }
+  await recordBestEffort('Profile update', () => insightsStore.recordUpdate(profile.profileId, 'profile-bump'));
+
+  return { profileId: profile.profileId, field: 'resumeHeadline', upstreamStatus: updateResponse.status };
+};
+
+const scheduler = createScheduler({
+  filePath: process.env.SCHEDULE_STORE_PATH || getDataPath('schedules.json'),
+  runJob: runProfileBump
+});
+
+// Schedules run unattended, so they require a wrapper session rather than a raw bearer.
+// Returns { sessionId, session, accountId } or { status, error }.
+const requireWrapperSession = async (req) => {
+  const bearer = readBearer(req);
+  if (!bearer || !isSessionId(bearer)) {
+    return { status: 400, error: 'Authorization Bearer wrapper session id is required (log in with createSession: true)' };
+  }
+  const session = await sessionStore.get(bearer);
+  if (!session) {
+    return { status: 401, error: 'Wrapper session is invalid or expired' };
+  }
+  // Schedules belong to the Naukri account, so any session of the same profile can manage them
+  return { sessionId: bearer, session, accountId: session.tokens.profileId || bearer };
+};
+
+// Look up a schedule owned by the caller's account; responds with 404 and returns null otherwise
+const findOwnedSchedule = (req, res, owner) => {
+  const schedule = scheduler.getRecord(req.params.id);
+  if (!schedule || schedule.accountId !== owner.accountId) {
+    res.status(404).json({ error: 'Schedule not found' });
+    return null;
+  }
+  return schedule;
+};
+
+// POST /schedules - Create a profile bump schedule
+// Body: { cron: string, timezone?: string, mode?: 'unchanged' | 'alternate' }
+app.post('/schedules', async (req, res) => {
+  const owner = await requireWrapperSession(req);
+  if (owner.error) {
+    return res.status(owner.status).json({ error: owner.error });
+  }
+
+  const { cron: expression, timezone, mode = 'unchanged' } = req.body || {};
+  if (!expression || typeof expression !== 'string' || !scheduler.validate(expression)) {
+    return res.status(400).json({ error: 'cron must be a valid cron expression, e.g. "0 9 * * *"' });
+  }
+  if (!BUMP_MODES.includes(mode)) {
+    return res.status(400).json({ error: `mode must be one of: ${BUMP_MODES.join(', ')}` });
+  }
+  if (timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (error) {
+      return res.status(400).json({ error: `Unknown timezone: ${timezone}` });
+    }
+  }
+
+  try {
+    const schedule = await scheduler.create({
+      accountId: owner.accountId,
+      sessionId: owner.sessionId,
+      cron: expression,
+      timezone,
+      mode
+    });
+    res.status(201).json(schedule);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to create schedule', details: error.message });
+  }
+});
+
+// GET /schedules - List the caller's schedules
+app.get('/schedules', async (req, res) => {
+  const owner = await requireWrapperSession(req);
+  if (owner.error) {
+    return res.status(owner.status).json({ error: owner.error });
+  }
+
+  res.json({ schedules: scheduler.list(owner.accountId) });
+});
+
+// GET /schedules/:id - Schedule details including run history
+app.get('/schedules/:id', async (req, res) => {
+  const owner = await requireWrapperSession(req);
+  if (owner.error) {
+    return res.status(owner.status).json({ error: owner.error });
+  }
+  if (!findOwnedSchedule(req, res, owner)) return;
+
+  res.json(scheduler.get(req.params.id));
+});
+
+// POST /schedules/:id/pause and /schedules/:id/resume
+// Resuming also moves the schedule onto the caller's session, which revives schedules whose session expired
+['pause', 'resume'].forEach(action => {
+  app.post(`/schedules/:id/${action}`, async (req, res) => {
+    const owner = await requireWrapperSession(req);
+    if (owner.error) {
+      return res.status(owner.status).json({ error: owner.error });
+    }
+    const schedule = findOwnedSchedule(req, res, owner);
+    if (!schedule) return;
+
+    try {
+      if (action === 'resume' && schedule.sessionId !== owner.sessionId) {
+        await scheduler.setSession(schedule.id, owner.sessionId);
+      }
+      res.json(await scheduler.setPaused(schedule.id, action === 'pause'));
+    } catch (error) {
+      res.status(500).json({ error: `Failed to ${action} schedule`, details: error.message });
+    }
+  });
+});
+
+// POST /schedules/:id/run-now - Run the bump immediately and return the run record
+// 404 if the schedule was deleted meanwhile, 409 (skipped run) while a previous run is in progress
+app.post('/schedules/:id/run-now', async (req, res) => {
+  const owner = await requireWrapperSession(req);
+  if (owner.error) {
+    return res.status(owner.status).json({ error: owner.error });
+  }
+  const schedule = findOwnedSchedule(req, res, owner);
+  if (!schedule) return;
+
+  try {
+    const run = await scheduler.runNow(schedule.id);
+    if (!run) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    const statuses = { failed: 502, skipped: 409 };
+    res.status(statuses[run.status] || 200).json(run);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to run schedule', details: error.message });
+  }
+});
+
+// DELETE /schedules/:id
+app.delete('/schedules/:id', async (req, res) => {
+  const owner = await requireWrapperSession(req);
+  if (owner.error) {
+    return res.status(owner.status).json({ error: owner.error });
+  }
+  if (!findOwnedSchedule(req, res, owner)) return;
+
+  try {
+    await scheduler.remove(req.params.id);
+    res.json({ ok: true });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete schedule', details: error.message });
   }
 });
 
 app.listen(PORT, () => {
   // eslint-disable-next-line no-console
   console.log(`Server listening on http://localhost:${PORT}`);
+  scheduler.start();
 });
 
 
@@ -0,0 +1,269 @@
+/*
+  Session recording for browser logins (opt-in with "debug": true on /auth/login-new)
+  Records what screenshots can't show, into the screenshot storage (screenshotStorage.js) and under
+  the same sessionId:
+  - debug-<sessionId>-trace.json   Chrome performance trace, without screenshots (open in DevTools)
+  - debug-<sessionId>-network.har  every request/response as HAR 1.2
+  - debug-<sessionId>-console.log  the page's console output and uncaught errors
+
+  The HAR never contains credentials: cookie, set-cookie and authorization headers are replaced,
+  request bodies and query strings have credential-like fields replaced, and the login's own
+  secrets (username, password) are replaced wherever they appear. Response bodies aren't recorded.
+  The trace goes through the same redactor: URLs and post data in its events are scrubbed like the
+  HAR's, and a trace that can't be parsed for that is not saved.
+*/
+
+const REDACTED = '[REDACTED]';
+
+const ARTIFACTS = {
+  trace: 'trace.json',
+  har: 'network.har',
+  console: 'console.log'
+};
+
+const SENSITIVE_HEADERS = ['cookie', 'set-cookie', 'authorization', 'proxy-authorization', 'x-auth-token', 'appid-token'];
+
+// Body/query fields whose values are credentials or personal data
+const SENSITIVE_FIELD_PATTERN = /pass|pwd|otp|token|secret|user|email|mobile|phone|login|auth/i;
+
+const artifactName = (sessionId, type) => `debug-${sessionId}-${ARTIFACTS[type]}`;
+
+// Matches the artifact file names, e.g. for download routes and cleanup
+const ARTIFACT_FILE_PATTERN = /^debug-[a-z0-9]+-(trace\.json|network\.har|console\.log)$/;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const createRedactor = (secrets) => {
+  const patterns = secrets
+    .filter(secret => typeof secret === 'string' && secret.length >= 3)
+    .flatMap(secret => [secret, encodeURIComponent(secret)])
+    .map(secret => new RegExp(escapeRegExp(secret), 'g'));
+
+  const redactText = (text) => patterns.reduce((result, pattern) => result.replace(pattern, REDACTED), text);
+
+  const redactFields = (value) => {
+    if (Array.isArray(value)) return value.map(redactFields);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, inner]) => [
+        key,
+        SENSITIVE_FIELD_PATTERN.test(key) && (typeof inner !== 'object' || inner === null) ? REDACTED : redactFields(inner)
+      ]));
+    }
+    return typeof value === 'string' ? redactText(value) : value;
+  };
+
+  // Request bodies are JSON, form-encoded or anything else (only the secrets are replaced then)
+  const redactBody = (body, contentType = '') => {
+    if (contentType.includes('json')) {
+      try {
+        return JSON.stringify(redactFields(JSON.parse(body)));
+      } catch (error) {
+        // Not valid JSON after all
+      }
+    }
+    if (contentType.includes('x-www-form-urlencoded')) {
+      const params = new URLSearchParams(body);
+      params.forEach((value, key) => {
+        if (SENSITIVE_FIELD_PATTERN.test(key)) params.set(key, REDACTED);
+      });
+      return redactText(params.toString());
+    }
+    return redactText(body);
+  };
+
+  const redactUrl = (url) => {
+    try {
+      const parsed = new URL(url);
+      parsed.searchParams.forEach((value, key) => {
+        if (SENSITIVE_FIELD_PATTERN.test(key)) parsed.searchParams.set(key, REDACTED);
+      });
+      return redactText(parsed.toString());
+    } catch (error) {
+      return redactText(url);
+    }
+  };
+
+  const redactHeaders = (headers) => Object.entries(headers || {}).map(([name, value]) => ({
+    name,
+    value: SENSITIVE_HEADERS.includes(name.toLowerCase()) ? REDACTED : redactText(String(value))
+  }));
+
+  return { redactText, redactBody, redactUrl, redactHeaders };
+};
+
+// Trace post data comes without its content type
+const sniffContentType = (body) => {
+  if (/^\s*[[{]/.test(body)) return 'application/json';
+  if (/^[^\s=&]+=[^\s]*$/.test(body)) return 'application/x-www-form-urlencoded';
+  return '';
+};
+
+// Trace JSON -> the same trace with every URL and post data redacted, and other strings stripped of
+// the secrets. Throws if the trace is not JSON.
+const redactTrace = (trace, redactor) => {
+  const redactValue = (value, key) => {
+    if (typeof value === 'string') {
+      if (/^postData$/i.test(key)) return redactor.redactBody(value, sniffContentType(value));
+      return /^(https?|wss?):\/\//i.test(value) ? redactor.redactUrl(value) : redactor.redactText(value);
+    }
+    if (Array.isArray(value)) return value.map(inner => redactValue(inner, key));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([innerKey, inner]) => [innerKey, redactValue(inner, innerKey)]));
+    }
+    return value;
+  };
+
+  return JSON.stringify(redactValue(JSON.parse(trace.toString()), ''));
+};
+
+const queryStringOf = (url) => {
+  try {
+    return Array.from(new URL(url).searchParams, ([name, value]) => ({ name, value }));
+  } catch (error) {
+    return [];
+  }
+};
+
+// Start recording `page`. Returns { stop } where stop() saves the artifacts to `storage` and
+// resolves to their file names; it never throws (a closed page just means a shorter trace).
+const startSessionRecording = async (page, { sessionId, storage, secrets = [] }) => {
+  const redactor = createRedactor(secrets);
+  const entries = [];
+  const consoleLines = [];
+  const pending = new Map();
+  const startedAt = new Date();
+
+  const log = (type, text) => {
+    consoleLines.push(`${new Date().toISOString()} [${type}] ${redactor.redactText(text)}`);
+  };
+
+  const onRequest = (request) => {
+    pending.set(request, Date.now());
+  };
+
+  const onRequestDone = (request) => {
+    const started = pending.get(request) || Date.now();
+    pending.delete(request);
+    const response = request.response();
+    const requestHeaders = request.headers();
+    const postData = request.postData();
+    const url = redactor.redactUrl(request.url());
+
+    const entry = {
+      startedDateTime: new Date(started).toISOString(),
+      time: Date.now() - started,
+      request: {
+        method: request.method(),
+        url,
+        httpVersion: 'HTTP/1.1',
+        headers: redactor.redactHeaders(requestHeaders),
+        queryString: queryStringOf(url),
+        cookies: [],
+        headersSize: -1,
+        bodySize: postData ? Buffer.byteLength(postData) : 0
+      },
+      response: {
+        status: response ? response.status() : 0,
+        statusText: response ? response.statusText() : (request.failure()?.errorText || ''),
+        httpVersion: 'HTTP/1.1',
+        headers: response ? redactor.redactHeaders(response.headers()) : [],
+        cookies: [],
+        content: { size: -1, mimeType: response?.headers()['content-type'] || '' },
+        redirectURL: response?.headers().location ? redactor.redactUrl(response.headers().location) : '',
+        headersSize: -1,
+        bodySize: -1
+      },
+      cache: {},
+      timings: { send: 0, wait: Date.now() - started, receive: 0 }
+    };
+
+    if (postData) {
+      const mimeType = requestHeaders['content-type'] || '';
+      entry.request.postData = { mimeType, text: redactor.redactBody(postData, mimeType) };
+    }
+    if (!response) {
+      entry._error = request.failure()?.errorText || 'no response';
+    }
+    entries.push(entry);
+  };
+
+  const onConsole = (message) => log(message.type(), message.text());
+  const onPageError = (error) => log('pageerror', error.message);
+
+  page.on('request', onRequest);
+  page.on('requestfinished', onRequestDone);
+  page.on('requestfailed', onRequestDone);
+  page.on('console', onConsole);
+  page.on('pageerror', onPageError);
+
+  let tracing = false;
+  try {
+    // Without a path the trace is returned by tracing.stop(). Screenshots would show the typed
+    // username, so they are left out
+    await page.tracing.start({ screenshots: false });
+    tracing = true;
+  } catch (error) {
+    // Tracing is per browser; another recorded login on the same browser may hold it
+    console.log(`[${sessionId}] Trace not recorded: ${error.message}`);
+  }
+
+  console.log(`[${sessionId}] Session recording started`);
+
+  let stopped = null;
+  const stop = () => {
+    if (stopped) return stopped;
+    stopped = (async () => {
+      page.off('request', onRequest);
+      page.off('requestfinished', onRequestDone);
+      page.off('requestfailed', onRequestDone);
+      page.off('console', onConsole);
+      page.off('pageerror', onPageError);
+
+      const writes = [];
+      if (tracing) {
+        try {
+          const trace = await page.tracing.stop();
+          if (trace) writes.push([artifactName(sessionId, 'trace'), redactTrace(trace, redactor), 'application/json']);
+        } catch (error) {
+          console.log(`[${sessionId}] Trace could not be saved: ${error.message}`);
+        }
+      }
+
+      const har = {
+        log: {
+          version: '1.2',
+          creator: { name: 'naukri-jwt', version: '1.0.0' },
+          pages: [{ id: sessionId, title: `Login session ${sessionId}`, startedDateTime: startedAt.toISOString(), pageTimings: {} }],
+          entries: entries.map(entry => ({ pageref: sessionId, ...entry }))
+        }
+      };
+
+      writes.push(
+        [artifactName(sessionId, 'har'), JSON.stringify(har, null, 2), 'application/json'],
+        [artifactName(sessionId, 'console'), consoleLines.join('\n') + '\n', 'text/plain']
+      );
+      const files = [];
+      for (const [fileName, content, contentType] of writes) {
+        try {
+          await storage.save(fileName, content, contentType);
+          files.push(fileName);
+        } catch (error) {
+          console.error(`[${sessionId}] Saving ${fileName} failed:`, error.message);
+        }
+      }
+
+      console.log(`[${sessionId}] Session recording saved: ${files.join(', ')}`);
+      return files;
+    })();
+    return stopped;
+  };
+
+  return { stop };
+};
+
+module.exports = {
+  ARTIFACT_FILE_PATTERN,
+  createRedactor,
+  redactTrace,
+  startSessionRecording
+};
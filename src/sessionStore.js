@@ -0,0 +1,125 @@
+/*
+  Wrapper session stores
+  A session maps an opaque wrapper session id to the Naukri tokens obtained at login, so clients
+  never have to hold the raw Naukri bearer. Every store exposes the same async interface:
+  - get(id)                → session or null (expired sessions are treated as missing)
+  - set(id, session)       → stores the session; session.expiresAt (ISO string) drives the TTL
+  - delete(id)             → true if a session was removed
+  - purgeExpired()         → number of expired sessions removed
+*/
+
+const crypto = require('crypto');
+const { createJsonFile, getDataPath } = require('./jsonFile');
+
+const SESSION_ID_PREFIX = 'nws_';
+
+// Generate an opaque session id; the prefix lets the profile routes tell it apart from a Naukri JWT
+const generateSessionId = () => `${SESSION_ID_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+
+const isSessionId = (value) => typeof value === 'string' && value.startsWith(SESSION_ID_PREFIX);
+
+const isExpired = (session) => !!session.expiresAt && new Date(session.expiresAt).getTime() <= Date.now();
+
+// In-memory store: fastest, but sessions are lost on restart
+const createMemorySessionStore = () => {
+  const sessions = new Map();
+
+  const purgeExpired = async () => {
+    let removed = 0;
+    for (const [id, session] of sessions) {
+      if (isExpired(session)) {
+        sessions.delete(id);
+        removed++;
+      }
+    }
+    return removed;
+  };
+
+  return {
+    type: 'memory',
+    get: async (id) => {
+      const session = sessions.get(id);
+      if (!session) return null;
+      if (isExpired(session)) {
+        sessions.delete(id);
+        return null;
+      }
+      return { ...session };
+    },
+    set: async (id, session) => {
+      sessions.set(id, { ...session });
+    },
+    delete: async (id) => sessions.delete(id),
+    purgeExpired
+  };
+};
+
+// File-backed store: keeps all sessions in one JSON file so they survive restarts
+const createFileSessionStore = (filePath) => {
+  const file = createJsonFile(filePath);
+
+  const purgeExpired = async () => {
+    const sessions = file.load();
+    let removed = 0;
+    Object.keys(sessions).forEach(id => {
+      if (isExpired(sessions[id])) {
+        delete sessions[id];
+        removed++;
+      }
+    });
+    if (removed > 0) await file.save();
+    return removed;
+  };
+
+  return {
+    type: 'file',
+    get: async (id) => {
+      const sessions = file.load();
+      const session = sessions[id];
+      if (!session) return null;
+      if (isExpired(session)) {
+        delete sessions[id];
+        // Only cleanup: the session is gone from memory, the next save drops it from disk too
+        await file.save().catch(() => {});
+        return null;
+      }
+      return { ...session };
+    },
+    set: async (id, session) => {
+      file.load()[id] = { ...session };
+      await file.save();
+    },
+    delete: async (id) => {
+      const sessions = file.load();
+      if (!sessions[id]) return false;
+      delete sessions[id];
+      await file.save();
+      return true;
+    },
+    purgeExpired
+  };
+};
+
+// Pick the store from the environment: SESSION_STORE=memory (default) | file
+const createSessionStore = () => {
+  const type = (process.env.SESSION_STORE || 'memory').toLowerCase();
+
+  if (type === 'file') {
+    const filePath = process.env.SESSION_STORE_PATH || getDataPath('sessions.json');
+    return createFileSessionStore(filePath);
+  }
+
+  if (type !== 'memory') {
+    console.error(`Unknown SESSION_STORE "${type}", falling back to memory`);
+  }
+  return createMemorySessionStore();
+};
+
+module.exports = {
+  SESSION_ID_PREFIX,
+  generateSessionId,
+  isSessionId,
+  createMemorySessionStore,
+  createFileSessionStore,
+  createSessionStore
+};
@@ -0,0 +1,60 @@
+/*
+  Profile snapshot history
+  After each successful update the wrapper stores the profile it fetched beforehand, so the update
+  can be rolled back. Updates Naukri rejected leave no snapshot.
+  Snapshots live in one JSON file keyed by profileId; versions are numbered per profile (1, 2, ...)
+  and only the newest `limit` snapshots are kept.
+
+  Snapshot shape:
+  { version, createdAt, reason, updatedFields: [...], profile: { ...fetched profile } }
+*/
+
+const { createJsonFile } = require('./jsonFile');
+
+const createSnapshotStore = ({ filePath, limit = 50 }) => {
+  const file = createJsonFile(filePath);
+
+  const historyFor = (profileId) => file.load()[profileId] || { nextVersion: 1, snapshots: [] };
+
+  return {
+    // Rejects if the snapshot could not be written; it is then not kept in memory either
+    add: async (profileId, { reason, updatedFields, profile }) => {
+      const all = file.load();
+      const previous = all[profileId];
+      const history = historyFor(profileId);
+      const snapshot = {
+        version: history.nextVersion,
+        createdAt: new Date().toISOString(),
+        reason,
+        updatedFields,
+        profile
+      };
+      all[profileId] = {
+        nextVersion: history.nextVersion + 1,
+        snapshots: [...history.snapshots, snapshot].slice(-limit)
+      };
+      try {
+        await file.save();
+      } catch (error) {
+        if (previous) {
+          all[profileId] = previous;
+        } else {
+          delete all[profileId];
+        }
+        throw error;
+      }
+      return snapshot;
+    },
+
+    // Newest first, without the (large) profile bodies
+    list: (profileId) => historyFor(profileId).snapshots
+      .map(({ profile, ...summary }) => summary)
+      .reverse(),
+
+    get: (profileId, version) => historyFor(profileId).snapshots.find(snapshot => snapshot.version === version) || null
+  };
+};
+
+module.exports = {
+  createSnapshotStore
+};
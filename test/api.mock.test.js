@@ -0,0 +1,134 @@
+/*
+  API integration tests against the mock Naukri server (mock/naukriServer.js)
+  Covers /auth/login, /fetch-profile and /update-profile end to end, including the upstream
+  401, 429 and validation errors and the wrapper's session refresh. No browser needed.
+*/
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { MOCK_ACCOUNTS, startMockNaukri } = require('../mock/naukriServer');
+const { startWrapper, requestJson, postJson } = require('./helpers');
+
+let mock;
+let wrapper;
+
+before(async () => {
+  // Access tokens expire after 2s so the session refresh can be exercised
+  mock = await startMockNaukri({ accessTokenTtlSeconds: 2, loginRateLimit: 10 });
+  wrapper = await startWrapper({ NAUKRI_BASE_URL: mock.url });
+});
+
+after(async () => {
+  if (wrapper) {
+    wrapper.stop();
+  }
+  if (mock) {
+    await mock.close();
+  }
+});
+
+const login = (body) => postJson(`${wrapper.url}/auth/login`, body);
+
+const bearer = (token) => ({ authorization: `Bearer ${token}` });
+
+test('logs in through the API and returns the tokens', async () => {
+  const { status, body } = await login(MOCK_ACCOUNTS.valid);
+
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.match(body.accessToken, /\.mock$/);
+  assert.ok(body.refreshToken);
+  assert.equal(body.profileId, MOCK_ACCOUNTS.valid.profileId);
+});
+
+test('proxies a wrong password as 401', async () => {
+  const { status } = await login({ ...MOCK_ACCOUNTS.valid, password: 'wrong-password' });
+
+  assert.equal(status, 401);
+});
+
+test('proxies a rate-limited login as 429', async () => {
+  const { status } = await login(MOCK_ACCOUNTS.rateLimited);
+
+  assert.equal(status, 429);
+});
+
+test('fetches the profile raw and normalized', async () => {
+  const { body: tokens } = await login(MOCK_ACCOUNTS.valid);
+
+  const raw = await requestJson(`${wrapper.url}/fetch-profile`, { headers: bearer(tokens.accessToken) });
+  assert.equal(raw.status, 200, JSON.stringify(raw.body));
+  assert.equal(raw.body.profile[0].profileId, MOCK_ACCOUNTS.valid.profileId);
+
+  const normalized = await requestJson(`${wrapper.url}/fetch-profile?format=normalized`, { headers: bearer(tokens.accessToken) });
+  assert.equal(normalized.status, 200, JSON.stringify(normalized.body));
+  assert.equal(normalized.body.profileId, MOCK_ACCOUNTS.valid.profileId);
+  assert.equal(normalized.body.contact.name, MOCK_ACCOUNTS.valid.name);
+});
+
+test('rejects an unknown bearer with 401', async () => {
+  const { status } = await requestJson(`${wrapper.url}/fetch-profile`, { headers: bearer('not-a-token') });
+
+  assert.equal(status, 401);
+});
+
+test('updates the profile and returns the diff', async () => {
+  const { body: tokens } = await login(MOCK_ACCOUNTS.valid);
+  const update = (headline) => requestJson(`${wrapper.url}/update-profile`, {
+    method: 'PUT',
+    headers: bearer(tokens.accessToken),
+    body: { profileId: MOCK_ACCOUNTS.valid.profileId, profile: { resumeHeadline: headline } }
+  });
+
+  const first = await update('Backend engineer');
+  assert.equal(first.status, 200, JSON.stringify(first.body));
+  assert.ok(first.body.result);
+
+  const headline = 'Backend engineer focused on Node.js services';
+  const updated = await update(headline);
+  assert.equal(updated.status, 200, JSON.stringify(updated.body));
+  assert.deepEqual(updated.body.diff.changes, [
+    { path: 'resumeHeadline', op: 'replace', before: 'Backend engineer', after: headline }
+  ]);
+  assert.equal(updated.body.snapshotVersion, first.body.snapshotVersion + 1);
+  assert.equal(updated.headers.get('x-snapshot-version'), String(updated.body.snapshotVersion));
+
+  const fetched = await requestJson(`${wrapper.url}/fetch-profile`, { headers: bearer(tokens.accessToken) });
+  assert.equal(fetched.body.profile[0].resumeHeadline, headline);
+});
+
+test('proxies upstream validation errors', async () => {
+  const { body: tokens } = await login(MOCK_ACCOUNTS.valid);
+
+  const { status, body } = await requestJson(`${wrapper.url}/update-profile`, {
+    method: 'PUT',
+    headers: bearer(tokens.accessToken),
+    body: { profileId: MOCK_ACCOUNTS.valid.profileId, profile: { favouriteColour: 'blue' } }
+  });
+
+  assert.equal(status, 400);
+  assert.deepEqual(body.result.validationErrors.map(error => error.field), ['profile.favouriteColour']);
+});
+
+test('rejects a preferences update without any preference', async () => {
+  const { body: tokens } = await login(MOCK_ACCOUNTS.valid);
+  const patch = (body) => requestJson(`${wrapper.url}/profile/preferences`, { method: 'PATCH', headers: bearer(tokens.accessToken), body });
+
+  const empty = await patch({ profileId: MOCK_ACCOUNTS.valid.profileId });
+  assert.equal(empty.status, 400);
+  assert.deepEqual(empty.body.fields.map(field => field.field), ['(body)']);
+
+  assert.equal((await patch({ profileId: MOCK_ACCOUNTS.valid.profileId, jobType: 'freelance' })).status, 422);
+});
+
+test('refreshes an expired access token behind a wrapper session', async () => {
+  const { status, body } = await login({ ...MOCK_ACCOUNTS.valid, createSession: true });
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.match(body.sessionId, /^nws_/);
+
+  // Let the 2s access token expire; the mock now answers 401 until the wrapper refreshes it
+  await new Promise(resolve => setTimeout(resolve, 2500));
+
+  const fetched = await requestJson(`${wrapper.url}/fetch-profile`, { headers: bearer(body.sessionId) });
+  assert.equal(fetched.status, 200, JSON.stringify(fetched.body));
+  assert.match(wrapper.output(), /Session refreshed with refresh token/);
+});
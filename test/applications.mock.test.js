@@ -0,0 +1,117 @@
+/*
+  Application tracker against the mock Naukri server: GET /applications and the status history
+  the wrapper records in its application store. Recruiter-side status changes are made with the
+  mock's setApplicationStatus.
+*/
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { MOCK_ACCOUNTS, startMockNaukri } = require('../mock/naukriServer');
+const { startWrapper, requestJson, postJson } = require('./helpers');
+
+let mock;
+let wrapper;
+let headers;
+
+const jobId = (listing) => `2109245${String(listing).padStart(5, '0')}`;
+
+before(async () => {
+  mock = await startMockNaukri();
+  wrapper = await startWrapper({ NAUKRI_BASE_URL: mock.url });
+
+  const login = await postJson(`${wrapper.url}/auth/login`, { ...MOCK_ACCOUNTS.valid, createSession: true });
+  headers = { authorization: `Bearer ${login.body.sessionId}` };
+  for (const listing of [101, 104]) {
+    await postJson(`${wrapper.url}/jobs/${jobId(listing)}/apply`, {}, headers);
+  }
+});
+
+after(async () => {
+  if (wrapper) {
+    wrapper.stop();
+  }
+  if (mock) {
+    await mock.close();
+  }
+});
+
+const listApplications = (query = '') => requestJson(`${wrapper.url}/applications${query}`, { headers });
+
+const history = (id) => requestJson(`${wrapper.url}/applications/${id}/history`, { headers });
+
+test('lists the applications with normalized statuses', async () => {
+  const { status, body } = await listApplications();
+
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.total, 2);
+  assert.deepEqual(body.applications.map(application => application.jobId), [jobId(104), jobId(101)]);
+
+  const application = body.applications[1];
+  assert.equal(application.title, 'Node.js Developer');
+  assert.deepEqual(application.company, { id: 5001, name: 'Acme Technologies' });
+  assert.deepEqual(application.location, ['Bengaluru']);
+  assert.equal(application.status, 'applied');
+  assert.equal(application.statusLabel, 'Applied');
+  assert.equal(application.jobActive, true);
+  assert.ok(application.appliedAt);
+  assert.ok(application.url.startsWith(`${mock.url}/job-listings-`));
+});
+
+test('records each status change once, with when it was first seen', async () => {
+  const { body } = await listApplications();
+  const id = body.applications.find(application => application.jobId === jobId(101)).id;
+
+  mock.setApplicationStatus(MOCK_ACCOUNTS.valid.username, jobId(101), 'VIEWED');
+  await listApplications();
+  mock.setApplicationStatus(MOCK_ACCOUNTS.valid.username, jobId(101), 'SHORTLISTED');
+  const shortlisted = await listApplications();
+  await listApplications();
+
+  assert.equal(shortlisted.body.applications.find(application => application.id === id).status, 'shortlisted');
+
+  const { status, body: record } = await history(id);
+  assert.equal(status, 200, JSON.stringify(record));
+  assert.equal(record.jobId, jobId(101));
+  assert.equal(record.status, 'shortlisted');
+  assert.deepEqual(record.history.map(entry => [entry.status, entry.statusLabel]), [
+    ['applied', 'Applied'],
+    ['viewed', 'Application viewed'],
+    ['shortlisted', 'Shortlisted']
+  ]);
+  const seen = record.history.map(entry => Date.parse(entry.firstSeenAt));
+  assert.deepEqual([...seen].sort((a, b) => a - b), seen);
+  assert.ok(record.history.every(entry => entry.reportedAt));
+});
+
+test('maps rejections and returns the upstream list with format=raw', async () => {
+  mock.setApplicationStatus(MOCK_ACCOUNTS.valid.username, jobId(104), 'NOT_SHORTLISTED');
+
+  const raw = await listApplications('?format=raw');
+  assert.equal(raw.status, 200);
+  assert.equal(raw.body.totalCount, 2);
+  assert.equal(raw.body.applies[0].applyStatus.statusCode, 'NOT_SHORTLISTED');
+
+  // raw listings are recorded too
+  const { body: record } = await history(raw.body.applies[0].applyId);
+  assert.deepEqual(record.history.map(entry => entry.status), ['applied', 'rejected']);
+});
+
+test('works with a raw Naukri bearer', async () => {
+  const login = await postJson(`${wrapper.url}/auth/login`, MOCK_ACCOUNTS.valid);
+  const bearer = { authorization: `Bearer ${login.body.accessToken}` };
+
+  const { status, body } = await requestJson(`${wrapper.url}/applications?pageSize=1`, { headers: bearer });
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.hasMore, true);
+  assert.equal(body.applications.length, 1);
+
+  const record = await requestJson(`${wrapper.url}/applications/${body.applications[0].id}/history`, { headers: bearer });
+  assert.equal(record.status, 200);
+});
+
+test('validates the application requests', async () => {
+  assert.equal((await requestJson(`${wrapper.url}/applications`)).status, 400);
+  assert.equal((await listApplications('?status=open')).status, 422);
+  assert.equal((await history('not valid!')).status, 400);
+  assert.equal((await history('123456')).status, 404);
+});
@@ -0,0 +1,150 @@
+/*
+  Browser pool (src/browserPool.js) with fake browsers: queueing, launch failures, parked leases,
+  crashes and recycling. No Chrome is started.
+*/
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { createBrowserPool } = require('../src/browserPool');
+
+// Just enough of a Puppeteer Browser for the pool
+const createFakeBrowser = () => {
+  const browser = new EventEmitter();
+  browser.connected = true;
+  browser.contexts = 0;
+  browser.createBrowserContext = async () => {
+    browser.contexts++;
+    return { newPage: async () => ({}), close: async () => {} };
+  };
+  browser.close = async () => { browser.connected = false; };
+  return browser;
+};
+
+const createFakeLaunch = () => {
+  const launch = async () => {
+    if (launch.failures > 0) {
+      launch.failures--;
+      throw new Error('Chrome failed to start');
+    }
+    const browser = createFakeBrowser();
+    launch.browsers.push(browser);
+    return browser;
+  };
+  launch.browsers = [];
+  launch.failures = 0;
+  return launch;
+};
+
+// Resolves to 'pending' if the promise hasn't settled after the pending callbacks ran
+const state = (promise) => Promise.race([
+  promise.then(() => 'resolved', () => 'rejected'),
+  new Promise(resolve => setImmediate(() => resolve('pending')))
+]);
+
+test('queues requests beyond capacity and serves them in order', async () => {
+  const launch = createFakeLaunch();
+  const pool = createBrowserPool({ launch, maxBrowsers: 1, maxPagesPerBrowser: 2 });
+
+  const first = await pool.acquire();
+  const second = await pool.acquire();
+  const third = pool.acquire();
+  const fourth = pool.acquire();
+
+  assert.equal(await state(third), 'pending');
+  assert.equal(pool.stats().queued, 2);
+
+  await first.release();
+  assert.equal(await state(third), 'resolved');
+  assert.equal(await state(fourth), 'pending');
+
+  await second.release();
+  const leases = await Promise.all([third, fourth]);
+  assert.equal(launch.browsers.length, 1);
+  assert.equal(pool.stats().activePages, 2);
+
+  await Promise.all(leases.map(lease => lease.release()));
+  assert.equal(pool.stats().activePages, 0);
+  await pool.close();
+});
+
+test('rejects queued requests after the acquire timeout', async () => {
+  const pool = createBrowserPool({ launch: createFakeLaunch(), maxPagesPerBrowser: 1, acquireTimeoutMs: 20 });
+  const lease = await pool.acquire();
+
+  await assert.rejects(pool.acquire(), /No browser available after 20ms/);
+  assert.equal(pool.stats().queueTimeouts, 1);
+  assert.equal(pool.stats().queued, 0);
+
+  await lease.release();
+  await pool.close();
+});
+
+test('lets queued requests launch after a failed launch', async () => {
+  const launch = createFakeLaunch();
+  launch.failures = 1;
+  const pool = createBrowserPool({ launch, maxBrowsers: 1, acquireTimeoutMs: 1000 });
+
+  const failed = pool.acquire();
+  const queued = pool.acquire();
+
+  await assert.rejects(failed, /Chrome failed to start/);
+  const lease = await queued;
+  assert.equal(launch.browsers.length, 1);
+  assert.equal(pool.stats().launching, 0);
+
+  await lease.release();
+  await pool.close();
+});
+
+test('parked leases free their slot up to maxParkedPages', async () => {
+  const pool = createBrowserPool({ launch: createFakeLaunch(), maxPagesPerBrowser: 1, maxParkedPages: 1 });
+
+  const paused = await pool.acquire();
+  const waiting = pool.acquire();
+  assert.equal(await state(waiting), 'pending');
+
+  assert.equal(paused.park(), true);
+  const active = await waiting;
+  assert.equal(pool.stats().parkedPages, 1);
+  assert.equal(pool.stats().activePages, 1);
+
+  // the parked pages are full, so this lease keeps its slot
+  await active.release();
+  const second = await pool.acquire();
+  assert.equal(second.park(), false);
+  assert.equal(pool.stats().activePages, 1);
+
+  await paused.release();
+  assert.equal(pool.stats().parkedPages, 0);
+  assert.equal(second.park(), true);
+
+  await second.release();
+  assert.deepEqual([pool.stats().activePages, pool.stats().parkedPages], [0, 0]);
+  await pool.close();
+});
+
+test('replaces crashed browsers and retires them after recycleAfter leases', async () => {
+  const launch = createFakeLaunch();
+  const pool = createBrowserPool({ launch, maxPagesPerBrowser: 1, recycleAfter: 2 });
+
+  const crashed = await pool.acquire();
+  const waiting = pool.acquire();
+  launch.browsers[0].connected = false;
+  launch.browsers[0].emit('disconnected');
+
+  const replacement = await waiting;
+  assert.equal(replacement.browserId, 2);
+  assert.equal(pool.stats().crashed, 1);
+  await crashed.release();
+
+  await replacement.release();
+  const last = await pool.acquire();
+  assert.equal(last.browserId, 2);
+  await last.release();
+
+  assert.equal(pool.stats().recycled, 1);
+  assert.equal(launch.browsers[1].connected, false);
+  assert.equal((await pool.acquire()).browserId, 3);
+  await pool.close();
+});
@@ -0,0 +1,47 @@
+/*
+  Persistent browser profiles (src/browserProfiles.js)
+  A saved profile must only be found with the credentials it was saved with.
+*/
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createBrowserProfileStore } = require('../src/browserProfiles');
+
+const STATE = { cookies: [{ name: 'nauk_at', value: 'token', domain: '.naukri.com' }], localStorage: {} };
+
+let directory;
+let store;
+
+before(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'naukri-browser-profiles-'));
+  store = createBrowserProfileStore({ directory, maxAgeMs: 60 * 60 * 1000 });
+});
+
+after(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test('loads a profile with the credentials it was saved with', async () => {
+  await store.save('user@example.com', 'correct-password', STATE);
+
+  const loaded = await store.load(' User@Example.com ', 'correct-password');
+  assert.deepEqual(loaded.cookies, STATE.cookies);
+});
+
+test('does not find the profile with a wrong password', async () => {
+  await store.save('victim@example.com', 'correct-password', STATE);
+
+  assert.equal(await store.load('victim@example.com', 'wrong-password'), null);
+  assert.equal(await store.remove('victim@example.com', 'wrong-password'), false);
+  assert.ok(await store.load('victim@example.com', 'correct-password'), 'the owner keeps the profile');
+});
+
+test('keeps usernames out of the file names', async () => {
+  const files = fs.readdirSync(directory);
+
+  assert.ok(files.length > 0);
+  assert.ok(files.every(file => /^[0-9a-f]{64}\.enc$/.test(file)));
+});
@@ -0,0 +1,88 @@
+/*
+  Shared helpers for the integration tests: start the wrapper as a child process on a free port
+  (pointed wherever the test's env says) and talk JSON to it.
+*/
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const freePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer().listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+  server.on('error', reject);
+});
+
+const waitForHealth = async (url, getOutput, timeoutMs = 15000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    try {
+      const response = await fetch(`${url}/health`);
+      if (response.ok) return;
+    } catch (error) {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error(`Wrapper did not start:\n${getOutput()}`);
+};
+
+// Spawn src/server.js with a throwaway data directory and in-memory sessions.
+// Resolves to { url, workDir, output(), stop() } once /health answers.
+const startWrapper = async (env = {}) => {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'naukri-wrapper-test-'));
+  const port = await freePort();
+  let output = '';
+
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'src', 'server.js')], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      SCREENSHOT_DIR: workDir,
+      DATA_DIR: workDir,
+      SESSION_STORE: 'memory',
+      LOGIN_FLOW_WATCH_MS: '0',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+
+  const stop = () => {
+    child.kill();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  };
+
+  const url = `http://127.0.0.1:${port}`;
+  try {
+    await waitForHealth(url, () => output);
+  } catch (error) {
+    stop();
+    throw error;
+  }
+
+  return { url, workDir, output: () => output, stop };
+};
+
+// fetch() wrapper resolving to { status, headers, body } with the body parsed as JSON
+const requestJson = async (url, { method = 'GET', body, headers = {} } = {}) => {
+  const response = await fetch(url, {
+    method,
+    headers: body === undefined ? headers : { 'content-type': 'application/json', ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+};
+
+const postJson = (url, body, headers) => requestJson(url, { method: 'POST', body, headers });
+
+module.exports = {
+  startWrapper,
+  requestJson,
+  postJson
+};
@@ -0,0 +1,116 @@
+/*
+  Profile insights against the mock Naukri server: the proxied profile views and search
+  appearances, and /insights/trends charting the recorded series against profile updates.
+*/
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { MOCK_ACCOUNTS, startMockNaukri } = require('../mock/naukriServer');
+const { startWrapper, requestJson, postJson } = require('./helpers');
+
+let mock;
+let wrapper;
+let headers;
+
+before(async () => {
+  mock = await startMockNaukri();
+  wrapper = await startWrapper({ NAUKRI_BASE_URL: mock.url });
+
+  const login = await postJson(`${wrapper.url}/auth/login`, { ...MOCK_ACCOUNTS.valid, createSession: true });
+  headers = { authorization: `Bearer ${login.body.sessionId}` };
+});
+
+after(async () => {
+  if (wrapper) {
+    wrapper.stop();
+  }
+  if (mock) {
+    await mock.close();
+  }
+});
+
+const insights = (path) => requestJson(`${wrapper.url}/insights/${path}`, { headers });
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+test('returns normalized profile views', async () => {
+  const { status, body } = await insights('profile-views?days=7');
+
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.days, 7);
+  assert.equal(body.daily.length, 7);
+  assert.equal(body.daily[6].date, today());
+  assert.equal(body.total, body.daily.reduce((sum, day) => sum + day.count, 0));
+  assert.ok(body.viewers.length <= 5);
+  assert.ok(body.viewers.every(viewer => viewer.company && viewer.viewedAt));
+  assert.deepEqual(Object.keys(body.recruiterActions), ['resumeDownloads', 'messages']);
+});
+
+test('returns normalized search appearances and the raw response with format=raw', async () => {
+  const { status, body } = await insights('search-appearances');
+
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.daily.length, 30);
+  assert.deepEqual(body.keywords.map(item => item.keyword), ['JavaScript', 'Node.js', 'React']);
+
+  const raw = await insights('search-appearances?days=3&format=raw');
+  assert.equal(raw.status, 200);
+  assert.equal(raw.body.appearancesByDay.length, 3);
+  assert.equal(raw.body.totalAppearances, raw.body.appearancesByDay.reduce((sum, day) => sum + day.count, 0));
+});
+
+test('charts the recorded views against profile updates', async () => {
+  const viewsBefore = (await insights('profile-views?days=7')).body.daily[6].count;
+
+  const update = await requestJson(`${wrapper.url}/update-profile`, {
+    method: 'PUT',
+    headers,
+    body: { profile: { resumeHeadline: 'Backend developer, Node.js and AWS' }, profileId: MOCK_ACCOUNTS.valid.profileId }
+  });
+  assert.equal(update.status, 200, JSON.stringify(update.body));
+  const viewsAfter = (await insights('profile-views?days=7')).body.daily[6].count;
+  assert.equal(viewsAfter, viewsBefore + 5);
+
+  const { status, body } = await insights('trends?days=14');
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.profileId, MOCK_ACCOUNTS.valid.profileId);
+  assert.equal(body.to, today());
+  assert.equal(body.series.length, 14);
+
+  // only the last 7 days were fetched
+  assert.ok(body.series.slice(0, 7).every(day => day.profileViews === null));
+  assert.ok(body.series.slice(7).every(day => Number.isInteger(day.profileViews)));
+  const latest = body.series[13];
+  assert.equal(latest.date, today());
+  assert.equal(latest.profileViews, viewsAfter);
+  assert.equal(latest.profileUpdates, 1);
+  assert.ok(latest.searchAppearances > 0);
+  assert.deepEqual(body.updates.map(entry => entry.source), ['update-profile']);
+  assert.equal(body.summary.profileUpdates, 1);
+  assert.equal(body.summary.averageViews.updateDays, viewsAfter);
+});
+
+test('records field updates made with a raw bearer under the token\'s own profile', async () => {
+  const login = await postJson(`${wrapper.url}/auth/login`, MOCK_ACCOUNTS.valid);
+
+  const patched = await requestJson(`${wrapper.url}/profile/headline`, {
+    method: 'PATCH',
+    headers: { authorization: `Bearer ${login.body.accessToken}` },
+    body: { headline: 'Backend developer, Node.js', profileId: MOCK_ACCOUNTS.valid.profileId }
+  });
+  assert.equal(patched.status, 200, JSON.stringify(patched.body));
+
+  const { body } = await insights('trends?days=1');
+  assert.deepEqual(body.updates.map(entry => entry.source), ['update-profile', 'profile/headline']);
+});
+
+test('validates the insights requests', async () => {
+  assert.equal((await requestJson(`${wrapper.url}/insights/profile-views`)).status, 400);
+  assert.equal((await requestJson(`${wrapper.url}/insights/trends`)).status, 400);
+
+  const days = await insights('profile-views?days=91&period=week');
+  assert.equal(days.status, 422);
+  assert.deepEqual(days.body.fields.map(field => field.field), ['period', 'days']);
+  assert.equal((await insights('trends?days=366')).status, 422);
+  assert.equal((await insights('trends?format=raw')).status, 422);
+});
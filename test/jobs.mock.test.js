@@ -0,0 +1,268 @@
+/*
+  Job endpoints against the mock Naukri server (listings in mock/jobs.js)
+*/
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { MOCK_ACCOUNTS, startMockNaukri } = require('../mock/naukriServer');
+const { buildJobSearch } = require('../src/jobSearch');
+const { startWrapper, requestJson, postJson } = require('./helpers');
+
+let mock;
+let wrapper;
+
+before(async () => {
+  mock = await startMockNaukri();
+  wrapper = await startWrapper({ NAUKRI_BASE_URL: mock.url });
+});
+
+after(async () => {
+  if (wrapper) {
+    wrapper.stop();
+  }
+  if (mock) {
+    await mock.close();
+  }
+});
+
+const search = (query) => requestJson(`${wrapper.url}/jobs/search?${new URLSearchParams(query)}`);
+
+test('searches jobs and returns normalized job cards', async () => {
+  const { status, body } = await search({ keyword: 'node js', location: 'Bengaluru' });
+
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.schemaVersion, '1');
+  assert.equal(body.total, 4);
+  assert.equal(body.hasMore, false);
+
+  const [card] = body.jobs;
+  assert.deepEqual(Object.keys(card).sort(), ['company', 'experience', 'id', 'location', 'postedAt', 'postedLabel', 'salary', 'tags', 'title', 'url']);
+  assert.equal(card.title, 'Node.js Developer');
+  assert.deepEqual(card.company, { id: 5001, name: 'Acme Technologies', logoUrl: 'https://img.naukimg.com/logo_images/groups/v1/5001.gif' });
+  assert.deepEqual(card.location, ['Bengaluru']);
+  assert.deepEqual(card.salary, { label: '8-14 Lacs PA', disclosed: true });
+  assert.deepEqual(card.tags, ['Node.js', 'Express', 'MongoDB', 'REST']);
+  assert.equal(card.postedLabel, '1 Day Ago');
+  assert.ok(card.postedAt);
+  assert.ok(card.url.startsWith(`${mock.url}/job-listings-`));
+});
+
+test('applies experience, salary, freshness and work mode filters', async () => {
+  const { body } = await search({
+    keyword: 'node',
+    experience: '4',
+    salaryMin: '10',
+    salaryMax: '20',
+    freshness: '7',
+    workMode: 'hybrid,remote'
+  });
+
+  assert.deepEqual(body.jobs.map(job => job.title), ['Node.js Developer', 'Software Engineer II (Node.js)', 'Full Stack Developer (React + Node)']);
+});
+
+test('maps every salary range onto at least one bucket', () => {
+  const buckets = (salaryMin, salaryMax) => buildJobSearch({ keyword: 'node', salaryMin, salaryMax }).params.ctcFilter;
+
+  assert.deepEqual(buckets('10', '10'), ['10to15']);
+  assert.deepEqual(buckets('8', '20'), ['6to10', '10to15', '15to25']);
+  assert.deepEqual(buckets('500'), ['100to500']);
+  assert.deepEqual(buckets(undefined, '0'), ['0to3']);
+});
+
+test('paginates the results', async () => {
+  const first = await search({ keyword: 'node', pageSize: '3' });
+  const second = await search({ keyword: 'node', pageSize: '3', page: '2' });
+
+  assert.equal(first.body.total, 9);
+  assert.equal(first.body.hasMore, true);
+  assert.equal(second.body.page, 2);
+  assert.equal(second.body.jobs.length, 3);
+  assert.equal(new Set([...first.body.jobs, ...second.body.jobs].map(job => job.id)).size, 6);
+});
+
+test('rejects invalid parameters with 422', async () => {
+  const { status, body } = await search({ freshness: '2', workMode: 'moon', pageSize: '500', sort: 'date' });
+
+  assert.equal(status, 422);
+  assert.deepEqual(body.fields.map(field => field.field).sort(), ['freshness', 'keyword', 'pageSize', 'sort', 'workMode']);
+});
+
+test('returns the upstream response with format=raw', async () => {
+  const { status, body } = await search({ location: 'Pune', format: 'raw' });
+
+  assert.equal(status, 200);
+  assert.equal(body.noOfJobs, 3);
+  assert.ok(body.jobDetails.every(job => job.placeholders));
+});
+
+test('passes a wrapper session through to the search', async () => {
+  const login = await postJson(`${wrapper.url}/auth/login`, { ...MOCK_ACCOUNTS.valid, createSession: true });
+  const { status, body } = await requestJson(`${wrapper.url}/jobs/search?keyword=python`, {
+    headers: { authorization: `Bearer ${login.body.sessionId}` }
+  });
+
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.deepEqual(body.jobs.map(job => job.title), ['Python Developer']);
+
+  const invalid = await requestJson(`${wrapper.url}/jobs/search?keyword=python`, { headers: { authorization: 'Bearer nws_unknown' } });
+  assert.equal(invalid.status, 401);
+});
+
+const jobId = (listing) => `2109245${String(listing).padStart(5, '0')}`;
+
+const sessionLogin = async () => {
+  const { body } = await postJson(`${wrapper.url}/auth/login`, { ...MOCK_ACCOUNTS.valid, createSession: true });
+  return { authorization: `Bearer ${body.sessionId}` };
+};
+
+const apply = (id, headers, body = {}) => postJson(`${wrapper.url}/jobs/${id}/apply`, body, headers);
+
+test('returns the full job details', async () => {
+  const { status, body } = await requestJson(`${wrapper.url}/jobs/${jobId(102)}`);
+
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.title, 'Senior Node.js Engineer');
+  assert.equal(body.company.name, 'Bluefin Payments');
+  assert.deepEqual(body.location, ['Bengaluru', 'Pune']);
+  assert.equal(body.experience, '5-9 Yrs');
+  assert.deepEqual(body.salary, { label: '20-32 Lacs PA', disclosed: true });
+  assert.match(body.description, /<li>Hands-on AWS<\/li>/);
+  assert.deepEqual(body.skills, { preferred: ['Node.js', 'TypeScript'], other: ['AWS', 'Microservices'] });
+  assert.equal(body.workMode, 'Remote');
+  assert.deepEqual(body.apply, { type: 'naukri', redirectUrl: null, alreadyApplied: false });
+});
+
+test('rejects malformed job ids and proxies unknown ones', async () => {
+  assert.equal((await requestJson(`${wrapper.url}/jobs/abc`)).status, 400);
+  assert.equal((await requestJson(`${wrapper.url}/jobs/999`)).status, 404);
+});
+
+test('applies to a job once', async () => {
+  const headers = await sessionLogin();
+
+  const first = await apply(jobId(101), headers);
+  assert.equal(first.status, 200, JSON.stringify(first.body));
+  assert.equal(first.body.status, 'applied');
+  assert.equal(first.body.applied, true);
+
+  const second = await apply(jobId(101), headers);
+  assert.equal(second.status, 409);
+  assert.equal(second.body.status, 'already_applied');
+
+  const details = await requestJson(`${wrapper.url}/jobs/${jobId(101)}`, { headers });
+  assert.equal(details.body.apply.alreadyApplied, true);
+});
+
+test('returns questionnaire questions and applies with the answers', async () => {
+  const headers = await sessionLogin();
+
+  const asked = await apply(jobId(102), headers);
+  assert.equal(asked.status, 202, JSON.stringify(asked.body));
+  assert.equal(asked.body.status, 'questions_required');
+  assert.deepEqual(asked.body.questions.map(question => [question.id, question.type, question.required]), [
+    ['9001', 'text', true],
+    ['9002', 'single_choice', true],
+    ['9003', 'multiple_choice', false]
+  ]);
+  assert.deepEqual(asked.body.questions[1].options, ['Immediate', '15 days', '1 month', '2 months or more']);
+
+  const rejected = await apply(jobId(102), headers, { answers: { 9001: '5', 9002: 'Tomorrow' } });
+  assert.equal(rejected.status, 400);
+  assert.deepEqual(rejected.body.validationErrors.map(error => error.field), ['answers.9002']);
+
+  const applied = await apply(jobId(102), headers, { answers: { 9001: '5', 9002: '1 month', 9003: ['AWS', 'GCP'] } });
+  assert.equal(applied.status, 200, JSON.stringify(applied.body));
+  assert.equal(applied.body.status, 'applied');
+});
+
+test('returns chatbot questions like questionnaire ones', async () => {
+  const headers = await sessionLogin();
+
+  const asked = await apply(jobId(111), headers);
+  assert.equal(asked.status, 202);
+  assert.deepEqual(asked.body.questions.map(question => [question.id, question.source]), [['cb-1', 'chatbot']]);
+
+  const applied = await apply(jobId(111), headers, { answers: { 'cb-1': 'Yes' } });
+  assert.equal(applied.body.status, 'applied');
+});
+
+test('reports external jobs with their company site', async () => {
+  const headers = await sessionLogin();
+
+  const { status, body } = await apply(jobId(108), headers);
+
+  assert.equal(status, 200);
+  assert.equal(body.status, 'external');
+  assert.equal(body.applied, false);
+  assert.equal(body.redirectUrl, 'https://careers.harbor-finance.example/openings/java-backend-developer');
+});
+
+test('validates the apply request', async () => {
+  assert.equal((await apply(jobId(103), {})).status, 400);
+
+  const headers = await sessionLogin();
+  const { status, body } = await apply(jobId(103), headers, { answers: { 1: 5 }, note: 'hi' });
+  assert.equal(status, 422);
+  assert.deepEqual(body.fields.map(field => field.field), ['note', 'answers.1']);
+});
+
+// Runs after the apply tests: the valid account has applied to listings 101, 102 and 111
+test('recommends jobs matching the profile skills, without applied ones', async () => {
+  const headers = await sessionLogin();
+
+  const { status, body } = await requestJson(`${wrapper.url}/jobs/recommended?pageSize=3`, { headers });
+
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.total, 9);
+  assert.equal(body.hasMore, true);
+  assert.deepEqual(body.jobs.map(job => job.id), [jobId(103), jobId(104), jobId(113)]);
+  assert.equal(body.jobs[0].title, 'Full Stack Developer (React + Node)');
+});
+
+test('saves, lists and unsaves jobs', async () => {
+  const headers = await sessionLogin();
+  const save = (id) => postJson(`${wrapper.url}/jobs/saved`, { jobId: id }, headers);
+  const list = () => requestJson(`${wrapper.url}/jobs/saved`, { headers });
+  const unsave = (id) => requestJson(`${wrapper.url}/jobs/saved/${id}`, { method: 'DELETE', headers });
+
+  const saved = await save(jobId(105));
+  assert.equal(saved.status, 201, JSON.stringify(saved.body));
+  const { savedAt, ...result } = saved.body;
+  assert.deepEqual(result, { jobId: jobId(105), saved: true, alreadySaved: false });
+  assert.ok(savedAt);
+  assert.equal((await save(jobId(107))).status, 201);
+
+  const again = await save(jobId(105));
+  assert.equal(again.status, 200);
+  assert.equal(again.body.alreadySaved, true);
+  assert.equal(again.body.savedAt, savedAt);
+
+  const listed = await list();
+  assert.equal(listed.status, 200, JSON.stringify(listed.body));
+  assert.equal(listed.body.total, 2);
+  assert.deepEqual(listed.body.jobs.map(job => job.title), ['React Developer', 'JavaScript Developer']);
+  assert.equal(listed.body.jobs[1].savedAt, savedAt);
+
+  const removed = await unsave(jobId(105));
+  assert.equal(removed.status, 200);
+  assert.deepEqual(removed.body, { jobId: jobId(105), saved: false });
+  assert.equal((await unsave(jobId(105))).status, 404);
+  assert.deepEqual((await list()).body.jobs.map(job => job.id), [jobId(107)]);
+});
+
+test('validates the recommended and saved job requests', async () => {
+  assert.equal((await requestJson(`${wrapper.url}/jobs/recommended`)).status, 400);
+  assert.equal((await requestJson(`${wrapper.url}/jobs/saved`)).status, 400);
+
+  const headers = await sessionLogin();
+  const paging = await requestJson(`${wrapper.url}/jobs/saved?pageSize=500&sort=new`, { headers });
+  assert.equal(paging.status, 422);
+  assert.deepEqual(paging.body.fields.map(field => field.field).sort(), ['pageSize', 'sort']);
+
+  const body = await postJson(`${wrapper.url}/jobs/saved`, { jobId: 210924500101, note: 'later' }, headers);
+  assert.equal(body.status, 422);
+  assert.deepEqual(body.body.fields.map(field => field.field), ['jobId', 'note']);
+
+  assert.equal((await postJson(`${wrapper.url}/jobs/saved`, { jobId: '999' }, headers)).status, 400);
+  assert.equal((await requestJson(`${wrapper.url}/jobs/saved/abc`, { method: 'DELETE', headers })).status, 400);
+});
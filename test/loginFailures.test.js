@@ -0,0 +1,57 @@
+/*
+  Browser login failure classification (src/loginFailures.js) over the error messages and page
+  states a failed login produces. No browser needed.
+*/
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { LOGIN_FAILURES, classifyLoginFailure } = require('../src/loginFailures');
+
+const page = (state = {}) => ({ available: true, url: 'https://www.naukri.com/nlogin/login', errorBanners: [], captcha: false, otpInput: false, ...state });
+
+const stepError = (message, stepId) => Object.assign(new Error(message), { stepId });
+
+const timeoutError = () => Object.assign(new Error('Waiting for selector failed'), { name: 'TimeoutError' });
+
+const CASES = [
+  ['the overall time limit', new Error('anything'), page(), { timedOut: true }, 'NAVIGATION_TIMEOUT'],
+  ['a full pool', new Error('No browser available after 60000ms (pool at capacity)'), null, {}, 'BROWSER_UNAVAILABLE'],
+  ['a closed target', new Error('Protocol error (Runtime.callFunctionOn): Target closed'), page(), {}, 'BROWSER_CRASH'],
+  ['a failed launch', new Error('Failed to launch the browser process!'), null, {}, 'BROWSER_CRASH'],
+  ['a page that did not respond', new Error('Login button not found'), { available: false }, {}, 'BROWSER_CRASH'],
+  ['a captcha on the page', new Error('Login not confirmed'), page({ captcha: true }), {}, 'CAPTCHA'],
+  ['a captcha url', new Error('Login not confirmed'), page({ url: 'https://www.naukri.com/captcha?next=1' }), {}, 'CAPTCHA'],
+  ['an OTP input on the page', new Error('Login not confirmed'), page({ otpInput: true }), {}, 'OTP_REQUIRED'],
+  ['a wrong password banner', new Error('Login not confirmed'), page({ errorBanners: ['Invalid details. Please check the Email ID - Password combination.'] }), {}, 'INVALID_CREDENTIALS'],
+  ['an OTP message without a page', new Error('OTP required but no OTP handling is available'), null, {}, 'OTP_REQUIRED'],
+  ['a puppeteer timeout', timeoutError(), page(), {}, 'NAVIGATION_TIMEOUT'],
+  ['a navigation timeout message', new Error('Navigation timeout of 30000 ms exceeded'), null, {}, 'NAVIGATION_TIMEOUT'],
+  ['a flow step that matched nothing', stepError('No selector matched', 'username'), page(), {}, 'SELECTOR_NOT_FOUND'],
+  ['anything else', new Error('Something odd happened'), page(), {}, 'UNKNOWN'],
+  ['no error at all', undefined, null, {}, 'UNKNOWN']
+];
+
+CASES.forEach(([name, error, pageState, context, code]) => {
+  test(`classifies ${name} as ${code}`, () => {
+    const failure = classifyLoginFailure(error, pageState, context);
+
+    assert.equal(failure.code, code);
+    assert.equal(failure.status, LOGIN_FAILURES[code].status);
+    assert.equal(failure.retryable, LOGIN_FAILURES[code].retryable);
+    assert.equal(typeof failure.reason, 'string');
+  });
+});
+
+test('page state wins over the thrown message', () => {
+  const error = stepError('OTP screen not handled', 'submit');
+
+  assert.equal(classifyLoginFailure(error, page({ captcha: true, otpInput: true })).code, 'CAPTCHA');
+  assert.equal(classifyLoginFailure(error, page({ otpInput: true, errorBanners: ['Incorrect password'] })).code, 'OTP_REQUIRED');
+});
+
+test('uses the matching banner as the reason and ignores unrelated banners', () => {
+  const banners = ['Complete your profile to get noticed', 'The password you entered is incorrect'];
+
+  assert.equal(classifyLoginFailure(new Error('x'), page({ errorBanners: banners })).reason, banners[1]);
+  assert.equal(classifyLoginFailure(new Error('x'), page({ errorBanners: [banners[0]] })).code, 'UNKNOWN');
+});
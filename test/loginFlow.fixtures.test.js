@@ -0,0 +1,140 @@
+/*
+  End-to-end browser login against the mock Naukri pages (mock/pages)
+  Starts the mock server and the wrapper (pointed at it through NAUKRI_BASE_URL), then runs
+  /auth/login-new in headless Chrome for each mock account. Nothing talks to naukri.com.
+  Skipped when Chrome can't be launched (run `npx puppeteer browsers install chrome` first).
+*/
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const puppeteer = require('puppeteer');
+const { MOCK_ACCOUNTS, startMockNaukri } = require('../mock/naukriServer');
+const { startWrapper, postJson } = require('./helpers');
+
+// A browser login takes 20-60s with the human-like delays
+const LOGIN_TIMEOUT_MS = 3 * 60 * 1000;
+
+let mock;
+let wrapper;
+let wrapperUrl;
+let skipReason = null;
+
+const canLaunchChrome = async () => {
+  try {
+    const browser = await puppeteer.launch({ headless: true, args: ['--no-sandbox'] });
+    await browser.close();
+    return true;
+  } catch (error) {
+    skipReason = `Chrome is not available: ${error.message.split('\n')[0]}`;
+    return false;
+  }
+};
+
+const login = (account) => postJson(`${wrapperUrl}/auth/login-new`, {
+  username: account.username,
+  password: account.password
+});
+
+before(async () => {
+  if (!await canLaunchChrome()) return;
+
+  mock = await startMockNaukri();
+  wrapper = await startWrapper({ NAUKRI_BASE_URL: mock.url });
+  wrapperUrl = wrapper.url;
+});
+
+after(async () => {
+  if (wrapper) {
+    wrapper.stop();
+  }
+  if (mock) {
+    await mock.close();
+  }
+});
+
+test('logs in and returns the mock tokens', { timeout: LOGIN_TIMEOUT_MS }, async (t) => {
+  if (skipReason) return t.skip(skipReason);
+
+  const { status, headers, body } = await login(MOCK_ACCOUNTS.valid);
+
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.match(body.accessToken, /\.mock$/);
+  assert.ok(body.refreshToken);
+  assert.equal(body.profileId, MOCK_ACCOUNTS.valid.profileId);
+  assert.ok(body.expiresAt);
+
+  // Every flow step matched the selector the mock markup was built for
+  const sessionId = headers.get('x-login-session-id');
+  const report = await (await fetch(`${wrapperUrl}/debug/login-flow/${sessionId}`)).json();
+  const matched = Object.fromEntries(report.steps.map(step => [step.id, step.matched]));
+  assert.equal(matched['open-login'], 'a[title="Jobseeker Login"]');
+  assert.equal(matched.username, '.form-row:first-child input');
+  assert.equal(matched.password, '.form-row:nth-child(2) input');
+  assert.equal(matched.submit, 'button.btn-primary.loginButton');
+  assert.equal(matched['04-after-login'], 'navigation');
+
+  const screenshots = await (await fetch(`${wrapperUrl}/debug/screenshots/${sessionId}`)).json();
+  assert.ok(screenshots.screenshots.some(screenshot => screenshot.step === '04-after-login'));
+});
+
+test('classifies a wrong password as INVALID_CREDENTIALS', { timeout: LOGIN_TIMEOUT_MS }, async (t) => {
+  if (skipReason) return t.skip(skipReason);
+
+  const { status, body } = await login({ ...MOCK_ACCOUNTS.valid, password: 'wrong-password' });
+
+  assert.equal(status, 401, JSON.stringify(body));
+  assert.equal(body.code, 'INVALID_CREDENTIALS');
+  assert.equal(body.retryable, false);
+  assert.match(body.reason, /Invalid details/);
+});
+
+test('pauses for an OTP, rejects a wrong code and finishes with the right one', { timeout: 2 * LOGIN_TIMEOUT_MS }, async (t) => {
+  if (skipReason) return t.skip(skipReason);
+
+  const started = await login(MOCK_ACCOUNTS.otp);
+  assert.equal(started.status, 202, JSON.stringify(started.body));
+  assert.equal(started.body.status, 'otp_required');
+
+  const otpUrl = `${wrapperUrl}/auth/login-new/${started.body.challengeId}/otp`;
+
+  const rejected = await postJson(otpUrl, { otp: '000000' });
+  assert.equal(rejected.status, 401, JSON.stringify(rejected.body));
+  assert.equal(rejected.body.attemptsLeft, 2);
+
+  const accepted = await postJson(otpUrl, { otp: MOCK_ACCOUNTS.otp.otp });
+  assert.equal(accepted.status, 200, JSON.stringify(accepted.body));
+  assert.equal(accepted.body.profileId, MOCK_ACCOUNTS.otp.profileId);
+  assert.ok(accepted.body.accessToken);
+});
+
+test('classifies a captcha as CAPTCHA', { timeout: LOGIN_TIMEOUT_MS }, async (t) => {
+  if (skipReason) return t.skip(skipReason);
+
+  const { status, body } = await login(MOCK_ACCOUNTS.captcha);
+
+  assert.equal(status, 403, JSON.stringify(body));
+  assert.equal(body.code, 'CAPTCHA');
+  assert.equal(body.retryable, true);
+});
+
+test('runs as an async job and reports each step', { timeout: LOGIN_TIMEOUT_MS }, async (t) => {
+  if (skipReason) return t.skip(skipReason);
+
+  const started = await postJson(`${wrapperUrl}/auth/login-new?async=true`, MOCK_ACCOUNTS.valid);
+  assert.equal(started.status, 202, JSON.stringify(started.body));
+
+  let job;
+  const deadline = Date.now() + LOGIN_TIMEOUT_MS - 5000;
+  do {
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    job = await (await fetch(`${wrapperUrl}${started.body.statusUrl}`)).json();
+  } while (job.status === 'running' && Date.now() < deadline);
+
+  assert.equal(job.status, 'succeeded', JSON.stringify(job.error));
+  assert.equal(job.result.profileId, MOCK_ACCOUNTS.valid.profileId);
+  assert.deepEqual(
+    job.steps.map(step => step.step),
+    ['01-pageload', '02-after-click', '03-before-login', '04-after-login']
+  );
+  assert.ok(job.steps.every(step => step.screenshotUrl));
+});
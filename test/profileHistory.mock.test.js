@@ -0,0 +1,128 @@
+/*
+  Profile snapshots and rollback against the mock Naukri server: /update-profile snapshots the
+  profile it overwrote, /profile/history lists it and /profile/rollback/:version re-applies it.
+*/
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { MOCK_ACCOUNTS, startMockNaukri } = require('../mock/naukriServer');
+const { startWrapper, requestJson, postJson } = require('./helpers');
+
+let mock;
+let wrapper;
+let headers;
+let originalHeadline;
+
+before(async () => {
+  mock = await startMockNaukri();
+  wrapper = await startWrapper({ NAUKRI_BASE_URL: mock.url });
+
+  const login = await postJson(`${wrapper.url}/auth/login`, { ...MOCK_ACCOUNTS.valid, createSession: true });
+  headers = { authorization: `Bearer ${login.body.sessionId}` };
+  originalHeadline = (await fetchProfile()).resumeHeadline;
+});
+
+after(async () => {
+  if (wrapper) {
+    wrapper.stop();
+  }
+  if (mock) {
+    await mock.close();
+  }
+});
+
+const fetchProfile = async () => (await requestJson(`${wrapper.url}/fetch-profile`, { headers })).body.profile[0];
+
+const updateHeadline = (resumeHeadline) => requestJson(`${wrapper.url}/update-profile`, {
+  method: 'PUT',
+  headers,
+  body: { profile: { resumeHeadline }, profileId: MOCK_ACCOUNTS.valid.profileId }
+});
+
+const history = (path = '') => requestJson(`${wrapper.url}/profile/history${path}`, { headers });
+
+const rollback = (version) => postJson(`${wrapper.url}/profile/rollback/${version}`, {}, headers);
+
+test('snapshots the overwritten profile after a successful update', async () => {
+  const updated = await updateHeadline('Platform engineer, Node.js');
+  assert.equal(updated.status, 200, JSON.stringify(updated.body));
+  assert.equal(updated.headers.get('x-snapshot-version'), '1');
+
+  const { status, body } = await history();
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.profileId, MOCK_ACCOUNTS.valid.profileId);
+  assert.deepEqual(body.snapshots.map(snapshot => [snapshot.version, snapshot.reason]), [[1, 'update-profile']]);
+  assert.deepEqual(body.snapshots[0].updatedFields, ['resumeHeadline']);
+  assert.equal(body.snapshots[0].profile, undefined);
+
+  const snapshot = await history('/1');
+  assert.equal(snapshot.status, 200);
+  assert.equal(snapshot.body.profile.resumeHeadline, originalHeadline);
+});
+
+test('does not snapshot an update Naukri rejects', async () => {
+  const rejected = await updateHeadline('x'.repeat(251));
+  assert.equal(rejected.status, 400);
+  assert.equal(rejected.headers.get('x-snapshot-version'), null);
+
+  const { body } = await history();
+  assert.deepEqual(body.snapshots.map(snapshot => snapshot.version), [1]);
+});
+
+test('rolls back to a snapshot and snapshots the rollback', async () => {
+  const { status, body } = await rollback(1);
+
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.rolledBackTo, 1);
+  assert.equal(body.snapshotVersion, 2);
+  assert.deepEqual(body.diff.changes, [
+    { path: 'resumeHeadline', op: 'replace', before: 'Platform engineer, Node.js', after: originalHeadline }
+  ]);
+  assert.equal((await fetchProfile()).resumeHeadline, originalHeadline);
+
+  const list = await history();
+  assert.deepEqual(list.body.snapshots.map(snapshot => [snapshot.version, snapshot.reason]), [
+    [2, 'rollback-to-1'],
+    [1, 'update-profile']
+  ]);
+
+  // the rollback itself can be undone
+  const undo = await rollback(2);
+  assert.equal(undo.status, 200, JSON.stringify(undo.body));
+  assert.equal((await fetchProfile()).resumeHeadline, 'Platform engineer, Node.js');
+});
+
+test('does not advertise a snapshot that could not be written', async () => {
+  // The store's directory is a file, so every write fails
+  const blocker = path.join(wrapper.workDir, 'not-a-directory');
+  fs.writeFileSync(blocker, '');
+  const broken = await startWrapper({ NAUKRI_BASE_URL: mock.url, SNAPSHOT_STORE_PATH: path.join(blocker, 'snapshots.json') });
+
+  try {
+    const login = await postJson(`${broken.url}/auth/login`, { ...MOCK_ACCOUNTS.valid, createSession: true });
+    const brokenHeaders = { authorization: `Bearer ${login.body.sessionId}` };
+
+    const updated = await requestJson(`${broken.url}/update-profile`, {
+      method: 'PUT',
+      headers: brokenHeaders,
+      body: { profile: { resumeHeadline: 'Written without a snapshot' }, profileId: MOCK_ACCOUNTS.valid.profileId }
+    });
+    assert.equal(updated.status, 200, JSON.stringify(updated.body));
+    assert.equal(updated.body.snapshotVersion, null);
+    assert.equal(updated.headers.get('x-snapshot-version'), null);
+
+    const { body } = await requestJson(`${broken.url}/profile/history`, { headers: brokenHeaders });
+    assert.deepEqual(body.snapshots, []);
+  } finally {
+    broken.stop();
+  }
+});
+
+test('validates the history and rollback requests', async () => {
+  assert.equal((await requestJson(`${wrapper.url}/profile/history`)).status, 400);
+  assert.equal((await history('/99')).status, 404);
+  assert.equal((await rollback(0)).status, 400);
+  assert.equal((await rollback(99)).status, 404);
+});
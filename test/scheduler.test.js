@@ -0,0 +1,121 @@
+/*
+  Cron scheduler (src/scheduler.js) with a fake runJob: run history, overlapping runs, pausing,
+  deletion and re-arming from the stored file. Nothing waits for a cron tick.
+*/
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createScheduler } = require('../src/scheduler');
+
+let directory;
+
+before(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'naukri-scheduler-'));
+});
+
+after(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+const SCHEDULE = { accountId: 'profile-1', sessionId: 'nws_test', cron: '0 9 * * *', timezone: 'Asia/Kolkata', mode: 'unchanged' };
+
+const createTestScheduler = (runJob, options = {}) => createScheduler({
+  filePath: path.join(directory, `schedules-${Math.random().toString(36).slice(2)}.json`),
+  runJob,
+  ...options
+});
+
+test('creates schedules without exposing their session', async () => {
+  const scheduler = createTestScheduler(async () => ({}));
+  const schedule = await scheduler.create(SCHEDULE);
+
+  assert.match(schedule.id, /^[0-9a-f]{16}$/);
+  assert.equal(schedule.sessionId, undefined);
+  assert.equal(scheduler.getRecord(schedule.id).sessionId, 'nws_test');
+  assert.ok(Date.parse(schedule.nextRunAt) > Date.now());
+  assert.deepEqual(scheduler.list('profile-1').map(item => item.id), [schedule.id]);
+  assert.deepEqual(scheduler.list('profile-2'), []);
+
+  await scheduler.remove(schedule.id);
+});
+
+test('records runs newest first and keeps only historyLimit of them', async () => {
+  let calls = 0;
+  const scheduler = createTestScheduler(async () => {
+    calls++;
+    if (calls === 2) throw new Error('Update profile returned 401');
+    return { call: calls };
+  }, { historyLimit: 2 });
+  const { id } = await scheduler.create(SCHEDULE);
+
+  const first = await scheduler.runNow(id);
+  assert.equal(first.status, 'success');
+  assert.equal(first.trigger, 'manual');
+  assert.deepEqual(first.details, { call: 1 });
+
+  const failed = await scheduler.runNow(id);
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.error, 'Update profile returned 401');
+
+  await scheduler.runNow(id);
+  const { history, lastRunAt } = scheduler.get(id);
+  assert.deepEqual(history.map(run => run.details?.call ?? run.status), [3, 'failed']);
+  assert.equal(lastRunAt, history[0].startedAt);
+
+  await scheduler.remove(id);
+});
+
+test('skips a run while the previous one is in progress', async () => {
+  let finish;
+  const scheduler = createTestScheduler(() => new Promise(resolve => { finish = resolve; }));
+  const { id } = await scheduler.create(SCHEDULE);
+
+  const slow = scheduler.runNow(id);
+  const skipped = await scheduler.runNow(id);
+  assert.equal(skipped.status, 'skipped');
+
+  finish({ done: true });
+  assert.equal((await slow).status, 'success');
+  // the skipped run is not part of the history
+  assert.deepEqual(scheduler.get(id).history.map(run => run.status), ['success']);
+
+  await scheduler.remove(id);
+});
+
+test('returns null for runs of deleted schedules', async () => {
+  const scheduler = createTestScheduler(async () => ({}));
+  const { id } = await scheduler.create(SCHEDULE);
+
+  assert.equal(await scheduler.remove(id), true);
+  assert.equal(await scheduler.runNow(id), null);
+  assert.equal(await scheduler.remove(id), false);
+  assert.equal(await scheduler.setPaused(id, true), null);
+});
+
+test('pauses, resumes and re-arms stored schedules on start', async () => {
+  const filePath = path.join(directory, 'schedules-restart.json');
+  const scheduler = createScheduler({ filePath, runJob: async () => ({}) });
+  const { id } = await scheduler.create(SCHEDULE);
+
+  const paused = await scheduler.setPaused(id, true);
+  assert.equal(paused.paused, true);
+  assert.equal(paused.nextRunAt, null);
+
+  const resumed = await scheduler.setPaused(id, false);
+  assert.ok(resumed.nextRunAt);
+  assert.equal((await scheduler.setSession(id, 'nws_newer')).sessionId, undefined);
+  await scheduler.remove(id);
+
+  // a second scheduler reading the same file arms what it finds there
+  const { id: storedId } = await scheduler.create(SCHEDULE);
+  const restarted = createScheduler({ filePath, runJob: async () => ({}) });
+  assert.equal(restarted.get(storedId).nextRunAt, null);
+  restarted.start();
+  assert.ok(restarted.get(storedId).nextRunAt);
+
+  await restarted.remove(storedId);
+  await scheduler.remove(storedId);
+});
@@ -0,0 +1,87 @@
+/*
+  Profile bump schedules against the mock Naukri server: the /schedules routes, a manual run that
+  re-saves the headline, and who may see a schedule.
+*/
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { MOCK_ACCOUNTS, startMockNaukri } = require('../mock/naukriServer');
+const { startWrapper, requestJson, postJson } = require('./helpers');
+
+let mock;
+let wrapper;
+let headers;
+
+before(async () => {
+  mock = await startMockNaukri();
+  wrapper = await startWrapper({ NAUKRI_BASE_URL: mock.url });
+
+  const login = await postJson(`${wrapper.url}/auth/login`, { ...MOCK_ACCOUNTS.valid, createSession: true });
+  headers = { authorization: `Bearer ${login.body.sessionId}` };
+});
+
+after(async () => {
+  if (wrapper) {
+    wrapper.stop();
+  }
+  if (mock) {
+    await mock.close();
+  }
+});
+
+const createSchedule = (body) => postJson(`${wrapper.url}/schedules`, body, headers);
+
+const headline = async () => (await requestJson(`${wrapper.url}/fetch-profile`, { headers })).body.profile[0].resumeHeadline;
+
+test('creates and lists a schedule', async () => {
+  const { status, body } = await createSchedule({ cron: '30 9 * * *', timezone: 'Asia/Kolkata', mode: 'alternate' });
+
+  assert.equal(status, 201, JSON.stringify(body));
+  assert.equal(body.accountId, MOCK_ACCOUNTS.valid.profileId);
+  assert.equal(body.sessionId, undefined);
+  assert.ok(body.nextRunAt);
+
+  const list = await requestJson(`${wrapper.url}/schedules`, { headers });
+  assert.deepEqual(list.body.schedules.map(schedule => schedule.id), [body.id]);
+});
+
+test('runs the bump now and records it in the history', async () => {
+  const { body: schedule } = await createSchedule({ cron: '0 9 * * *', mode: 'alternate' });
+  const previous = await headline();
+
+  const { status, body: run } = await postJson(`${wrapper.url}/schedules/${schedule.id}/run-now`, {}, headers);
+  assert.equal(status, 200, JSON.stringify(run));
+  assert.equal(run.status, 'success');
+  assert.deepEqual(run.details, { profileId: MOCK_ACCOUNTS.valid.profileId, field: 'resumeHeadline', upstreamStatus: 200 });
+  assert.notEqual(await headline(), previous);
+
+  const { body: stored } = await requestJson(`${wrapper.url}/schedules/${schedule.id}`, { headers });
+  assert.deepEqual(stored.history.map(entry => [entry.trigger, entry.status]), [['manual', 'success']]);
+  assert.equal(stored.lastRunAt, run.startedAt);
+});
+
+test('pauses and deletes a schedule', async () => {
+  const { body: schedule } = await createSchedule({ cron: '0 9 * * *' });
+
+  const paused = await postJson(`${wrapper.url}/schedules/${schedule.id}/pause`, {}, headers);
+  assert.equal(paused.status, 200);
+  assert.equal(paused.body.nextRunAt, null);
+
+  const deleted = await requestJson(`${wrapper.url}/schedules/${schedule.id}`, { method: 'DELETE', headers });
+  assert.equal(deleted.status, 200);
+  assert.equal((await postJson(`${wrapper.url}/schedules/${schedule.id}/run-now`, {}, headers)).status, 404);
+});
+
+test('validates the schedule requests', async () => {
+  const { body: schedule } = await createSchedule({ cron: '0 9 * * *' });
+  const login = await postJson(`${wrapper.url}/auth/login`, MOCK_ACCOUNTS.valid);
+
+  // schedules need a wrapper session, not a raw bearer
+  const raw = await postJson(`${wrapper.url}/schedules`, { cron: '0 9 * * *' }, { authorization: `Bearer ${login.body.accessToken}` });
+  assert.equal(raw.status, 400);
+  assert.equal((await createSchedule({ cron: 'every day' })).status, 400);
+  assert.equal((await createSchedule({ cron: '0 9 * * *', mode: 'random' })).status, 400);
+  assert.equal((await createSchedule({ cron: '0 9 * * *', timezone: 'Mars/Olympus' })).status, 400);
+  assert.equal((await requestJson(`${wrapper.url}/schedules/unknown`, { headers })).status, 404);
+  assert.equal((await requestJson(`${wrapper.url}/schedules/${schedule.id}`)).status, 400);
+});
@@ -0,0 +1,177 @@
+/*
+  Screenshot storage backends and retention (src/screenshotStorage.js)
+  The local backend runs in a temp directory, the s3 backend against the mock S3 server
+  (mock/s3Server.js); the last test serves a stored screenshot through the wrapper's debug routes.
+*/
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MOCK_S3_CREDENTIALS, startMockS3 } = require('../mock/s3Server');
+const { applyRetention, createLocalStorage, createS3Storage } = require('../src/screenshotStorage');
+const { startWrapper, requestJson } = require('./helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let mockS3;
+let localDir;
+
+before(async () => {
+  mockS3 = await startMockS3();
+  localDir = fs.mkdtempSync(path.join(os.tmpdir(), 'naukri-screenshot-storage-'));
+});
+
+after(async () => {
+  if (mockS3) {
+    await mockS3.close();
+  }
+  if (localDir) {
+    fs.rmSync(localDir, { recursive: true, force: true });
+  }
+});
+
+const s3Storage = (overrides = {}) => createS3Storage({
+  endpoint: mockS3.url,
+  bucket: MOCK_S3_CREDENTIALS.bucket,
+  accessKeyId: MOCK_S3_CREDENTIALS.accessKeyId,
+  secretAccessKey: MOCK_S3_CREDENTIALS.secretAccessKey,
+  ...overrides
+});
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+};
+
+const names = async (storage) => (await storage.list()).map(file => file.name).sort();
+
+test('local backend saves, lists, reads and removes files', async () => {
+  const storage = createLocalStorage({ directory: path.join(localDir, 'basic') });
+
+  await storage.save('debug-abc123-01-pageload-1.png', Buffer.from('png-bytes'), 'image/png');
+  assert.deepEqual(await names(storage), ['debug-abc123-01-pageload-1.png']);
+  assert.equal(await readAll(await storage.read('debug-abc123-01-pageload-1.png')), 'png-bytes');
+  assert.equal(await storage.read('debug-missing.png'), null);
+
+  await storage.remove('debug-abc123-01-pageload-1.png');
+  assert.deepEqual(await names(storage), []);
+});
+
+test('s3 backend saves, lists, reads and removes objects under its prefix', async () => {
+  const storage = s3Storage({ prefix: 'logins/' });
+
+  await storage.save('debug-abc123-console.log', 'console output', 'text/plain');
+  const [file] = await storage.list();
+  assert.equal(file.name, 'debug-abc123-console.log');
+  assert.equal(file.size, 'console output'.length);
+  assert.ok(file.modifiedAt instanceof Date);
+  assert.equal(await readAll(await storage.read('debug-abc123-console.log')), 'console output');
+  assert.equal(await storage.read('debug-missing.png'), null);
+
+  await storage.remove('debug-abc123-console.log');
+  assert.deepEqual(await names(storage), []);
+});
+
+test('s3 backend rejects file names that would leave its prefix', async () => {
+  const storage = s3Storage({ prefix: 'shots/' });
+
+  await assert.rejects(storage.read('debug-../../../other-bucket/private.png'), /Invalid file name/);
+  await assert.rejects(storage.save('debug-..png', 'x'), /Invalid file name/);
+  await assert.rejects(storage.remove('nested/debug-x.png'), /Invalid file name/);
+});
+
+test('s3 backend surfaces a rejected signature', async () => {
+  const storage = s3Storage({ secretAccessKey: 'wrong-secret' });
+
+  await assert.rejects(storage.list(), /403 \(SignatureDoesNotMatch\)/);
+});
+
+test('retention deletes by age, count and total size, oldest first', async () => {
+  const storage = s3Storage({ prefix: 'retention/' });
+  const now = Date.now();
+  // 10 bytes each; debug-f1 is the oldest
+  for (let index = 1; index <= 5; index++) {
+    await storage.save(`debug-f${index}.png`, Buffer.alloc(10), 'image/png');
+    mockS3.setLastModified(`retention/debug-f${index}.png`, new Date(now - (6 - index) * HOUR_MS));
+  }
+  await storage.save('keep-me.txt', 'not managed', 'text/plain');
+  mockS3.setLastModified('retention/keep-me.txt', new Date(now - 100 * HOUR_MS));
+  const isManaged = file => file.startsWith('debug-');
+
+  assert.deepEqual(await applyRetention(storage, { maxAgeMs: 4.5 * HOUR_MS, isManaged }), ['debug-f1.png']);
+  assert.deepEqual(await applyRetention(storage, { maxCount: 3, isManaged }), ['debug-f2.png']);
+  assert.deepEqual(await applyRetention(storage, { maxTotalBytes: 25, isManaged }), ['debug-f3.png']);
+  assert.deepEqual(await applyRetention(storage, { isManaged }), []);
+  assert.deepEqual(await names(storage), ['debug-f4.png', 'debug-f5.png', 'keep-me.txt']);
+});
+
+test('retention counts only the kept files towards the limits', async () => {
+  const directory = path.join(localDir, 'retention');
+  const storage = createLocalStorage({ directory });
+  const now = Date.now();
+  // debug-big is the newest and alone exceeds the size limit
+  const sizes = { 'debug-big.png': 30, 'debug-small1.png': 10, 'debug-small2.png': 10, 'debug-small3.png': 10 };
+  let age = 0;
+  for (const [name, size] of Object.entries(sizes)) {
+    await storage.save(name, Buffer.alloc(size));
+    const modifiedAt = new Date(now - ++age * HOUR_MS);
+    fs.utimesSync(path.join(directory, name), modifiedAt, modifiedAt);
+  }
+
+  assert.deepEqual(await applyRetention(storage, { maxTotalBytes: 25 }), ['debug-big.png', 'debug-small3.png']);
+  assert.deepEqual(await names(storage), ['debug-small1.png', 'debug-small2.png']);
+});
+
+test('the wrapper reports its local screenshot directory on /debug/system', async () => {
+  const wrapper = await startWrapper();
+
+  try {
+    const { body } = await requestJson(`${wrapper.url}/debug/system`);
+    assert.equal(body.screenshotStorage.backend, 'local');
+    assert.equal(body.screenshotDirectory, wrapper.workDir);
+    assert.equal(body.directoryExists, true);
+    assert.equal(body.canWrite, true);
+  } finally {
+    wrapper.stop();
+  }
+});
+
+test('the wrapper lists and serves screenshots from the s3 backend', async () => {
+  const storage = s3Storage({ prefix: 'wrapper/' });
+  const wrapper = await startWrapper({
+    SCREENSHOT_STORAGE: 's3',
+    SCREENSHOT_S3_ENDPOINT: mockS3.url,
+    SCREENSHOT_S3_BUCKET: MOCK_S3_CREDENTIALS.bucket,
+    SCREENSHOT_S3_PREFIX: 'wrapper/',
+    SCREENSHOT_S3_ACCESS_KEY_ID: MOCK_S3_CREDENTIALS.accessKeyId,
+    SCREENSHOT_S3_SECRET_ACCESS_KEY: MOCK_S3_CREDENTIALS.secretAccessKey
+  });
+
+  try {
+    await storage.save('debug-s3test-01-pageload-2026-01-01T00-00-00-000Z.png', Buffer.from('png-bytes'), 'image/png');
+
+    const system = await requestJson(`${wrapper.url}/debug/system`);
+    assert.equal(system.body.screenshotStorage.backend, 's3');
+    assert.equal(system.body.storageReachable, true);
+    assert.equal(system.body.screenshotDirectory, null);
+
+    const listed = await requestJson(`${wrapper.url}/debug/screenshots/s3test`);
+    assert.deepEqual(listed.body.screenshots.map(screenshot => screenshot.step), ['01-pageload']);
+
+    const response = await fetch(`${wrapper.url}${listed.body.screenshots[0].url}`);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'image/png');
+    assert.equal(await response.text(), 'png-bytes');
+
+    const missing = await fetch(`${wrapper.url}/debug/screenshot/debug-s3test-missing.png`);
+    assert.equal(missing.status, 404);
+
+    const traversal = await fetch(`${wrapper.url}/debug/screenshot/debug-..%2F..%2F..%2Fother-bucket%2Fx.png`);
+    assert.equal(traversal.status, 400);
+  } finally {
+    wrapper.stop();
+  }
+});
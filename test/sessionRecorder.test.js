@@ -0,0 +1,48 @@
+/*
+  Trace redaction of the session recorder (src/sessionRecorder.js): the trace must not keep
+  what the HAR redacts.
+*/
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRedactor, redactTrace } = require('../src/sessionRecorder');
+
+const redactor = createRedactor(['user@example.com', 'hunter22']);
+
+test('redacts URLs, post data and the login secrets in trace events', () => {
+  const trace = Buffer.from(JSON.stringify({
+    traceEvents: [
+      {
+        name: 'ResourceSendRequest',
+        args: { data: { url: 'https://www.naukri.com/login?otp=123456&src=home', requestMethod: 'POST' } }
+      },
+      { name: 'ResourceSendRequest', args: { data: { postData: '{"username":"someone","remember":true}' } } },
+      { name: 'ResourceSendRequest', args: { data: { postData: 'password=secret&src=home' } } },
+      { name: 'EventDispatch', args: { data: { value: 'typed user@example.com and hunter22' } } }
+    ]
+  }));
+
+  const text = redactTrace(trace, redactor);
+  const [url, json, form, typed] = JSON.parse(text).traceEvents.map(event => event.args.data);
+
+  assert.equal(url.url, 'https://www.naukri.com/login?otp=%5BREDACTED%5D&src=home');
+  assert.equal(url.requestMethod, 'POST');
+  assert.deepEqual(JSON.parse(json.postData), { username: '[REDACTED]', remember: true });
+  assert.equal(form.postData, 'password=%5BREDACTED%5D&src=home');
+  assert.equal(typed.value, 'typed [REDACTED] and [REDACTED]');
+  assert.ok(!/hunter22|user@example\.com|123456/.test(text));
+});
+
+test('replaces the login secrets under any key of a JSON body', () => {
+  const body = JSON.stringify({ data: 'hunter22', nested: [{ note: 'for user@example.com' }], count: 2 });
+
+  assert.deepEqual(JSON.parse(redactor.redactBody(body, 'application/json')), {
+    data: '[REDACTED]',
+    nested: [{ note: 'for [REDACTED]' }],
+    count: 2
+  });
+});
+
+test('rejects a trace that is not JSON', () => {
+  assert.throws(() => redactTrace(Buffer.from('not json'), redactor));
+});